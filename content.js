@@ -0,0 +1,384 @@
+// content.js
+// Content packs: laws, crises, diplomacy, rebellion, cosmic and campaign acts, achievement rules,
+// difficulty profiles, country profiles, advisors, factions, news outlets and headline templates,
+// loaded from JSON files on disk. Packs are layered in order (base first, then mods):
+// a later pack replaces entries with the same key, and a `null` entry removes the key.
+const fs = require('fs');
+const path = require('path');
+const { STAT_KEYS, COMPARATORS } = require('./engine');
+
+const CONTENT_DIR = path.join(__dirname, 'content');
+// Action families a player can take; difficulty profiles choose which of them are available
+const ACTION_TYPES = ['law', 'crisis', 'diplomacy', 'rebellion', 'cosmic', 'campaign'];
+// The game raises crises and rebellions itself, so every profile must let the player answer them
+const REQUIRED_ACTIONS = ['crisis', 'rebellion'];
+// What a headline template can report on: one of the player's actions, or a stat crossing a threshold
+const STORY_KINDS = ['law', 'repeal', 'crisis', 'diplomacy', 'rebellion', 'cosmic', 'campaign', 'threshold'];
+// content section holding the keys a template of each action kind may be limited to
+const STORY_SECTIONS = { law: 'laws', repeal: 'laws', crisis: 'crises', diplomacy: 'diplomacy', rebellion: 'rebellion', cosmic: 'cosmic', campaign: 'campaign' };
+// how the covering outlet sees the story
+const STORY_TONES = ['praise', 'criticism', 'neutral'];
+// {placeholders} a template may use; see news.js for what each one holds
+const NEWS_PLACEHOLDERS = ['president', 'country', 'outlet', 'date', 'label', 'method', 'target', 'votes', 'stat', 'value', 'threshold'];
+
+// --- Schema ---
+// Every section is a JSON object keyed by content key; the validator checks each entry.
+
+// stat -> number map (deltas, starting stats)
+function checkStatMap(map, where, errors) {
+  if (!map || typeof map !== 'object' || Array.isArray(map)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  for (const [stat, value] of Object.entries(map)) {
+    if (!STAT_KEYS.includes(stat)) errors.push(`${where}.${stat} is not a known stat`);
+    else if (!Number.isFinite(value)) errors.push(`${where}.${stat} must be a number`);
+  }
+}
+
+function checkDeltas(deltas, where, errors) {
+  checkStatMap(deltas, `${where}.deltas`, errors);
+}
+
+// faction key -> number map; the keys are checked against the factions section once packs are layered
+function checkNumberMap(map, where, errors) {
+  if (!map || typeof map !== 'object' || Array.isArray(map)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  for (const [key, value] of Object.entries(map)) if (!Number.isFinite(value)) errors.push(`${where}.${key} must be a number`);
+}
+
+// Actions: `deltas` move the stats; optional `factions` shift single factions' approval on top of
+// the across-the-board `approval` delta
+function checkAction(entry, where, errors) {
+  if (typeof entry.label !== 'string' || !entry.label) errors.push(`${where}.label must be a non-empty string`);
+  checkDeltas(entry.deltas, where, errors);
+  if (entry.factions !== undefined) checkNumberMap(entry.factions, `${where}.factions`, errors);
+  if (entry.unlocks !== undefined) {
+    if (!entry.unlocks || typeof entry.unlocks.key !== 'string' || typeof entry.unlocks.description !== 'string') {
+      errors.push(`${where}.unlocks must have string key and description`);
+    }
+  }
+}
+
+// Laws are actions that stay in force once enacted: `ongoing` deltas land every quarter, `interactions`
+// add per-quarter deltas while another law (by key) is in force too, and `repeal` is the cost of repealing
+function checkLaw(entry, where, errors) {
+  checkAction(entry, where, errors);
+  if (entry.ongoing !== undefined) checkStatMap(entry.ongoing, `${where}.ongoing`, errors);
+  if (entry.repeal !== undefined) checkStatMap(entry.repeal, `${where}.repeal`, errors);
+  if (entry.interactions === undefined) return;
+  if (!entry.interactions || typeof entry.interactions !== 'object' || Array.isArray(entry.interactions)) {
+    errors.push(`${where}.interactions must be an object`);
+    return;
+  }
+  for (const [other, deltas] of Object.entries(entry.interactions)) checkStatMap(deltas, `${where}.interactions.${other}`, errors);
+}
+
+// Crises are actions plus an optional `spawn` block for the random event generator:
+// chance per quarter = base + sum(weight * stat / 100); deadline = quarters to respond
+function checkCrisis(entry, where, errors) {
+  checkAction(entry, where, errors);
+  const spawn = entry.spawn;
+  if (spawn === undefined) return;
+  if (!spawn || typeof spawn !== 'object' || !Number.isFinite(spawn.base)) {
+    errors.push(`${where}.spawn.base must be a number`);
+    return;
+  }
+  for (const [stat, weight] of Object.entries(spawn.stats || {})) {
+    if (!STAT_KEYS.includes(stat)) errors.push(`${where}.spawn.stats.${stat} is not a known stat`);
+    else if (!Number.isFinite(weight)) errors.push(`${where}.spawn.stats.${stat} must be a number`);
+  }
+  if (spawn.deadline !== undefined && !(Number.isInteger(spawn.deadline) && spawn.deadline > 0)) {
+    errors.push(`${where}.spawn.deadline must be a positive integer`);
+  }
+}
+
+// Campaign acts are actions that also win (or lose) `votes` at the coming election. An optional
+// `backfire` ({ chance, deltas, votes }) replaces the outcome when its seeded roll hits.
+function checkCampaign(entry, where, errors) {
+  checkAction(entry, where, errors);
+  if (!Number.isFinite(entry.votes)) errors.push(`${where}.votes must be a number`);
+  const backfire = entry.backfire;
+  if (backfire === undefined) return;
+  if (!backfire || !Number.isFinite(backfire.chance) || backfire.chance < 0 || backfire.chance > 1) {
+    errors.push(`${where}.backfire.chance must be a number from 0 to 1`);
+    return;
+  }
+  checkDeltas(backfire.deltas, `${where}.backfire`, errors);
+  if (!Number.isFinite(backfire.votes)) errors.push(`${where}.backfire.votes must be a number`);
+}
+
+function checkAchievement(entry, where, errors) {
+  if (typeof entry.description !== 'string' || !entry.description) errors.push(`${where}.description must be a non-empty string`);
+  if (!Array.isArray(entry.conditions) || entry.conditions.length === 0) {
+    errors.push(`${where}.conditions must be a non-empty array`);
+    return;
+  }
+  entry.conditions.forEach((cond, i) => {
+    const at = `${where}.conditions[${i}]`;
+    if (!cond || !STAT_KEYS.concat(['laws', 'crises']).includes(cond.stat)) errors.push(`${at}.stat is not a known stat`);
+    if (!cond || !COMPARATORS[cond.op]) errors.push(`${at}.op must be one of ${Object.keys(COMPARATORS).join(' ')}`);
+    if (!cond || !Number.isFinite(cond.value)) errors.push(`${at}.value must be a number`);
+  });
+}
+
+// Difficulty profiles: starting stats (over the defaults), how strongly beneficial and harmful
+// deltas land, the chaos game-over threshold, rebellion thresholds, available action families and
+// an optional `scoreMultiplier` for legacy scores (default 1)
+function checkDifficulty(entry, where, errors) {
+  if (typeof entry.label !== 'string' || !entry.label) errors.push(`${where}.label must be a non-empty string`);
+  if (typeof entry.description !== 'string') errors.push(`${where}.description must be a string`);
+  if (entry.startingStats !== undefined) checkStatMap(entry.startingStats, `${where}.startingStats`, errors);
+  const scale = entry.deltaScale;
+  if (!scale || !Number.isFinite(scale.gains) || !Number.isFinite(scale.losses) || scale.gains < 0 || scale.losses < 0) {
+    errors.push(`${where}.deltaScale needs non-negative numbers gains and losses`);
+  }
+  if (!Number.isFinite(entry.chaosThreshold) || entry.chaosThreshold <= 0) errors.push(`${where}.chaosThreshold must be a positive number`);
+  if (entry.scoreMultiplier !== undefined && !(Number.isFinite(entry.scoreMultiplier) && entry.scoreMultiplier > 0)) {
+    errors.push(`${where}.scoreMultiplier must be a positive number`);
+  }
+  const rebellion = entry.rebellion;
+  if (!rebellion || !['chaos', 'stability', 'approval'].every(k => Number.isFinite(rebellion[k]))) {
+    errors.push(`${where}.rebellion needs numbers chaos, stability and approval`);
+  }
+  if (!Array.isArray(entry.actions) || entry.actions.some(a => !ACTION_TYPES.includes(a))) {
+    errors.push(`${where}.actions must be a list of ${ACTION_TYPES.join(', ')}`);
+  } else {
+    for (const required of REQUIRED_ACTIONS) {
+      if (!entry.actions.includes(required)) errors.push(`${where}.actions must include ${required}`);
+    }
+  }
+}
+
+// Multipliers per stat: { stat: { gains?, losses? } }
+function checkStatScale(scale, where, errors) {
+  if (!scale || typeof scale !== 'object' || Array.isArray(scale)) {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  for (const [stat, m] of Object.entries(scale)) {
+    if (!STAT_KEYS.includes(stat)) errors.push(`${where}.${stat} is not a known stat`);
+    else if (!m || ['gains', 'losses'].some(k => m[k] !== undefined && !(Number.isFinite(m[k]) && m[k] >= 0))) {
+      errors.push(`${where}.${stat} gains and losses must be non-negative numbers`);
+    }
+  }
+}
+
+// Country profiles: shifts to the difficulty's starting stats, traits that scale single stats,
+// exclusive laws and crises, and timeline flavor text
+function checkCountry(entry, where, errors) {
+  if (typeof entry.name !== 'string' || !entry.name) errors.push(`${where}.name must be a non-empty string`);
+  if (typeof entry.summary !== 'string') errors.push(`${where}.summary must be a string`);
+  if (typeof entry.flag !== 'string' || !entry.flag.startsWith('<svg')) errors.push(`${where}.flag must be inline SVG markup`);
+  if (entry.startingDeltas !== undefined) checkStatMap(entry.startingDeltas, `${where}.startingDeltas`, errors);
+  if (entry.factionWeights !== undefined) checkNumberMap(entry.factionWeights, `${where}.factionWeights`, errors);
+  if (!Array.isArray(entry.traits || [])) errors.push(`${where}.traits must be an array`);
+  else (entry.traits || []).forEach((trait, i) => {
+    const at = `${where}.traits[${i}]`;
+    if (!trait || typeof trait.label !== 'string' || typeof trait.description !== 'string') errors.push(`${at} needs string label and description`);
+    else checkStatScale(trait.scale, `${at}.scale`, errors);
+  });
+  for (const [section, check] of [['laws', checkLaw], ['crises', checkCrisis]]) {
+    const entries = entry[section] || {};
+    if (typeof entries !== 'object' || Array.isArray(entries)) errors.push(`${where}.${section} must be an object`);
+    else for (const [key, action] of Object.entries(entries)) check(action || {}, `${where}.${section}.${key}`, errors);
+  }
+  const flavor = entry.flavor || {};
+  if (flavor.start !== undefined && typeof flavor.start !== 'string') errors.push(`${where}.flavor.start must be a string`);
+  if (flavor.quarters !== undefined && !(Array.isArray(flavor.quarters) && flavor.quarters.every(q => typeof q === 'string'))) {
+    errors.push(`${where}.flavor.quarters must be a list of strings`);
+  }
+}
+
+// Advisors: `focus` weighs how much each stat matters to them when they rank actions
+// (negative for stats they want to go down, like chaos); `loyalty` is where they start (0-100)
+function checkAdvisor(entry, where, errors) {
+  if (typeof entry.name !== 'string' || !entry.name) errors.push(`${where}.name must be a non-empty string`);
+  if (typeof entry.specialty !== 'string' || !entry.specialty) errors.push(`${where}.specialty must be a non-empty string`);
+  checkStatMap(entry.focus, `${where}.focus`, errors);
+  if (entry.focus && !Object.keys(entry.focus).length) errors.push(`${where}.focus must weigh at least one stat`);
+  if (!Number.isFinite(entry.loyalty) || entry.loyalty < 0 || entry.loyalty > 100) errors.push(`${where}.loyalty must be a number from 0 to 100`);
+  if (typeof entry.voice !== 'string') errors.push(`${where}.voice must be a string`);
+  const portrait = entry.portrait;
+  if (!portrait || typeof portrait.head !== 'string' || typeof portrait.body !== 'string') errors.push(`${where}.portrait needs head and body colors`);
+}
+
+// Factions: blocs of public opinion, each with its own approval. `weight` is its relative political
+// weight (country profiles may multiply it via `factionWeights`); overall approval is the weighted mean.
+function checkFaction(entry, where, errors) {
+  if (typeof entry.label !== 'string' || !entry.label) errors.push(`${where}.label must be a non-empty string`);
+  if (typeof entry.description !== 'string') errors.push(`${where}.description must be a string`);
+  if (!Number.isFinite(entry.weight) || entry.weight <= 0) errors.push(`${where}.weight must be a positive number`);
+}
+
+// News outlets: `leans` weighs the stats and factions an outlet cares about (negative for stats it
+// wants to go down); it praises stories that move them its way and criticizes the rest
+function checkOutlet(entry, where, errors) {
+  if (typeof entry.name !== 'string' || !entry.name) errors.push(`${where}.name must be a non-empty string`);
+  if (entry.motto !== undefined && typeof entry.motto !== 'string') errors.push(`${where}.motto must be a string`);
+  const leans = entry.leans;
+  if (!leans || typeof leans !== 'object' || Array.isArray(leans)) {
+    errors.push(`${where}.leans must be an object`);
+    return;
+  }
+  if (leans.stats !== undefined) checkStatMap(leans.stats, `${where}.leans.stats`, errors);
+  if (leans.factions !== undefined) checkNumberMap(leans.factions, `${where}.leans.factions`, errors);
+}
+
+function checkTemplateText(text, where, errors) {
+  if (typeof text !== 'string' || !text) {
+    errors.push(`${where} must be a non-empty string`);
+    return;
+  }
+  for (const [, name] of text.matchAll(/\{(\w+)\}/g)) {
+    if (!NEWS_PLACEHOLDERS.includes(name)) errors.push(`${where} uses unknown placeholder {${name}}`);
+  }
+}
+
+// Headline templates: `on` is the story kind, `key` optionally limits an action template to one
+// content key, `tone` the outlet's view it fits. Threshold templates name a `stat` and fire when it
+// rises to `above` or falls to `below`.
+function checkHeadline(entry, where, errors) {
+  if (!STORY_KINDS.includes(entry.on)) errors.push(`${where}.on must be one of ${STORY_KINDS.join(', ')}`);
+  if (!STORY_TONES.includes(entry.tone)) errors.push(`${where}.tone must be one of ${STORY_TONES.join(', ')}`);
+  checkTemplateText(entry.headline, `${where}.headline`, errors);
+  checkTemplateText(entry.body, `${where}.body`, errors);
+  if (entry.on === 'threshold') {
+    if (!STAT_KEYS.includes(entry.stat)) errors.push(`${where}.stat is not a known stat`);
+    const bounds = ['above', 'below'].filter(k => entry[k] !== undefined);
+    if (bounds.length !== 1 || !Number.isFinite(entry[bounds[0]])) errors.push(`${where} needs a number above or below (one of them)`);
+  } else if (entry.key !== undefined && typeof entry.key !== 'string') {
+    errors.push(`${where}.key must be a string`);
+  }
+}
+
+// section name -> { file, check }
+const SECTIONS = {
+  laws: { file: 'laws.json', check: checkLaw },
+  crises: { file: 'crises.json', check: checkCrisis },
+  crisisMethods: { file: 'crisis_methods.json', check: checkAction },
+  diplomacy: { file: 'diplomacy.json', check: checkAction },
+  rebellion: { file: 'rebellion.json', check: checkAction },
+  cosmic: { file: 'cosmic.json', check: checkAction },
+  campaign: { file: 'campaign.json', check: checkCampaign },
+  achievements: { file: 'achievements.json', check: checkAchievement },
+  difficulties: { file: 'difficulties.json', check: checkDifficulty },
+  countries: { file: 'countries.json', check: checkCountry },
+  advisors: { file: 'advisors.json', check: checkAdvisor },
+  factions: { file: 'factions.json', check: checkFaction },
+  outlets: { file: 'outlets.json', check: checkOutlet },
+  headlines: { file: 'headlines.json', check: checkHeadline }
+};
+
+// Sections whose entries are actions and may carry faction effects
+const ACTION_SECTIONS = ['laws', 'crises', 'crisisMethods', 'diplomacy', 'rebellion', 'cosmic', 'campaign'];
+
+function validateSection(section, data, where) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return [`${where} must be a JSON object`];
+  for (const [key, entry] of Object.entries(data)) {
+    if (entry === null) continue; // removal marker
+    if (typeof entry !== 'object' || Array.isArray(entry)) errors.push(`${where}.${key} must be an object`);
+    else SECTIONS[section].check(entry, `${where}.${key}`, errors);
+  }
+  return errors;
+}
+
+function readJson(file, errors) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    errors.push(`${file}: ${err.message}`);
+    return undefined;
+  }
+}
+
+// Pack names resolve under content/; anything containing a path separator is used as a path
+function resolvePackDir(name) {
+  return name.includes('/') || name.includes(path.sep) ? path.resolve(name) : path.join(CONTENT_DIR, name);
+}
+
+// Load, validate and layer the given packs. Throws one error listing every problem found.
+function loadContent(packNames) {
+  const errors = [];
+  const content = { packs: [] };
+  for (const section of Object.keys(SECTIONS)) content[section] = {};
+
+  for (const name of packNames) {
+    const dir = resolvePackDir(name);
+    const manifest = readJson(path.join(dir, 'pack.json'), errors);
+    if (!manifest) continue;
+    if (typeof manifest.id !== 'string' || typeof manifest.name !== 'string') {
+      errors.push(`${name}/pack.json needs string id and name`);
+      continue;
+    }
+    content.packs.push({ id: manifest.id, name: manifest.name, version: manifest.version || 1 });
+
+    for (const [section, { file }] of Object.entries(SECTIONS)) {
+      const fullPath = path.join(dir, file);
+      if (!fs.existsSync(fullPath)) continue; // packs may provide any subset of sections
+      const data = readJson(fullPath, errors);
+      if (data === undefined) continue;
+      const sectionErrors = validateSection(section, data, `${manifest.id}/${file}`);
+      if (sectionErrors.length) {
+        errors.push(...sectionErrors);
+        continue;
+      }
+      for (const [key, entry] of Object.entries(data)) {
+        if (entry === null) delete content[section][key];
+        else content[section][key] = entry;
+      }
+    }
+  }
+
+  // country-exclusive laws and crises join the shared tables, tagged with their country
+  for (const [country, profile] of Object.entries(content.countries)) {
+    for (const section of ['laws', 'crises']) {
+      for (const [key, entry] of Object.entries(profile[section] || {})) {
+        if (content[section][key]) errors.push(`countries.${country}.${section}.${key} clashes with an existing ${section} entry`);
+        else content[section][key] = Object.assign({}, entry, { country });
+      }
+    }
+  }
+
+  // interactions can only name laws that exist once every pack is layered
+  for (const [key, entry] of Object.entries(content.laws)) {
+    for (const other of Object.keys(entry.interactions || {})) {
+      if (!content.laws[other]) errors.push(`laws.${key}.interactions.${other} is not a known law`);
+    }
+  }
+
+  // faction effects and weights can only name factions that exist once every pack is layered
+  for (const section of ACTION_SECTIONS) {
+    for (const [key, entry] of Object.entries(content[section])) {
+      for (const faction of Object.keys(entry.factions || {})) {
+        if (!content.factions[faction]) errors.push(`${section}.${key}.factions.${faction} is not a known faction`);
+      }
+    }
+  }
+  for (const [country, profile] of Object.entries(content.countries)) {
+    for (const faction of Object.keys(profile.factionWeights || {})) {
+      if (!content.factions[faction]) errors.push(`countries.${country}.factionWeights.${faction} is not a known faction`);
+    }
+  }
+  for (const [key, outlet] of Object.entries(content.outlets)) {
+    for (const faction of Object.keys(outlet.leans.factions || {})) {
+      if (!content.factions[faction]) errors.push(`outlets.${key}.leans.factions.${faction} is not a known faction`);
+    }
+  }
+
+  // a template limited to one key needs that key to exist
+  for (const [key, template] of Object.entries(content.headlines)) {
+    const section = STORY_SECTIONS[template.on];
+    if (section && template.key !== undefined && !content[section][template.key]) {
+      errors.push(`headlines.${key}.key ${template.key} is not a known ${section} entry`);
+    }
+  }
+
+  if (errors.length) throw new Error(`Invalid content packs:\n  ${errors.join('\n  ')}`);
+  return content;
+}
+
+module.exports = { STAT_KEYS, ACTION_TYPES, STORY_KINDS, STORY_SECTIONS, loadContent };
@@ -1,10 +1,21 @@
 // Global state
 window.current = {
   sessionId: null,
+  token: null, // the session's token, sent with every request that changes it
+  profile: JSON.parse(localStorage.getItem('profile') || 'null'), // { id, name, token } from POST /players
   country: null,
   player: null,
   difficulty: 'normal',
-  baseURL: 'http://localhost:3000'
+  difficulties: {}, // key -> profile from GET /difficulties
+  countries: {}, // key -> profile from GET /countries
+  content: null,
+  advice: null, // last advisor recommendation, for "Follow Advice"
+  state: null,
+  match: null, // { matchId, seat, turn, socket } while playing a multiplayer match
+  stream: null, // { sessionId, source }: the EventSource on the current session's event stream
+  apiSpec: null, // GET /api: routes and their fields, to catch malformed requests during development
+  // same origin when the server hosts the page, the default dev server when opened from disk
+  baseURL: location.protocol.startsWith('http') ? location.origin : 'http://localhost:3000'
 };
 
 // Overlay helpers
@@ -13,16 +24,19 @@ function closeOverlay(id) { document.getElementById(id).style.display = 'none';
 
 // Dialogue
 function showDialogue(msg) {
-  const el = document.getElementById('dialogueBar');
+  const el = document.getElementById('dialogueText');
   el.textContent = msg;
 }
 
-// Log to timeline UI
+// Log to timeline UI; msg is shown as text (it can hold names and keys from the server)
 function addLogEntry(type, msg) {
   const list = document.getElementById('timelineList');
   const item = document.createElement('div');
   item.className = 'timeline-item';
-  item.innerHTML = `<span class="type">[${type}]</span> ${msg}`;
+  const label = document.createElement('span');
+  label.className = 'type';
+  label.textContent = `[${type}]`;
+  item.append(label, ` ${msg}`);
   list.prepend(item);
 }
 
@@ -36,109 +50,769 @@ function updateHUD(a, s, e, j, p, c) {
   if (typeof c === 'number') document.getElementById('hudChaos').textContent = c + '%';
 }
 
+// Stat history charts (sparklines in the HUD, full curve on the Final Vaultline screen)
+const STAT_COLORS = {
+  approval: '#22ff88', stability: '#00e5ff', economy: '#ffa62b',
+  justice: '#ffffff', power: '#c55cff', chaos: '#ff325e'
+};
+
+// Polyline for values scaled into a width x height box; chaos can exceed 100 so max adapts
+function chartPolyline(values, width, height, max, color) {
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+  const points = values.map((v, i) => `${(i * step).toFixed(1)},${(height - (v / max) * height).toFixed(1)}`).join(' ');
+  return `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${points}" />`;
+}
+
+function drawSparkline(svg, values, color) {
+  const max = Math.max(100, ...values);
+  svg.innerHTML = values.length ? chartPolyline(values, 60, 16, max, color) : '';
+}
+
+async function refreshHistory() {
+  const sessionId = window.current.sessionId;
+  if (!sessionId) return;
+  const { history = [] } = await api(`/session/${sessionId}/history?points=30`);
+  for (const [stat, color] of Object.entries(STAT_COLORS)) {
+    const id = 'spark' + stat[0].toUpperCase() + stat.slice(1);
+    drawSparkline(document.getElementById(id), history.map(h => h.stats[stat]), color);
+  }
+}
+
+async function drawVaultlineChart() {
+  const sessionId = window.current.sessionId;
+  if (!sessionId) return;
+  const { history = [] } = await api(`/session/${sessionId}/history?points=200`);
+  const all = history.flatMap(h => Object.keys(STAT_COLORS).map(stat => h.stats[stat]));
+  const max = Math.max(100, ...all);
+  document.getElementById('vaultlineChart').innerHTML = Object.entries(STAT_COLORS)
+    .map(([stat, color]) => chartPolyline(history.map(h => h.stats[stat]), 600, 200, max, color))
+    .join('');
+  document.getElementById('vaultlineLegend').innerHTML = Object.entries(STAT_COLORS)
+    .map(([stat, color]) => `<span style="color:${color}">${stat}</span>`)
+    .join('');
+}
+
+// Calendar (quarter/year + remaining actions this quarter)
+function updateCalendar(cal) {
+  if (!cal) return;
+  document.getElementById('hudCalendar').textContent = `Q${cal.quarter} ${cal.year}`;
+  document.getElementById('hudActions').textContent = cal.actionsLeft;
+}
+
 // Backend calls
+// Warn (without blocking the request) when a request does not fit the route schemas from GET /api
+function checkRequestShape(path, method, body) {
+  const spec = window.current.apiSpec;
+  if (!spec) return;
+  const pathname = path.split('?')[0];
+  const route = spec.routes.find(r => r.method === method && new RegExp(`^${r.path.replace(/:[^/]+/g, '[^/]+')}$`).test(pathname));
+  if (!route) {
+    console.warn(`api: no route for ${method} ${pathname}`);
+    return;
+  }
+  const fields = route.body || {};
+  for (const [name, field] of Object.entries(fields)) {
+    if (field.required && (!body || body[name] === undefined) && !(field.or && body && body[field.or] !== undefined)) {
+      console.warn(`api: ${method} ${pathname} is missing ${name}`);
+    }
+  }
+  // routes with a bodyNote take more fields than they list
+  if (body && !route.bodyNote) {
+    for (const name of Object.keys(body)) {
+      if (!fields[name] && body[name] !== undefined) console.warn(`api: ${method} ${pathname} does not take ${name}`);
+    }
+  }
+}
+
+// Offline sessions are played in the page (offline.js); when the server cannot be reached, content
+// requests are answered from the copies cached the last time it could
 async function api(path, method = 'GET', body) {
-  const res = await fetch(`${window.current.baseURL}${path}`, {
-    method,
-    headers: { 'Content-Type': 'application/json' },
-    body: body ? JSON.stringify(body) : undefined
-  });
-  return res.json();
+  if (isOfflineRequest(path, body)) return offlineApi(path, method, body);
+  checkRequestShape(path, method, body);
+  const headers = { 'Content-Type': 'application/json' };
+  if (window.current.token) headers['X-Session-Token'] = window.current.token;
+  if (window.current.profile) headers['X-Player-Token'] = window.current.profile.token;
+  let res;
+  try {
+    res = await fetch(`${window.current.baseURL}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+  } catch (err) {
+    return cachedResponse(path) || { error: 'the server cannot be reached: play offline from the title screen', code: 'offline' };
+  }
+  const data = await res.json();
+  if (method === 'GET') cacheResponse(path, data);
+  return data;
+}
+
+// Laws on offer: the shared ones plus those exclusive to the current country
+function fillLawSelect() {
+  const { content, country } = window.current;
+  if (!content) return;
+  const laws = {};
+  for (const [key, entry] of Object.entries(content.laws)) {
+    if (!entry.country || entry.country === country) laws[key] = entry;
+  }
+  fillSelect('lawType', laws);
+}
+
+// Country profiles: one title-screen card per country, with its traits
+async function loadCountries() {
+  const { countries } = await api('/countries');
+  const container = document.getElementById('countrySelect');
+  container.innerHTML = '';
+  for (const profile of countries) {
+    window.current.countries[profile.key] = profile;
+    const card = document.createElement('div');
+    card.className = 'country-card';
+    card.dataset.country = profile.key;
+    card.title = profile.traits.map(t => `${t.label}: ${t.description}`).join('\n');
+    card.innerHTML = `<div class="flag">${profile.flag}</div><p>${profile.name}</p><small>${profile.summary}</small>`;
+    card.addEventListener('click', () => {
+      document.querySelectorAll('.country-card').forEach(c => c.classList.remove('active'));
+      card.classList.add('active');
+      window.current.country = profile.key;
+      fillLawSelect();
+      showDialogue(`Selected: ${profile.name} (${profile.traits.map(t => t.label).join(', ')})`);
+    });
+    container.appendChild(card);
+  }
+}
+
+// Advisors: the strip shows the session's cabinet; clicking a portrait consults that advisor
+async function refreshAdvisors() {
+  const sessionId = window.current.sessionId;
+  const strip = document.getElementById('advisorStrip');
+  if (!sessionId) return (strip.innerHTML = '');
+  const { advisors = [] } = await api(`/session/${sessionId}/advisors`);
+  strip.innerHTML = '';
+  for (const advisor of advisors) {
+    const div = document.createElement('div');
+    div.className = `advisor ${advisor.status}${advisor.disloyal ? ' disloyal' : ''}`;
+    div.title = `Loyalty ${advisor.loyalty}%`;
+    div.innerHTML = `<svg viewBox="0 0 24 24" class="avatar">` +
+      `<circle cx="12" cy="8" r="5" fill="${advisor.portrait.head}"></circle>` +
+      `<rect x="5" y="13" width="14" height="8" rx="4" fill="${advisor.portrait.body}"></rect></svg>` +
+      `<span>${advisor.name}</span>`;
+    if (advisor.status === 'serving') div.addEventListener('click', () => consultAdvisor(advisor.key));
+    strip.appendChild(div);
+  }
+}
+
+// Log how advisors took the last move (action reactions or quarter resignations/leaks), then redraw the strip
+function noteAdvisors(advisors = []) {
+  for (const a of advisors) {
+    if (a.act) addLogEntry('advisor', `${a.name} ${a.act === 'resign' ? 'resigned' : 'leaked to the press'}`);
+    else addLogEntry('advisor', `${a.name} ${a.followed ? 'approves' : 'disapproves'} (loyalty ${a.loyalty}%)`);
+  }
+  refreshAdvisors();
+}
+
+// Lead the dialogue bar with the first story the last move made; clicking it opens the newspaper
+function noteNews(news = []) {
+  if (!news.length) return;
+  document.getElementById('dialogueHeadline').textContent = `${news[0].outletName}: ${news[0].headline}`;
+}
+
+async function consultAdvisor(key) {
+  const sessionId = window.current.sessionId;
+  const data = await api(`/session/${sessionId}/advisors/${key}/consult`, 'POST');
+  if (data.error) return showDialogue(data.error);
+  const { advisor, recommendation } = data;
+  window.current.advice = recommendation;
+  document.getElementById('advisorName').textContent = advisor.name.toUpperCase();
+  document.getElementById('advisorLoyalty').textContent =
+    `Loyalty ${advisor.loyalty}%${advisor.disloyal ? ' - growing restless' : ''}`;
+  document.getElementById('advisorAdvice').textContent = recommendation.rationale;
+  document.getElementById('advisorPreview').textContent = formatDeltas(recommendation.deltas);
+  openOverlay('advisorOverlay');
+}
+
+// Take the last recommendation through the normal action handler for its type
+function followAdvice() {
+  const advice = window.current.advice;
+  if (!advice) return;
+  closeOverlay('advisorOverlay');
+  const { fields } = advice;
+  if (advice.type === 'law') {
+    document.getElementById('lawType').value = fields.lawKey;
+    return handleEnforceLaw();
+  }
+  if (advice.type === 'repeal') return handleRepealLaw(fields.lawKey);
+  if (advice.type === 'crisis') {
+    document.getElementById('crisisType').value = fields.crisisId;
+    return handleResolveCrisis(fields.method);
+  }
+  if (advice.type === 'diplomacy') return handleDiplomacy(fields.actionKey);
+  if (advice.type === 'rebellion') return handleRebellion(fields.act);
+  if (advice.type === 'cosmic') return handleCosmic(fields.actKey);
+  if (advice.type === 'campaign') return handleCampaign(fields.campaignKey);
+}
+
+// Difficulty profiles: fill the title-screen select and describe the chosen profile
+async function loadDifficulties() {
+  const { difficulties, default: fallback } = await api('/difficulties');
+  const select = document.getElementById('difficulty');
+  select.innerHTML = '';
+  for (const profile of difficulties) {
+    window.current.difficulties[profile.key] = profile;
+    const opt = document.createElement('option');
+    opt.value = profile.key;
+    opt.textContent = profile.label;
+    select.appendChild(opt);
+  }
+  select.value = fallback;
+  describeDifficulty();
+}
+
+function describeDifficulty() {
+  const profile = window.current.difficulties[document.getElementById('difficulty').value];
+  if (!profile) return;
+  const s = profile.startingStats;
+  document.getElementById('difficultyInfo').textContent =
+    `${profile.description} Starts at Approval ${s.approval}%, Stability ${s.stability}%, Chaos ${s.chaos}%; ` +
+    `game over at ${profile.chaosThreshold} chaos. Actions: ${profile.actions.join(', ')}.`;
+}
+
+// Send a player action: over the match socket during a multiplayer match, otherwise to its route.
+// Both paths answer with the same body ({ error } when rejected).
+function submitAction(type, path, fields) {
+  if (window.current.match) return matchRequest(Object.assign({ type: 'move', action: type }, fields)).then(r => r.result || r);
+  return api(path, 'POST', Object.assign({ sessionId: window.current.sessionId }, fields));
+}
+
+// Content packs: build the action panels from GET /content
+function fillButtons(containerId, entries, handler, onPreview) {
+  const row = document.getElementById(containerId);
+  row.innerHTML = '';
+  for (const [key, entry] of Object.entries(entries)) {
+    const btn = document.createElement('button');
+    btn.className = 'btn';
+    btn.textContent = entry.label;
+    btn.addEventListener('click', () => handler(key));
+    if (onPreview) btn.addEventListener('mouseenter', () => onPreview(key));
+    row.appendChild(btn);
+  }
+}
+
+function fillSelect(selectId, entries) {
+  const select = document.getElementById(selectId);
+  select.innerHTML = '';
+  for (const [key, entry] of Object.entries(entries)) {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = entry.label;
+    select.appendChild(opt);
+  }
+}
+
+async function loadContent() {
+  const content = await api('/content');
+  window.current.content = content;
+  fillLawSelect();
+  fillButtons('crisisMethods', content.crisisMethods, handleResolveCrisis,
+    method => previewAction('crisis', { crisisId: document.getElementById('crisisType').value, method }, 'crisisPreview'));
+  fillButtons('diplomacyActions', content.diplomacy, handleDiplomacy,
+    actionKey => previewAction('diplomacy', { actionKey }, 'diplomacyPreview'));
+  fillButtons('rebellionActions', content.rebellion, handleRebellion,
+    act => previewAction('rebellion', { act }, 'rebellionPreview'));
+  fillButtons('cosmicActions', content.cosmic, handleCosmic,
+    actKey => previewAction('cosmic', { actKey }, 'cosmicPreview'));
+  fillButtons('campaignActions', content.campaign, handleCampaign,
+    campaignKey => previewAction('campaign', { campaignKey }, 'campaignPreview'));
+  document.getElementById('lawType').addEventListener('change', previewLaw);
+}
+
+// Action previews: projected outcome of an option, shown while hovering or selecting it
+function describePreview(p) {
+  const parts = Object.entries(p.changes).map(([stat, v]) => `${stat} ${v > 0 ? '+' : ''}${v}`);
+  let text = parts.length ? parts.join(' · ') : 'No stat changes';
+  const factions = Object.entries(p.factionChanges || {}).map(([key, v]) => `${contentLabel('factions', key)} ${v > 0 ? '+' : ''}${v}`);
+  if (factions.length) text += ` | ${factions.join(' · ')}`;
+  if (p.achievements.length) text += ` | Unlocks: ${p.achievements.map(a => a.key).join(', ')}`;
+  if (p.rebellion.rebellion) text += ` | Rebellion risk (${p.rebellion.intensity})`;
+  if (p.gameOver.gameOver) text += ` | GAME OVER: ${p.gameOver.reason}`;
+  if (!p.allowed) text += ` | ${p.blockedReason}`;
+  return text;
+}
+
+async function previewAction(type, fields, targetId) {
+  const sessionId = window.current.sessionId;
+  if (!sessionId) return;
+  const p = await api('/actions/preview', 'POST', Object.assign({ sessionId, type }, fields));
+  document.getElementById(targetId).textContent = p.error ? p.error : describePreview(p);
+}
+
+function previewLaw() {
+  previewAction('law', { lawKey: document.getElementById('lawType').value }, 'lawPreview');
+}
+
+// "economy +3 justice -1", skipping stats that do not move (and nested faction effects)
+function formatDeltas(deltas) {
+  return Object.entries(deltas).filter(([, v]) => typeof v === 'number' && v).map(([k, v]) => `${k} ${v > 0 ? '+' : ''}${v}`).join(' ');
+}
+
+// Public opinion: one row per faction with its approval and share of political weight
+async function refreshFactions() {
+  const sessionId = window.current.sessionId;
+  const list = document.getElementById('factionList');
+  if (!sessionId) return (list.innerHTML = '');
+  const { approval, factions = [], unrest } = await api(`/session/${sessionId}/factions`);
+  list.innerHTML = '';
+  for (const faction of factions) {
+    const row = document.createElement('div');
+    row.className = `faction${faction.angry ? ' angry' : ''}`;
+    row.title = faction.description;
+    row.innerHTML = `<span>${faction.label} (${Math.round(faction.weight * 100)}% weight)</span>` +
+      `<span class="faction-bar"><span style="width:${faction.approval}%"></span></span><b>${faction.approval}%</b>`;
+    list.appendChild(row);
+  }
+  document.getElementById('factionSummary').textContent =
+    `Overall approval ${approval}%. Factions below ${unrest.angryBelow}% are angry; ` +
+    `angry factions holding ${Math.round(unrest.rebellionShare * 100)}% of the weight rise up (now ${Math.round(unrest.share * 100)}%).`;
+}
+
+async function openFactions() {
+  openOverlay('factionOverlay');
+  await refreshFactions();
+}
+
+// Statute book: laws in force with their effect each quarter; repealing needs an action like any law
+async function refreshStatutes() {
+  const sessionId = window.current.sessionId;
+  const list = document.getElementById('statuteList');
+  if (!sessionId) return (list.innerHTML = '');
+  const { statutes = [], perQuarter = {} } = await api(`/session/${sessionId}/laws`);
+  list.innerHTML = statutes.length ? '' : '<div class="timeline-item">No laws in force.</div>';
+  for (const statute of statutes) {
+    const item = document.createElement('div');
+    item.className = 'timeline-item';
+    const interactions = statute.interactions.map(i => ` | with ${i.label}: ${formatDeltas(i.deltas)}`).join('');
+    item.innerHTML = `<span class="type">[${statute.enacted}]</span> ${statute.label}` +
+      ` <span class="type">each quarter: ${formatDeltas(statute.ongoing) || 'no effect'}${interactions}</span>`;
+    const btn = document.createElement('button');
+    btn.className = 'fork-btn';
+    btn.textContent = 'repeal';
+    btn.title = `Repeal cost: ${formatDeltas(statute.repealCost)}`;
+    btn.disabled = window.current.state !== 'active';
+    btn.addEventListener('click', () => handleRepealLaw(statute.lawKey));
+    btn.addEventListener('mouseenter', () => previewAction('repeal', { lawKey: statute.lawKey }, 'statutePreview'));
+    item.appendChild(btn);
+    list.appendChild(item);
+  }
+  document.getElementById('statuteTotal').textContent = statutes.length
+    ? `All statutes together, each quarter: ${formatDeltas(perQuarter) || 'no effect'}` : '';
+}
+
+async function openStatuteBook() {
+  document.getElementById('statutePreview').textContent = '';
+  openOverlay('statuteOverlay');
+  await refreshStatutes();
+}
+
+// Elections: the HUD shows election day; the campaign panel says whether campaigning is open
+async function refreshElection() {
+  const sessionId = window.current.sessionId;
+  if (!sessionId) return;
+  const { next } = await api(`/session/${sessionId}/elections`);
+  document.getElementById('hudElection').textContent = next ? next.date : 'none';
+  document.getElementById('campaignInfo').textContent = !next ? 'This is your final term: there is no election to campaign for.'
+    : next.campaignOpen ? `Election day ${next.date}, ${next.quartersLeft} quarter(s) away. Campaign votes so far: ${next.campaignVotes}.`
+    : `Election day ${next.date}. Campaigning opens in the final quarters before the vote.`;
+}
+
+async function openCampaign() {
+  document.getElementById('campaignPreview').textContent = '';
+  openOverlay('campaignOverlay');
+  await refreshElection();
+}
+
+// One line per election result: vote share, then each faction's share
+function describeElectionResult(e) {
+  const blocs = Object.entries(e.breakdown.factions).map(([key, share]) => `${contentLabel('factions', key)} ${share}%`);
+  return `${e.date}: ${e.status === 'won' ? 'won' : 'lost'} with ${e.voteShare}%${blocs.length ? ` (${blocs.join(', ')})` : ''}`;
 }
 
-// Session start
-async function startSession() {
+// Pending crises: the crisis panel only offers crises the server actually spawned
+async function refreshPendingCrises() {
+  const sessionId = window.current.sessionId;
+  if (!sessionId) return;
+  const { pending = [] } = await api(`/session/${sessionId}/crises/pending`);
+  const select = document.getElementById('crisisType');
+  select.innerHTML = '';
+  for (const c of pending) {
+    const opt = document.createElement('option');
+    opt.value = c.id;
+    opt.textContent = `${c.label} (respond by ${c.deadline})`;
+    select.appendChild(opt);
+  }
+  document.getElementById('crisisBtn').textContent = pending.length ? `Crisis (${pending.length})` : 'Crisis';
+}
+
+// Display label for a content key (falls back to the key itself)
+function contentLabel(section, key) {
+  const entry = window.current.content && window.current.content[section][key];
+  return entry ? entry.label : key;
+}
+
+// Session start; an offline presidency is played in the page and can be uploaded once it is over
+async function startSession(offline = false) {
   const player = document.getElementById('playerName').value || 'Player';
   const difficulty = document.getElementById('difficulty').value;
   const country = window.current.country || 'India';
 
-  const data = await api('/session/start', 'POST', { playerName: player, country, difficulty });
+  const { profile } = window.current;
+  const request = { playerName: player, playerId: profile ? profile.id : undefined, country, difficulty };
+  const data = offline ? offlineApi('/session/start', 'POST', request) : await api('/session/start', 'POST', request);
+  if (data.error) return showDialogue(data.error);
   window.current.sessionId = data.sessionId;
+  window.current.token = data.token;
+  if (!offline) rememberSession(data.sessionId, data.token);
+  watchSession();
   window.current.player = player;
   window.current.difficulty = difficulty;
 
-  showDialogue(`Session started: ${country} (${difficulty})`);
-  addLogEntry('system', 'Presidency begins.');
+  showDialogue(`Session started: ${country} (${difficulty})${offline ? ', offline' : ''}`);
   document.getElementById('titleScreen').style.display = 'none';
   document.getElementById('hudOverlay').style.display = 'grid';
 
   // Pull initial stats snapshot
-  const stats = await api(`/session/${window.current.sessionId}/stats`);
+  const { stats, calendar } = await api(`/session/${window.current.sessionId}/stats`);
   updateHUD(stats.approval, stats.stability, stats.economy, stats.justice, stats.power, stats.chaos);
+  updateCalendar(calendar);
+  applySessionState('active');
+  refreshPendingCrises();
+  refreshHistory();
+  refreshAdvisors();
+  refreshElection();
+}
+
+// Session lifecycle: each state has its own screen. HUD buttons declare the states they work in
+// (data-states); a rebellion forces the rebellion panel open and game over gets its own screen.
+// During a match they also wait for this seat's turn.
+// Returns true when the state took over the screen, so callers can skip their usual dialogue.
+function applySessionState(state, outcome = {}) {
+  window.current.state = state;
+  const { match } = window.current;
+  const waiting = Boolean(match && match.turn !== match.seat);
+  // action families the difficulty profile leaves out stay disabled (Cosmic outside cosmic difficulty)
+  const profile = window.current.difficulties[window.current.difficulty];
+  document.querySelectorAll('#hudOverlay [data-states]').forEach(btn => {
+    const family = btn.dataset.family;
+    btn.disabled = waiting || !btn.dataset.states.split(' ').includes(state) ||
+      Boolean(family && profile && !profile.actions.includes(family));
+  });
+  document.getElementById('rebellionOverlay').classList.toggle('forced', state === 'rebellion');
+
+  if (state === 'rebellion') {
+    const intensity = outcome.rebellion && outcome.rebellion.intensity;
+    document.getElementById('rebellionStatus').textContent =
+      `The streets are in revolt${intensity ? ` (intensity ${intensity})` : ''}. Respond before anything else.`;
+    openOverlay('rebellionOverlay');
+    showDialogue('Rebellion! Only rebellion responses are possible until order returns.');
+    return true;
+  }
+  document.getElementById('rebellionStatus').textContent = '';
+  if (state === 'game_over') {
+    const reason = outcome.gameOver && outcome.gameOver.reason;
+    document.getElementById('gameOverReason').textContent = reason || 'The presidency has collapsed.';
+    ['lawPanel', 'statuteOverlay', 'crisisPanel', 'diplomacyOverlay', 'rebellionOverlay', 'cosmicOverlay', 'campaignOverlay'].forEach(closeOverlay);
+    openOverlay('gameOverOverlay');
+    showDialogue('Game over. Rewind or archive the presidency.');
+    return true;
+  }
+  closeOverlay('gameOverOverlay');
+  return false;
+}
+
+// Advance the game clock by one quarter
+async function handleAdvanceQuarter() {
+  const sessionId = window.current.sessionId;
+  if (!sessionId) return showDialogue('Start a session first.');
+  const data = window.current.match
+    ? await matchRequest({ type: 'move', action: 'endTurn' }).then(r => r.result || r)
+    : await api(`/session/${sessionId}/advance`, 'POST');
+  if (data.error) return showDialogue(data.error);
+  const s = data.stats;
+  updateHUD(s.approval, s.stability, s.economy, s.justice, s.power, s.chaos);
+  updateCalendar(data.calendar);
+  refreshHistory();
+  noteAdvisors(data.advisors);
+  noteNews(data.news);
+  if (data.archive) return showFinalVaultline(data.archive);
+  await refreshPendingCrises();
+  refreshElection();
+  // the new term's state first, so a re-election does not leave the HUD on the old one
+  if (applySessionState(data.state, data)) return;
+  if (data.election) return showDialogue(`Re-elected with ${data.election.voteShare}% of the vote! Term ${data.calendar.term} begins.`);
+  if (data.crises.spawned.length) return showDialogue(`Crisis! ${data.crises.spawned.map(c => c.label).join(', ')}`);
+  showDialogue(`Q${data.calendar.quarter} ${data.calendar.year}: ${data.calendar.quartersLeft} quarters left in the term.`);
 }
 
 // Law enforcement
 async function handleEnforceLaw() {
   const sessionId = window.current.sessionId;
   if (!sessionId) return showDialogue('Start a session first.');
-  const lawType = document.getElementById('lawType').value;
-  const description = document.getElementById('lawDesc').value || 'Law enforced';
+  const lawKey = document.getElementById('lawType').value;
+  const description = document.getElementById('lawDesc').value || undefined;
+
+  const data = await submitAction('law', '/laws/enforce', { lawKey, description });
+  if (data.error) return showDialogue(data.error);
+  const s = data.stats;
+  updateHUD(s.approval, s.stability, s.economy, s.justice, s.power, s.chaos);
+  updateCalendar(data.calendar);
+  refreshHistory();
+  noteAdvisors(data.advisors);
+  noteNews(data.news);
+  if (applySessionState(data.state, data)) return;
+  showDialogue(`Law applied: ${contentLabel('laws', lawKey)}`);
+}
 
-  const data = await api('/laws/enforce', 'POST', { sessionId, lawType, description });
+// Repeal a law in force, from the statute book
+async function handleRepealLaw(lawKey) {
+  const sessionId = window.current.sessionId;
+  if (!sessionId) return showDialogue('Start a session first.');
+  const data = await submitAction('repeal', '/laws/repeal', { lawKey });
+  if (data.error) return showDialogue(data.error);
   const s = data.stats;
   updateHUD(s.approval, s.stability, s.economy, s.justice, s.power, s.chaos);
-  addLogEntry('law', `${description} (${lawType})`);
-  showDialogue(`Law applied: ${lawType}`);
+  updateCalendar(data.calendar);
+  refreshHistory();
+  noteAdvisors(data.advisors);
+  noteNews(data.news);
+  refreshStatutes();
+  if (applySessionState(data.state, data)) return;
+  showDialogue(`Law repealed: ${contentLabel('laws', lawKey)}`);
 }
 
 // Crisis resolution
-async function handleResolveCrisis(strategy) {
+async function handleResolveCrisis(method) {
   const sessionId = window.current.sessionId;
   if (!sessionId) return showDialogue('Start a session first.');
-  const data = await api('/crises/resolve', 'POST', { sessionId, strategy, description: 'Crisis handled' });
+  const select = document.getElementById('crisisType');
+  const crisisId = select.value;
+  if (!crisisId) return showDialogue('No crisis is pending.');
+  const data = await submitAction('crisis', '/crises/resolve', { crisisId, method });
+  if (data.error) return showDialogue(data.error);
   const s = data.stats;
   updateHUD(s.approval, s.stability, s.economy, s.justice, s.power, s.chaos);
-  addLogEntry('crisis', `Strategy: ${strategy}`);
-  showDialogue(`Crisis: ${strategy} executed.`);
+  updateCalendar(data.calendar);
+  refreshHistory();
+  noteAdvisors(data.advisors);
+  noteNews(data.news);
+  refreshPendingCrises();
+  if (applySessionState(data.state, data)) return;
+  showDialogue(`Crisis: ${contentLabel('crisisMethods', method)} response executed.`);
 }
 
 // Diplomacy
-async function handleDiplomacy(action) {
+async function handleDiplomacy(actionKey) {
   const sessionId = window.current.sessionId;
   if (!sessionId) return showDialogue('Start a session first.');
-  const data = await api('/diplomacy/action', 'POST', { sessionId, action });
+  const data = await submitAction('diplomacy', '/diplomacy/action', { actionKey });
+  if (data.error) return showDialogue(data.error);
   const s = data.stats;
   updateHUD(s.approval, s.stability, s.economy, s.justice, s.power, s.chaos);
-  addLogEntry('diplomacy', `Action: ${action}`);
-  showDialogue(`Diplomacy: ${action}.`);
+  updateCalendar(data.calendar);
+  refreshHistory();
+  noteAdvisors(data.advisors);
+  noteNews(data.news);
+  if (applySessionState(data.state, data)) return;
+  showDialogue(`Diplomacy: ${contentLabel('diplomacy', actionKey)}.`);
 }
 
 // Rebellion
-async function handleRebellion(strategy) {
+async function handleRebellion(act) {
   const sessionId = window.current.sessionId;
   if (!sessionId) return showDialogue('Start a session first.');
-  const data = await api('/rebellion/act', 'POST', { sessionId, strategy });
+  const data = await submitAction('rebellion', '/rebellion/act', { act });
+  if (data.error) return showDialogue(data.error);
   const s = data.stats;
   updateHUD(s.approval, s.stability, s.economy, s.justice, s.power, s.chaos);
-  addLogEntry('rebellion', `Action: ${strategy}`);
-  showDialogue(`Rebellion: ${strategy}.`);
+  updateCalendar(data.calendar);
+  refreshHistory();
+  noteAdvisors(data.advisors);
+  noteNews(data.news);
+  if (applySessionState(data.state, data)) return;
+  closeOverlay('rebellionOverlay');
+  showDialogue(`Rebellion: ${contentLabel('rebellion', act)}. Order is restored.`);
 }
 
 // Cosmic
-async function handleCosmic(kind) {
+async function handleCosmic(actKey) {
   const sessionId = window.current.sessionId;
   if (!sessionId) return showDialogue('Start a session first.');
-  const data = await api('/cosmic/act', 'POST', { sessionId, kind });
+  const data = await submitAction('cosmic', '/cosmic/act', { actKey });
+  if (data.error) return showDialogue(data.error);
   const s = data.stats;
   updateHUD(s.approval, s.stability, s.economy, s.justice, s.power, s.chaos);
-  addLogEntry('cosmic', `Action: ${kind}`);
-  showDialogue(`Cosmic: ${kind}.`);
+  updateCalendar(data.calendar);
+  refreshHistory();
+  noteAdvisors(data.advisors);
+  noteNews(data.news);
+  if (applySessionState(data.state, data)) return;
+  showDialogue(`Cosmic: ${contentLabel('cosmic', actKey)}.`);
 }
 
-// Timeline
-async function refreshTimeline() {
+// Campaign
+async function handleCampaign(campaignKey) {
+  const sessionId = window.current.sessionId;
+  if (!sessionId) return showDialogue('Start a session first.');
+  const data = await submitAction('campaign', '/campaign/act', { campaignKey });
+  if (data.error) return showDialogue(data.error);
+  const s = data.stats;
+  updateHUD(s.approval, s.stability, s.economy, s.justice, s.power, s.chaos);
+  updateCalendar(data.calendar);
+  refreshHistory();
+  noteAdvisors(data.advisors);
+  noteNews(data.news);
+  refreshElection();
+  const { backfired } = data.campaign;
+  if (applySessionState(data.state, data)) return;
+  showDialogue(backfired ? `${contentLabel('campaign', campaignKey)} backfired!` : `Campaign: ${contentLabel('campaign', campaignKey)}.`);
+}
+
+// Timeline, newest first and a page at a time (`more` appends the next older page); each entry can
+// be forked, and a fork's branch point is highlighted. New events arrive on the session's event stream.
+const TIMELINE_PAGE = 50;
+const TIMELINE_TYPES = ['system', 'calendar', 'law', 'repeal', 'crisis', 'diplomacy', 'rebellion', 'cosmic', 'campaign', 'election', 'advisor', 'achievement', 'fork', 'archive'];
+let timelineLoaded = 0;
+
+function timelineItem(t) {
+  const div = document.createElement('div');
+  div.className = 'timeline-item';
+  const when = new Date(t.at).toLocaleTimeString();
+  // descriptions carry player text (names, action notes, imported archives): never markup
+  const type = document.createElement('span');
+  type.className = 'type';
+  type.textContent = `[${t.type}] `;
+  div.append(type, `${t.description} — ${when}`);
+  if (t.type === 'fork') {
+    div.classList.add('timeline-fork');
+  } else {
+    const btn = document.createElement('button');
+    btn.className = 'fork-btn';
+    btn.title = 'Fork a new presidency from this point';
+    btn.textContent = 'fork';
+    btn.addEventListener('click', () => handleFork(t.id));
+    div.appendChild(btn);
+  }
+  return div;
+}
+
+// A streamed event goes on top, unless the type filter hides it
+function showTimelineEvent(t) {
+  const type = document.getElementById('timelineType').value;
+  if (type && type !== t.type) return;
+  document.getElementById('timelineList').prepend(timelineItem(t));
+  timelineLoaded++;
+}
+
+async function refreshTimeline(more = false) {
   const sessionId = window.current.sessionId;
   if (!sessionId) return;
-  const items = await api(`/timeline/${sessionId}`);
+  const params = new URLSearchParams({ order: 'desc', limit: TIMELINE_PAGE, offset: more === true ? timelineLoaded : 0 });
+  const type = document.getElementById('timelineType').value;
+  if (type) params.set('type', type);
+  const { timeline = [], total = 0 } = await api(`/timeline/${sessionId}?${params}`);
   const list = document.getElementById('timelineList');
-  list.innerHTML = '';
-  for (const t of items.reverse()) {
-    const div = document.createElement('div');
-    div.className = 'timeline-item';
-    const when = new Date(t.at).toLocaleTimeString();
-    div.innerHTML = `<span class="type">[${t.type}]</span> ${t.description} — ${when}`;
-    list.appendChild(div);
+  if (more !== true) {
+    list.innerHTML = '';
+    timelineLoaded = 0;
   }
+  for (const t of timeline) list.appendChild(timelineItem(t));
+  timelineLoaded += timeline.length;
+  document.getElementById('timelineMore').style.display = timelineLoaded < total ? 'inline-block' : 'none';
+}
+
+async function openTimeline() {
+  const select = document.getElementById('timelineType');
+  if (!select.options.length) fillFilter('timelineType', TIMELINE_TYPES.map(t => [t, t]), 'All events');
+  openOverlay('timelineOverlay');
+  await refreshTimeline();
+}
+
+// --- Event stream ---
+// GET /session/:id/events pushes the presidency's timeline, stats and headlines as they happen, to
+// this page and to any spectator (spectate.html). Action handlers still show their own response.
+// Offline sessions have no stream.
+function watchSession() {
+  const { sessionId, stream } = window.current;
+  if (stream && stream.sessionId === sessionId) return;
+  if (stream) stream.source.close();
+  window.current.stream = null;
+  if (!sessionId || isOfflineSession(sessionId)) return;
+
+  const source = new EventSource(`${window.current.baseURL}/session/${sessionId}/events`);
+  const on = (event, handler) => source.addEventListener(event, e => handler(JSON.parse(e.data)));
+  let connected = false;
+  // a reconnect may have missed events: reload the timeline
+  on('snapshot', () => {
+    if (connected) refreshTimeline();
+    connected = true;
+  });
+  on('timeline', showTimelineEvent);
+  on('stats', ({ stats, calendar }) => {
+    updateHUD(stats.approval, stats.stability, stats.economy, stats.justice, stats.power, stats.chaos);
+    updateCalendar(calendar);
+  });
+  on('rewind', () => refreshTimeline());
+  on('watchers', ({ count }) => {
+    document.getElementById('hudWatchers').textContent = count > 1 ? `${count - 1} watching` : '';
+  });
+  window.current.stream = { sessionId, source };
+}
+
+// Spectator link for the current session
+async function shareSession() {
+  if (!window.current.sessionId) return showDialogue('Start a session first.');
+  if (isOfflineSession(window.current.sessionId)) return showDialogue('Offline presidencies cannot be watched: upload the finished run first.');
+  const base = location.protocol.startsWith('http') ? location.origin : window.current.baseURL;
+  const link = `${base}/spectate.html?session=${window.current.sessionId}`;
+  try {
+    await navigator.clipboard.writeText(link);
+    showDialogue('Spectator link copied to the clipboard.');
+  } catch (err) {
+    showDialogue(`Spectator link: ${link}`);
+  }
+}
+
+// Re-read everything the HUD shows for the current session from the server
+async function syncSession() {
+  watchSession();
+  const sessionId = window.current.sessionId;
+  const { stats, calendar, state } = await api(`/session/${sessionId}/stats`);
+  updateHUD(stats.approval, stats.stability, stats.economy, stats.justice, stats.power, stats.chaos);
+  updateCalendar(calendar);
+  applySessionState(state);
+  await Promise.all([refreshPendingCrises(), refreshHistory(), refreshTimeline(), refreshAdvisors(), refreshStatutes(), refreshFactions(), refreshElection()]);
+}
+
+// Rewind the current presidency by N actions
+async function handleRewind(steps) {
+  const sessionId = window.current.sessionId;
+  if (!sessionId) return showDialogue('Start a session first.');
+  const data = await api(`/session/${sessionId}/rewind`, 'POST', { steps });
+  if (data.error) return showDialogue(data.error);
+  await syncSession();
+  if (data.state !== 'active') return;
+  showDialogue(`Rewound ${data.rewound} action(s).`);
+}
+
+// Branch a new presidency from a timeline event and switch to it
+async function handleFork(eventId) {
+  const sessionId = window.current.sessionId;
+  if (!sessionId) return showDialogue('Start a session first.');
+  const data = await api(`/session/${sessionId}/fork`, 'POST', { eventId });
+  if (data.error) return showDialogue(data.error);
+  window.current.sessionId = data.sessionId;
+  window.current.token = data.token;
+  rememberSession(data.sessionId, data.token);
+  await syncSession();
+  if (window.current.state !== 'active') return;
+  showDialogue('Forked a new presidency from the chosen moment.');
 }
 document.getElementById('timelineOverlay').addEventListener('click', (e) => {
   if (e.target.id === 'timelineOverlay') refreshTimeline();
@@ -148,47 +822,452 @@ document.getElementById('timelineOverlay').addEventListener('click', (e) => {
 async function endAndArchive() {
   const sessionId = window.current.sessionId;
   if (!sessionId) return showDialogue('Start a session first.');
+  if (window.current.match) return showDialogue('Both presidencies are archived when the match ends.');
   openOverlay('archiveOverlay');
   document.getElementById('archiveMsg').textContent = 'Compressing your presidency...';
 
-  const res = await api('/session/end', 'POST', { sessionId });
-  const { archive } = res;
+  const archive = await api('/session/end', 'POST', { sessionId });
+  if (archive.error) {
+    closeOverlay('archiveOverlay');
+    return showDialogue(archive.error);
+  }
+  forgetSession(sessionId);
+  showFinalVaultline(archive);
+}
 
-  // Show final screen
+// Final Vaultline screen for an archived presidency ({ stats, glyphs, reason })
+function showFinalVaultline(archive) {
   const stats = archive.stats;
   document.getElementById('vaultlineStats').textContent =
-    `Country: ${archive.country} | Diff: ${archive.difficulty} | ` +
+    (archive.reason ? `${archive.reason} | ` : '') +
+    `Country: ${window.current.country} | Diff: ${window.current.difficulty} | ` +
     `Laws: ${stats.laws} | Crises: ${stats.crises} | ` +
-    `Justice: ${stats.justice}% | Power: ${stats.power}% | Chaos: ${stats.chaos}%`;
+    `Justice: ${stats.justice}% | Power: ${stats.power}% | Chaos: ${stats.chaos}%` +
+    (archive.legacy ? ` | Legacy score: ${archive.legacy.score}` : '');
 
-  document.getElementById('vaultlineGlyphs').textContent = (archive.glyphs || ['⚖️','⚡','🌪️']).join(' ');
+  document.getElementById('vaultlineElections').textContent = (archive.elections || []).length
+    ? `Elections: ${archive.elections.map(describeElectionResult).join(' | ')}` : '';
+  document.getElementById('vaultlineGlyphs').textContent = archive.glyphs || '⚖️ ⚡ 🌪️';
+  showVaultlineLinks();
+  drawVaultlineChart();
   closeOverlay('archiveOverlay');
+  closeOverlay('gameOverOverlay');
+  closeOverlay('rebellionOverlay');
   openOverlay('vaultlineOverlay');
   showDialogue('Final Vaultline Entry created.');
 }
 
+// Exports of the archived presidency, or the upload of an offline one (exports follow once it is on the server)
+function showVaultlineLinks() {
+  const { sessionId, baseURL } = window.current;
+  const offline = isOfflineSession(sessionId);
+  document.getElementById('vaultlineExports').style.display = offline ? 'none' : '';
+  document.getElementById('vaultlineUpload').style.display = offline ? '' : 'none';
+  if (offline) return;
+  for (const [id, format] of [['exportMd', 'md'], ['exportCsv', 'csv'], ['exportJson', 'json']]) {
+    document.getElementById(id).href = `${baseURL}/session/${sessionId}/export?format=${format}`;
+  }
+}
+
+// Upload the finished offline presidency as a replay: the server plays its moves again and, when they
+// end where this page says they did, archives it like any other presidency
+async function uploadOfflineRun() {
+  const sessionId = window.current.sessionId;
+  if (!isOfflineSession(sessionId)) return;
+  const data = await api('/replays', 'POST', offlineReplay(sessionId));
+  if (data.error) return showDialogue(`Upload failed: ${data.error}`);
+  forgetOfflineRun(sessionId);
+  window.current.sessionId = data.sessionId;
+  window.current.token = data.token || null;
+  showVaultlineLinks();
+  showDialogue(data.alreadyUploaded ? 'This presidency was uploaded before.'
+    : `Replay verified and archived${data.archive.legacy ? ` with a legacy score of ${data.archive.legacy.score}` : ''}.`);
+}
+
+// Import a shared glyph string as a read-only presidency
+async function handleImportArchive() {
+  const glyphs = document.getElementById('importGlyphs').value.trim();
+  if (!glyphs) return showDialogue('Paste a Vaultline glyph string first.');
+  const data = await api('/archive/import', 'POST', { glyphs });
+  if (data.error) return showDialogue(data.error);
+
+  window.current.sessionId = data.sessionId;
+  window.current.token = data.token;
+  window.current.country = data.session.country;
+  fillLawSelect();
+  window.current.difficulty = data.session.difficulty;
+  document.getElementById('titleScreen').style.display = 'none';
+  document.getElementById('importGlyphs').value = '';
+  showFinalVaultline({ stats: data.stats, glyphs, reason: `Imported: ${data.session.playerName}` });
+}
+
+// --- Leaderboard ---
+// Country and difficulty filters come from the cached profiles; categories and time windows from the first answer.
+function fillFilter(selectId, entries, anyLabel) {
+  const select = document.getElementById(selectId);
+  select.innerHTML = '';
+  if (anyLabel) entries = [['', anyLabel]].concat(entries);
+  for (const [value, label] of entries) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = label;
+    select.appendChild(opt);
+  }
+}
+
+async function openLeaderboard() {
+  fillFilter('lbCountry', Object.values(window.current.countries).map(c => [c.key, c.name]), 'All countries');
+  fillFilter('lbDifficulty', Object.values(window.current.difficulties).map(d => [d.key, d.label]), 'All difficulties');
+  openOverlay('leaderboardOverlay');
+  await refreshLeaderboard();
+}
+
+async function refreshLeaderboard() {
+  const params = new URLSearchParams();
+  for (const [param, id] of [['category', 'lbCategory'], ['country', 'lbCountry'], ['difficulty', 'lbDifficulty'], ['window', 'lbWindow']]) {
+    const value = document.getElementById(id).value;
+    if (value) params.set(param, value);
+  }
+  const data = await api(`/leaderboard?${params}`);
+  const list = document.getElementById('leaderboardList');
+  if (data.error) {
+    list.textContent = data.error;
+    return;
+  }
+  if (!document.getElementById('lbCategory').options.length) {
+    fillFilter('lbCategory', data.categories.map(c => [c.key, c.label]));
+    fillFilter('lbWindow', data.windows.map(w => [w, w === 'all' ? 'All time' : `Past ${w}`]));
+    document.getElementById('lbWindow').value = data.filters.window;
+  }
+
+  list.innerHTML = '';
+  if (!data.entries.length) list.textContent = 'No archived presidencies match yet.';
+  for (const e of data.entries) {
+    const row = document.createElement('div');
+    row.className = 'leaderboard-entry';
+    const country = window.current.countries[e.country];
+    const b = e.scoreBreakdown;
+    row.title = `Stats ${b.stats} + laws ${b.laws} + crises ${b.crises} + achievements ${b.achievements}, x${b.multiplier}`;
+    const cells = [
+      ['rank', `#${e.rank}`],
+      ['who', `${e.playerName}, ${country ? country.name : e.country} (${e.difficulty})`],
+      ['when', `${e.reason || 'Archived'}, ${new Date(e.endedAt).toLocaleDateString()}`],
+      ['score', data.category === 'legacy' ? `${e.score} pts` : `${e.value} (${e.score} pts)`]
+    ];
+    for (const [cls, text] of cells) {
+      const cell = document.createElement(cls === 'score' ? 'b' : 'span');
+      cell.className = cls;
+      cell.textContent = text;
+      row.appendChild(cell);
+    }
+    list.appendChild(row);
+  }
+}
+
+// --- Newspaper ---
+// Every outlet's coverage of the current presidency, newest first; the outlet filter is filled from the first answer.
+async function openNewspaper() {
+  if (!window.current.sessionId) return showDialogue('Start a session first.');
+  document.getElementById('newsOutlet').innerHTML = '';
+  openOverlay('newsOverlay');
+  await refreshNewspaper();
+}
+
+async function refreshNewspaper() {
+  const select = document.getElementById('newsOutlet');
+  const outlet = select.value;
+  const data = await api(`/session/${window.current.sessionId}/news${outlet ? `?outlet=${outlet}` : ''}`);
+  const list = document.getElementById('newsList');
+  if (data.error) {
+    list.textContent = data.error;
+    return;
+  }
+  if (!select.options.length) {
+    fillFilter('newsOutlet', data.outlets.map(o => [o.key, o.name]), 'All outlets');
+    select.value = outlet;
+  }
+  list.innerHTML = '';
+  if (!data.stories.length) list.textContent = 'No stories yet.';
+  for (const story of data.stories) {
+    const item = document.createElement('div');
+    item.className = `news-story news-${story.tone}`;
+    const masthead = document.createElement('span');
+    masthead.className = 'type';
+    masthead.textContent = `${story.outletName}, ${story.date}`;
+    const headline = document.createElement('b');
+    headline.textContent = story.headline;
+    const body = document.createElement('p');
+    body.textContent = story.body;
+    item.append(masthead, headline, body);
+    list.appendChild(item);
+  }
+}
+
+// --- Saved presidencies ---
+// The server checkpoints every move, so a session can be picked up from any tab that still has its
+// token. Tokens of the sessions started here are kept in localStorage (sessionId -> token).
+// Offline presidencies are listed with them until they are uploaded.
+function savedTokens() {
+  return JSON.parse(localStorage.getItem('sessions') || '{}');
+}
+
+function rememberSession(sessionId, token) {
+  localStorage.setItem('sessions', JSON.stringify(Object.assign(savedTokens(), { [sessionId]: token })));
+}
+
+function forgetSession(sessionId) {
+  const tokens = savedTokens();
+  delete tokens[sessionId];
+  localStorage.setItem('sessions', JSON.stringify(tokens));
+}
+
+// Saved sessions are looked up this many at a time: the server's largest /sessions limit, so every
+// open session of a batch comes back and the rest of the batch has ended
+const SAVED_SESSIONS_BATCH = 100;
+
+// Title screen "Continue presidency" list; sessions that ended in the meantime drop off
+async function refreshSavedSessions() {
+  const tokens = savedTokens();
+  const ids = Object.keys(tokens);
+  const list = document.getElementById('savedSessions');
+  list.innerHTML = '';
+  document.getElementById('continueForm').style.display = 'none';
+
+  let sessions = [];
+  for (let i = 0; i < ids.length; i += SAVED_SESSIONS_BATCH) {
+    const batch = ids.slice(i, i + SAVED_SESSIONS_BATCH);
+    const data = await api(`/sessions?limit=${SAVED_SESSIONS_BATCH}&ids=${batch.map(encodeURIComponent).join(',')}`);
+    // without the server there is no telling which sessions ended
+    if (data.error) break;
+    sessions = sessions.concat(data.sessions);
+    for (const id of batch) {
+      if (!data.sessions.some(s => s.sessionId === id)) forgetSession(id);
+    }
+  }
+  sessions.sort((a, b) => (a.savedAt < b.savedAt ? 1 : a.savedAt > b.savedAt ? -1 : 0));
+  const playable = sessions.filter(s => !s.matchId).concat(offlineSessionList());
+  if (playable.length) document.getElementById('continueForm').style.display = '';
+  for (const saved of playable) {
+    const country = window.current.countries[saved.country];
+    const row = document.createElement('button');
+    row.className = 'saved-session';
+    row.title = `Approval ${saved.stats.approval}% Stability ${saved.stats.stability}% Economy ${saved.stats.economy}% Chaos ${saved.stats.chaos}%`;
+    row.textContent = `${saved.playerName}, ${country ? country.name : saved.country} (${saved.difficulty})${isOfflineSession(saved.sessionId) ? ' offline' : ''} | ` +
+      `Q${saved.calendar.quarter} ${saved.calendar.year}${saved.state === 'active' ? '' : ` [${saved.state}]`} | ` +
+      `${saved.lastAction ? saved.lastAction.label : 'No moves yet'}, saved ${new Date(saved.savedAt).toLocaleString()}`;
+    row.addEventListener('click', () => resumeSession(saved, tokens[saved.sessionId]));
+    list.appendChild(row);
+  }
+}
+
+// Counterpart of startSession: pick up a saved presidency and rebuild the HUD and panels from the server
+async function resumeSession(saved, token) {
+  window.current.sessionId = saved.sessionId;
+  window.current.token = token;
+  window.current.player = saved.playerName;
+  window.current.country = saved.country;
+  window.current.difficulty = saved.difficulty;
+  fillLawSelect();
+
+  document.getElementById('titleScreen').style.display = 'none';
+  document.getElementById('hudOverlay').style.display = 'grid';
+  // a finished offline presidency only waits for its upload
+  const archive = isOfflineSession(saved.sessionId) && offlineRunArchive(saved.sessionId);
+  if (archive) return showFinalVaultline(archive);
+  await syncSession();
+  if (window.current.state !== 'active') return;
+  showDialogue(`Resumed: ${saved.playerName} in ${saved.country}, Q${saved.calendar.quarter} ${saved.calendar.year}`);
+}
+
+// --- Player profile ---
+// The profile (with its token) is kept in localStorage; sessions started while it is set are filed under it.
+function showProfile() {
+  const { profile } = window.current;
+  document.getElementById('profileInfo').textContent = profile ? `Playing as ${profile.name}` : 'No profile: this run will not count toward a career.';
+  document.getElementById('careerBtn').style.display = profile ? '' : 'none';
+  if (profile) document.getElementById('playerName').value = profile.name;
+}
+
+async function createProfile() {
+  const name = document.getElementById('playerName').value.trim();
+  if (!name) return showDialogue('Enter a player name first.');
+  const data = await api('/players', 'POST', { name });
+  if (data.error) return showDialogue(data.error);
+  window.current.profile = { id: data.player.id, name: data.player.name, token: data.token };
+  localStorage.setItem('profile', JSON.stringify(window.current.profile));
+  showProfile();
+  showDialogue(`Profile created: ${data.player.name}`);
+}
+
+// One line per finished presidency on the career page
+function describeOutcome(outcome) {
+  const country = window.current.countries[outcome.country];
+  return `${country ? country.name : outcome.country} (${outcome.difficulty}): ${outcome.reason || outcome.state}, ` +
+    `${outcome.legacy.score} pts after ${outcome.calendar.turn} quarters`;
+}
+
+async function openCareer() {
+  const { profile } = window.current;
+  if (!profile) return showDialogue('Create a profile first.');
+  const data = await api(`/players/${profile.id}`);
+  if (data.error) return showDialogue(data.error);
+
+  const { presidencies, strategies } = data;
+  document.getElementById('careerName').textContent = data.player.name.toUpperCase();
+  document.getElementById('careerSummary').textContent = `${presidencies.total} presidencies, ${presidencies.finished} finished, ` +
+    `${strategies.actions} decisions since ${new Date(data.player.createdAt).toLocaleDateString()}`;
+  const lines = [
+    ['Best', data.best ? describeOutcome(data.best) : 'No finished presidency yet'],
+    ['Worst', data.worst ? describeOutcome(data.worst) : '-'],
+    ['Favorite moves', strategies.favorites.map(f => `${f.label} (${Math.round(f.share * 100)}%)`).join(', ') || '-'],
+    ['Achievements', data.achievements.map(a => `${a.key} (x${a.presidencies})`).join(', ') || '-']
+  ];
+  const list = document.getElementById('careerList');
+  list.innerHTML = '';
+  for (const [label, text] of lines) {
+    const row = document.createElement('p');
+    const b = document.createElement('b');
+    b.textContent = `${label}: `;
+    row.appendChild(b);
+    row.appendChild(document.createTextNode(text));
+    list.appendChild(row);
+  }
+  openOverlay('careerOverlay');
+}
+
+// --- Multiplayer match over WebSocket ---
+// Requests carry a ref; the server echoes it on the reply meant for this tab.
+let matchRefs = 0;
+const matchPending = new Map();
+
+function matchRequest(msg) {
+  const { socket } = window.current.match;
+  const ref = ++matchRefs;
+  return new Promise(resolve => {
+    matchPending.set(ref, resolve);
+    socket.send(JSON.stringify(Object.assign({ ref }, msg)));
+  });
+}
+
+// Join (or open) a match room by id; two tabs joining the same id play each other
+async function joinMatch() {
+  const matchId = document.getElementById('matchId').value.trim();
+  if (!matchId) return showDialogue('Enter a match id first.');
+  if (!window.current.country) return showDialogue('Select a country first.');
+
+  const socket = new WebSocket(window.current.baseURL.replace(/^http/, 'ws') + '/ws/match');
+  await new Promise((resolve, reject) => {
+    socket.addEventListener('open', resolve);
+    socket.addEventListener('error', reject);
+  }).catch(() => null);
+  if (socket.readyState !== WebSocket.OPEN) return showDialogue('Could not reach the match server.');
+
+  window.current.match = { matchId, seat: null, turn: null, socket };
+  socket.addEventListener('message', (e) => handleMatchMessage(JSON.parse(e.data)));
+  socket.addEventListener('close', () => {
+    if (window.current.match && window.current.match.socket === socket) showDialogue('Disconnected from the match.');
+  });
+
+  const player = document.getElementById('playerName').value || 'Player';
+  const difficulty = document.getElementById('difficulty').value;
+  // a tab that already holds a seat in this room reconnects to it
+  const { sessionId, token } = JSON.parse(sessionStorage.getItem(`match:${matchId}`) || '{}');
+  const { profile } = window.current;
+  const joined = await matchRequest({
+    type: 'join', matchId, playerName: player, country: window.current.country, difficulty, sessionId, token,
+    playerId: profile ? profile.id : undefined, playerToken: profile ? profile.token : undefined
+  });
+  if (joined.error) {
+    socket.close();
+    window.current.match = null;
+    return showDialogue(joined.error);
+  }
+
+  sessionStorage.setItem(`match:${matchId}`, JSON.stringify({ sessionId: joined.sessionId, token: joined.token }));
+  window.current.match.seat = joined.seat;
+  window.current.sessionId = joined.sessionId;
+  window.current.token = joined.token;
+  window.current.player = player;
+  window.current.difficulty = difficulty;
+  document.getElementById('titleScreen').style.display = 'none';
+  document.getElementById('hudOverlay').style.display = 'grid';
+  addLogEntry('system', `Joined match ${matchId} as seat ${joined.seat}.`);
+  await syncSession();
+}
+
+function handleMatchMessage(msg) {
+  if (msg.ref && matchPending.has(msg.ref)) {
+    matchPending.get(msg.ref)(msg);
+    matchPending.delete(msg.ref);
+  }
+  if (msg.type === 'match') return updateMatchBar(msg.match, msg.archives);
+  // the opponent's moves arrive without our ref
+  if (msg.type === 'move' && msg.seat !== window.current.match.seat) {
+    const label = msg.action === 'endTurn' ? 'ended their turn' : `played ${msg.action}`;
+    addLogEntry('match', `Opponent ${label}`);
+  }
+}
+
+// Match status strip: whose turn it is and the opponent's standing; the final result ends the game
+function updateMatchBar(match, archives) {
+  const { seat } = window.current.match;
+  const opponent = match.players[seat === 'A' ? 'B' : 'A'];
+  const bar = document.getElementById('matchBar');
+  bar.style.display = 'block';
+
+  if (match.status === 'waiting') {
+    bar.textContent = `Match ${match.matchId}: waiting for an opponent...`;
+  } else if (match.status === 'playing') {
+    const s = opponent.stats;
+    const turn = match.turn === seat ? 'Your turn' : `${opponent.playerName}'s turn`;
+    bar.textContent = `Match ${match.matchId} | ${turn} | ${opponent.playerName} (${opponent.country}): ` +
+      `Approval ${s.approval}% Stability ${s.stability}% Economy ${s.economy}% Chaos ${s.chaos}%`;
+    window.current.match.turn = match.turn;
+    applySessionState(match.players[seat].state);
+  } else {
+    const result = !match.winner ? 'The match is drawn' : match.winner === seat ? 'You won the match' : `${opponent.playerName} won the match`;
+    bar.textContent = `${result} (${match.scores[seat]} to ${match.scores[seat === 'A' ? 'B' : 'A']})`;
+    window.current.match.socket.close();
+    window.current.match = null;
+    showFinalVaultline(Object.assign({}, archives ? archives[seat] : { stats: match.players[seat].stats }, { reason: result }));
+  }
+}
+
 // Return to title
 function returnToTitle() {
+  if (window.current.match) window.current.match.socket.close();
+  window.current.match = null;
+  document.getElementById('matchBar').style.display = 'none';
   window.current.sessionId = null;
+  window.current.token = null;
+  watchSession();
+  document.getElementById('hudWatchers').textContent = '';
   window.current.country = null;
+  window.current.state = null;
   document.getElementById('vaultlineOverlay').style.display = 'none';
   document.getElementById('hudOverlay').style.display = 'none';
   document.getElementById('titleScreen').style.display = 'block';
   document.getElementById('timelineList').innerHTML = '';
+  document.getElementById('advisorStrip').innerHTML = '';
+  document.getElementById('statuteList').innerHTML = '';
+  document.getElementById('factionList').innerHTML = '';
+  document.getElementById('dialogueHeadline').textContent = '';
   showDialogue('Welcome to President Sim');
+  refreshSavedSessions();
 }
 
 // Title screen interactions
 window.addEventListener('DOMContentLoaded', () => {
+  api('/api').then(spec => { window.current.apiSpec = spec; }).catch(() => null);
+  // Action panels come from the server's content packs
+  loadContent().catch(() => showDialogue('Could not load game content from the server.'));
+  loadDifficulties().catch(() => showDialogue('Could not load difficulty profiles from the server.'));
+  document.getElementById('difficulty').addEventListener('change', describeDifficulty);
+
   // Country select
-  document.querySelectorAll('.country-card').forEach(card => {
-    card.addEventListener('click', () => {
-      document.querySelectorAll('.country-card').forEach(c => c.classList.remove('active'));
-      card.classList.add('active');
-      window.current.country = card.getAttribute('data-country');
-      showDialogue(`Selected: ${window.current.country}`);
-    });
-  });
+  loadCountries().catch(() => showDialogue('Could not load countries from the server.'));
+  showProfile();
+  refreshSavedSessions().catch(() => null);
 
   // Start button
   document.getElementById('startBtn').addEventListener('click', async () => {
@@ -200,4 +1279,9 @@ window.addEventListener('DOMContentLoaded', () => {
     // Initial timeline pull
     setTimeout(refreshTimeline, 300);
   });
+  document.getElementById('offlineBtn').addEventListener('click', async () => {
+    if (!window.current.country) return showDialogue('Select a country first.');
+    await startSession(true);
+    refreshTimeline();
+  });
 });
\ No newline at end of file
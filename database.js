@@ -0,0 +1,174 @@
+// database.js
+// Opening the SQLite database and versioning its schema. Run with --help for the migration CLI.
+//
+// Migrations are migrations/NNN_name.js modules exporting { up(db, helpers), down(db, helpers) }, applied
+// in version order. Applied versions are recorded in SchemaMigration; each migration runs in one
+// transaction with its record, so a failing migration leaves the database at the version before it.
+// The database file is DB_PATH (or --db), president_sim.db by default; ':memory:' gives a throwaway one.
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const DEFAULT_DB_PATH = 'president_sim.db';
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+const USAGE = `usage: node database.js <command> [options]
+  migrate               apply pending migrations (all, or up to --to)
+  rollback              undo the latest migration (or --steps N of them, or down to --to)
+  status                list migrations and whether each is applied
+options:
+  --db PATH             database file (default DB_PATH or ${DEFAULT_DB_PATH})
+  --to N                target version
+  --steps N             migrations to roll back (default 1)`;
+
+function openDatabase(file = process.env.DB_PATH || DEFAULT_DB_PATH) {
+  return new Database(file);
+}
+
+// Migration modules in version order: { version, name, up, down }
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of fs.readdirSync(dir)) {
+    const match = MIGRATION_FILE.exec(file);
+    if (!match) continue;
+    const version = Number(match[1]);
+    if (migrations.some(m => m.version === version)) throw new Error(`two migrations are numbered ${version}`);
+    const { up, down } = require(path.join(dir, file));
+    if (typeof up !== 'function' || typeof down !== 'function') throw new Error(`${file} must export up and down functions`);
+    migrations.push({ version, name: match[2], up, down });
+  }
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+// Column changes for migrations; both skip work already done, for databases that predate versioning
+function schemaHelpers(db) {
+  const hasColumn = (table, column) => db.prepare(`PRAGMA table_info(${table})`).all().some(c => c.name === column);
+  return {
+    addColumn(table, column, definition) {
+      if (!hasColumn(table, column)) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    },
+    dropColumn(table, column) {
+      if (hasColumn(table, column)) db.exec(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  };
+}
+
+// version -> { version, name, appliedAt } of the applied migrations
+function appliedMigrations(db) {
+  db.exec(`
+CREATE TABLE IF NOT EXISTS SchemaMigration (
+  version INTEGER PRIMARY KEY,
+  name TEXT,
+  appliedAt TEXT
+)`);
+  const applied = new Map();
+  for (const row of db.prepare(`SELECT version, name, appliedAt FROM SchemaMigration ORDER BY version`).all()) applied.set(row.version, row);
+  return applied;
+}
+
+function currentVersion(applied) {
+  return applied.size ? Math.max(...applied.keys()) : 0;
+}
+
+// Every known migration with its appliedAt (null when pending); applied versions without a file
+// (the database is newer than this code) are listed with `missing: true`
+function migrationStatus(db, migrations = loadMigrations()) {
+  const applied = appliedMigrations(db);
+  const list = migrations.map(m => ({ version: m.version, name: m.name, appliedAt: applied.has(m.version) ? applied.get(m.version).appliedAt : null }));
+  for (const row of applied.values()) {
+    if (!migrations.some(m => m.version === row.version)) list.push(Object.assign({ missing: true }, row));
+  }
+  list.sort((a, b) => a.version - b.version);
+  return { version: currentVersion(applied), migrations: list, pending: list.filter(m => !m.appliedAt).length };
+}
+
+// Apply pending migrations up to `to` (default: all); returns the ones applied
+function migrate(db, { to = Infinity } = {}, migrations = loadMigrations()) {
+  const applied = appliedMigrations(db);
+  const helpers = schemaHelpers(db);
+  const record = db.prepare(`INSERT INTO SchemaMigration (version, name, appliedAt) VALUES (@version, @name, @appliedAt)`);
+  const done = [];
+  for (const migration of migrations) {
+    if (migration.version > to || applied.has(migration.version)) continue;
+    db.transaction(() => {
+      migration.up(db, helpers);
+      record.run({ version: migration.version, name: migration.name, appliedAt: new Date().toISOString() });
+    })();
+    done.push(migration);
+  }
+  return done;
+}
+
+// Undo the latest `steps` applied migrations, or every one above version `to`; returns the ones undone
+function rollback(db, { steps = 1, to } = {}, migrations = loadMigrations()) {
+  const applied = appliedMigrations(db);
+  const versions = [...applied.keys()].sort((a, b) => b - a);
+  const targets = to === undefined ? versions.slice(0, steps) : versions.filter(v => v > to);
+  const helpers = schemaHelpers(db);
+  const forget = db.prepare(`DELETE FROM SchemaMigration WHERE version = ?`);
+  const done = [];
+  for (const version of targets) {
+    const migration = migrations.find(m => m.version === version);
+    if (!migration) throw new Error(`migration ${version} (${applied.get(version).name}) has no file to roll back with`);
+    db.transaction(() => {
+      migration.down(db, helpers);
+      forget.run(version);
+    })();
+    done.push(migration);
+  }
+  return done;
+}
+
+function parseArgs(argv) {
+  const args = { command: argv[0], db: process.env.DB_PATH || DEFAULT_DB_PATH };
+  if (!args.command || args.command === '--help' || args.command === '-h') return { help: true };
+  if (!['migrate', 'rollback', 'status'].includes(args.command)) throw new Error(`unknown command ${args.command}`);
+  for (let i = 1; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    const key = flag.replace(/^--/, '');
+    if (flag === '--help' || flag === '-h') return { help: true };
+    if (!flag.startsWith('--') || !['db', 'to', 'steps'].includes(key)) throw new Error(`unknown option ${argv[i]}`);
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined) throw new Error(`${flag} needs a value`);
+    args[key] = value;
+  }
+  for (const key of ['to', 'steps']) {
+    if (args[key] === undefined) continue;
+    args[key] = Number(args[key]);
+    if (!Number.isInteger(args[key]) || args[key] < (key === 'to' ? 0 : 1)) throw new Error(`--${key} must be ${key === 'to' ? 'a version number' : 'a positive integer'}`);
+  }
+  return args;
+}
+
+const describe = m => `${String(m.version).padStart(3, '0')}_${m.name}`;
+
+if (require.main === module) {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+      console.log(USAGE);
+    } else {
+      const db = openDatabase(args.db);
+      if (args.command === 'migrate') {
+        const done = migrate(db, { to: args.to });
+        console.log(done.length ? done.map(m => `applied ${describe(m)}`).join('\n') : 'nothing to migrate');
+      } else if (args.command === 'rollback') {
+        const done = rollback(db, { steps: args.steps, to: args.to });
+        console.log(done.length ? done.map(m => `rolled back ${describe(m)}`).join('\n') : 'nothing to roll back');
+      } else {
+        const status = migrationStatus(db);
+        for (const m of status.migrations) {
+          console.log(`${describe(m).padEnd(32)} ${m.missing ? `applied ${m.appliedAt} (no migration file)` : m.appliedAt ? `applied ${m.appliedAt}` : 'pending'}`);
+        }
+        console.log(`${args.db}: schema version ${status.version}, ${status.pending} pending`);
+      }
+      db.close();
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { DEFAULT_DB_PATH, openDatabase, loadMigrations, migrationStatus, migrate, rollback };
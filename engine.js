@@ -0,0 +1,827 @@
+// engine.js
+// The game rules without Express or the database. Config, stat math and seeded randomness live at
+// module level; createEngine(content) binds the rules that read the content packs (delta tables,
+// action planning, crises, statutes, factions, achievements) to one loaded set of packs.
+//
+// server.js stores sessions around these rules. A headless game (newGame / playAction / playQuarter)
+// keeps a whole presidency in one plain object instead; with the same seed and choices it sees the
+// same rolls as a stored session (advisors aside: they only come into play when consulted).
+//
+// The file requires nothing, so the browser loads it as a plain script for offline play (offline.js):
+// there it is window.PresidentEngine, and its top-level names share the page's global scope.
+
+// --- Config ---
+
+const STAT_KEYS = ['approval', 'stability', 'economy', 'justice', 'power', 'chaos'];
+
+// Operators achievement conditions may use (content packs are checked against these keys)
+const COMPARATORS = {
+  '>=': (a, b) => a >= b,
+  '>': (a, b) => a > b,
+  '<=': (a, b) => a <= b,
+  '<': (a, b) => a < b,
+  '==': (a, b) => a === b
+};
+
+// Base default stats for a new session; difficulty profiles override some of them
+const DEFAULT_STATS = {
+  approval: 50,
+  stability: 50,
+  economy: 50,
+  justice: 50,
+  power: 50,
+  chaos: 0,
+  laws: 0,
+  crises: 0
+};
+
+// Game clock: one call to /session/:id/advance moves the presidency forward one quarter
+const CALENDAR = {
+  startYear: 2025,
+  quartersPerTerm: 16,   // a four-year term; an election at its end may grant another
+  actionsPerQuarter: 3
+};
+
+// Passive drift applied every quarter
+const DRIFT = {
+  chaosBaseline: 10,     // chaos relaxes toward this value
+  chaosDecay: 0.25,      // fraction of the distance to the baseline recovered per quarter
+  approvalFatigue: -1,   // incumbency wears approval down a little every quarter
+  stabilityPull: 0.1     // stability follows approval slowly
+};
+
+// Elections close every term but the last: the vote share starts at 50 and moves with each stat's
+// distance from neutral (50, or the chaos baseline) times its weight, plus campaign votes and a
+// seeded election-day swing. Each faction votes with its own approval; the result is their weighted mean.
+const ELECTION = {
+  maxTerms: 2,           // the second term ends without an election
+  campaignQuarters: 4,   // campaign acts open this many quarters before election day
+  campaignCap: 10,       // campaign votes count for at most this many points either way
+  weights: { approval: 0.5, economy: 0.2, stability: 0.15, justice: 0.1, chaos: -0.15 },
+  swing: 4               // up to this many points either way
+};
+
+// Random crisis generator: per-quarter spawn chances are capped so no crisis is ever certain
+const CRISIS_MAX_CHANCE = 0.6;
+
+// Factions whose approval sits below the difficulty's rebellion approval line are angry; once angry
+// factions hold this share of the total political weight, they rise up even if overall approval holds
+const FACTION_UNREST_SHARE = 0.3;
+
+// Political cost of repealing a law whose content entry has no `repeal` deltas
+const DEFAULT_REPEAL_DELTAS = { approval: -2, stability: -1 };
+
+// Legacy score of a finished presidency: the final standing (matchScore) plus points per law passed,
+// crisis handled and achievement earned, times the difficulty profile's `scoreMultiplier`
+const LEGACY_SCORE = { laws: 5, crises: 10, achievements: 25 };
+
+// --- Session lifecycle ---
+//   active    -> rebellion  when checkRebellionChance fires after a step
+//   rebellion -> active     once a rebellion response brings the rebellion below its thresholds
+//   any       -> game_over  when checkGameOver fires (only rewinding or archiving remain)
+//   any       -> ended      when the session is archived
+
+// Requests each state accepts: action types plus 'advance', 'rewind' and 'consult' (advisors)
+const STATE_ACCEPTS = {
+  active: ['law', 'repeal', 'crisis', 'diplomacy', 'cosmic', 'campaign', 'advance', 'rewind', 'consult'],
+  rebellion: ['rebellion', 'rewind', 'consult'],
+  game_over: ['rewind'],
+  ended: []
+};
+
+const STATE_ERRORS = {
+  active: 'there is no rebellion to respond to',
+  rebellion: 'a rebellion is under way: only rebellion responses are accepted',
+  game_over: 'the presidency is over: no further actions are accepted',
+  ended: 'session has ended'
+};
+
+// Action types that belong to another type's difficulty action family
+const ACTION_FAMILIES = { repeal: 'law' };
+
+function actionFamily(type) {
+  return ACTION_FAMILIES[type] || type;
+}
+
+// --- Stats ---
+
+// Overall approval: the weight-averaged approval of the factions
+function aggregateApproval(factions) {
+  let total = 0;
+  let weighted = 0;
+  for (const { approval, weight } of Object.values(factions)) {
+    total += weight;
+    weighted += approval * weight;
+  }
+  return Math.round(weighted / total);
+}
+
+// Angry factions (approval below `limit`), their share of the total weight and how fierce they are
+function factionUnrest(factions, limit) {
+  const total = Object.values(factions).reduce((sum, f) => sum + f.weight, 0);
+  const angry = Object.keys(factions).filter(key => factions[key].approval < limit);
+  const share = total ? angry.reduce((sum, key) => sum + factions[key].weight, 0) / total : 0;
+  const intensity = total ? Math.round(angry.reduce((sum, key) => sum + factions[key].weight * (100 - factions[key].approval), 0) / total) : 0;
+  return { angry, share, intensity };
+}
+
+// Scale deltas by per-stat multipliers: harmful changes (chaos up, any other stat down) by `losses`,
+// beneficial ones by `gains`. Faction effects scale like approval; counters such as laws and crises pass through unchanged.
+function scaleDeltas(deltas, scale) {
+  const scaleOne = (key, delta) => {
+    const harmful = key === 'chaos' ? delta > 0 : delta < 0;
+    const value = delta * (harmful ? scale[key].losses : scale[key].gains);
+    return Math.sign(value) * Math.round(Math.abs(value)); // halves round away from zero either way
+  };
+  const scaled = Object.assign({}, deltas);
+  for (const key of STAT_KEYS) {
+    if (deltas[key]) scaled[key] = scaleOne(key, deltas[key]);
+  }
+  if (deltas.factions) {
+    scaled.factions = {};
+    for (const [faction, delta] of Object.entries(deltas.factions)) scaled.factions[faction] = scaleOne('approval', delta);
+  }
+  return scaled;
+}
+
+// thresholds for game over or rebellion
+function checkGameOver(stats, chaosThreshold) {
+  // Example rules: if chaos >= chaosThreshold OR stability <= 0 OR approval <= 0 -> game over
+  if (stats.chaos >= chaosThreshold) return { gameOver: true, reason: 'Chaos exceeded threshold' };
+  if (stats.stability <= 0) return { gameOver: true, reason: 'Stability collapsed' };
+  if (stats.approval <= 0) return { gameOver: true, reason: 'Approval vanished' };
+  return { gameOver: false };
+}
+
+function checkRebellionChance(stats, limits) {
+  // returns rebellion intensity or null.
+  // limits come from the difficulty profile: chaos above, stability or approval below -> rebellion
+  if (stats.chaos > limits.chaos || stats.stability < limits.stability) return { rebellion: true, intensity: Math.min(100, Math.round((stats.chaos + (50 - stats.stability))/2)) };
+  if (stats.approval < limits.approval) return { rebellion: true, intensity: Math.max(10, 40 - stats.approval) };
+  // powerful factions can rise up on their own: report which ones
+  if (stats.factions && Object.keys(stats.factions).length) {
+    const unrest = factionUnrest(stats.factions, limits.approval);
+    if (unrest.share >= FACTION_UNREST_SHARE) return { rebellion: true, intensity: Math.max(10, unrest.intensity), factions: unrest.angry };
+  }
+  return { rebellion: false };
+}
+
+// Utility to apply deltas to stats and clamp 0..100 (chaos can exceed 100).
+// When the stats carry faction opinions, approval moves every faction (plus any faction-specific
+// effects) and overall approval is re-derived from them.
+function applyDeltas(stats, deltas) {
+  let s = Object.assign({}, stats);
+  const hasFactions = Boolean(s.factions && Object.keys(s.factions).length);
+  for (const key of ['approval','stability','economy','justice','power']) {
+    if (key === 'approval' && hasFactions) continue;
+    if (deltas[key] !== undefined) s[key] = Math.max(0, Math.min(100, s[key] + deltas[key]));
+  }
+  if (hasFactions && (deltas.approval !== undefined || deltas.factions)) {
+    const factions = {};
+    for (const [key, faction] of Object.entries(s.factions)) {
+      const delta = (deltas.approval || 0) + ((deltas.factions && deltas.factions[key]) || 0);
+      factions[key] = { approval: Math.max(0, Math.min(100, faction.approval + delta)), weight: faction.weight };
+    }
+    s.factions = factions;
+    s.approval = aggregateApproval(factions);
+  }
+  if (deltas.chaos !== undefined) {
+    s.chaos = Math.max(0, s.chaos + deltas.chaos); // chaos can grow beyond 100 maybe
+  }
+  if (deltas.laws !== undefined) s.laws = (s.laws || 0) + deltas.laws;
+  if (deltas.crises !== undefined) s.crises = (s.crises || 0) + deltas.crises;
+  return s;
+}
+
+// Final standing of a presidency: the five positive stats minus chaos
+function matchScore(stats) {
+  return stats.approval + stats.stability + stats.economy + stats.justice + stats.power - stats.chaos;
+}
+
+// --- Calendar ---
+
+// Calendar view of a session row: quarter of year, year, term, quarters left in the term and remaining budget
+function describeCalendar(session) {
+  const turn = session.quarter || 0;
+  const term = Math.min(ELECTION.maxTerms, Math.floor(turn / CALENDAR.quartersPerTerm) + 1);
+  return {
+    turn,
+    quarter: (turn % 4) + 1,
+    year: CALENDAR.startYear + Math.floor(turn / 4),
+    term,
+    quartersLeft: term * CALENDAR.quartersPerTerm - turn,
+    actionsLeft: Math.max(0, CALENDAR.actionsPerQuarter - (session.actionsThisQuarter || 0))
+  };
+}
+
+// Deltas for one quarter passing. Economy momentum is the summed economy effect of
+// recently enacted laws; half of it lands each quarter and the rest carries over.
+function quarterDrift(stats, momentum) {
+  const deltas = {
+    chaos: -Math.round((stats.chaos - DRIFT.chaosBaseline) * DRIFT.chaosDecay),
+    economy: Math.trunc(momentum / 2),
+    approval: DRIFT.approvalFatigue,
+    stability: Math.round((stats.approval - stats.stability) * DRIFT.stabilityPull)
+  };
+  return { deltas, momentum: momentum - deltas.economy };
+}
+
+// --- Seeded randomness ---
+// Every random roll derives its own stream from (session seed, purpose, quarter), so a
+// replay with the same seed and the same choices sees the same events.
+
+// FNV-1a hash of the joined parts -> uint32
+function deriveSeed(...parts) {
+  let h = 0x811c9dc5;
+  const str = parts.join(':');
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// mulberry32: small deterministic PRNG returning floats in [0, 1)
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Chance that a crisis with this spawn block erupts this quarter
+function crisisChance(spawn, stats) {
+  let p = spawn.base;
+  for (const [stat, weight] of Object.entries(spawn.stats || {})) p += weight * (stats[stat] || 0) / 100;
+  return Math.max(0, Math.min(CRISIS_MAX_CHANCE, p));
+}
+
+// --- Elections ---
+// Each term but the last ends in a scheduled election. Campaign acts in the run-up add votes; on
+// election day the vote is counted from the stats, and a win opens the next term.
+
+// The election closing `term`, or null when that term is the last
+function nextElection(term) {
+  return term < ELECTION.maxTerms ? { quarter: term * CALENDAR.quartersPerTerm, status: 'scheduled', campaignVotes: 0 } : null;
+}
+
+// Quarter the current term ends in: every election won adds a term
+function termEnd(elections) {
+  return (elections.filter(e => e.status === 'won').length + 1) * CALENDAR.quartersPerTerm;
+}
+
+// Campaigning is open for `campaignQuarters` quarters before election day
+function campaignOpen(election, quarter) {
+  return Boolean(election) && quarter >= election.quarter - ELECTION.campaignQuarters && quarter < election.quarter;
+}
+
+// Vote share (0-100, one decimal) with what each stat, the campaign and the swing contributed,
+// plus each faction's own vote share
+function countVotes(stats, campaignVotes, swing) {
+  const round = v => Math.round(v * 10) / 10;
+  const clamp = v => Math.max(0, Math.min(100, v));
+  const contributions = {};
+  for (const [stat, weight] of Object.entries(ELECTION.weights)) {
+    contributions[stat] = round(weight * (stats[stat] - (stat === 'chaos' ? DRIFT.chaosBaseline : 50)));
+  }
+  const campaign = Math.max(-ELECTION.campaignCap, Math.min(ELECTION.campaignCap, campaignVotes));
+  // everything but approval sways every faction alike
+  let common = campaign + swing;
+  for (const [stat, value] of Object.entries(contributions)) if (stat !== 'approval') common += value;
+
+  const factions = {};
+  let voteShare = clamp(50 + contributions.approval + common);
+  const blocs = Object.entries(stats.factions || {});
+  if (blocs.length) {
+    let total = 0;
+    let weighted = 0;
+    for (const [key, f] of blocs) {
+      factions[key] = round(clamp(50 + ELECTION.weights.approval * (f.approval - 50) + common));
+      total += f.weight;
+      weighted += factions[key] * f.weight;
+    }
+    voteShare = weighted / total;
+  }
+  return { voteShare: round(voteShare), breakdown: { contributions, campaign, swing: round(swing), factions } };
+}
+
+// Election day for a scheduled election: the seeded swing, then the count. Returns { won, voteShare, breakdown }.
+function tallyElection(seed, stats, election) {
+  const swing = (createRng(deriveSeed(seed, 'election', election.quarter))() * 2 - 1) * ELECTION.swing;
+  const { voteShare, breakdown } = countVotes(stats, election.campaignVotes, swing);
+  return { won: voteShare > 50, voteShare, breakdown };
+}
+
+// --- Content tables ---
+
+// key -> deltas map, the shape the game engine applies; faction effects ride along under `factions`
+function deltaTable(section) {
+  const table = {};
+  for (const [key, entry] of Object.entries(section)) {
+    table[key] = entry.factions ? Object.assign({}, entry.deltas, { factions: entry.factions }) : entry.deltas;
+  }
+  return table;
+}
+
+// Achievement entries -> rules with a condition(stats) predicate
+function achievementRules(section) {
+  return Object.entries(section).map(([key, entry]) => ({
+    key,
+    description: entry.description,
+    condition: s => entry.conditions.every(c => COMPARATORS[c.op](s[c.stat], c.value))
+  }));
+}
+
+// --- Content-bound rules ---
+
+function createEngine(content) {
+  // Deltas for actions, keyed by action key
+  const LAW_DELTAS = deltaTable(content.laws);
+  const CRISIS_DELTAS = deltaTable(content.crises);
+  const CRISIS_METHOD_DELTAS = deltaTable(content.crisisMethods);
+  const DIPLOMACY_DELTAS = deltaTable(content.diplomacy);
+  const REBELLION_DELTAS = deltaTable(content.rebellion);
+  const COSMIC_DELTAS = deltaTable(content.cosmic);
+  const CAMPAIGN_DELTAS = deltaTable(content.campaign);
+
+  const ACHIEVEMENT_RULES = achievementRules(content.achievements);
+
+  // Difficulty profiles come from the content packs too; sessions with an unknown key play on the default
+  const DEFAULT_DIFFICULTY = 'normal';
+  if (!Object.keys(content.difficulties).length) throw new Error('content packs define no difficulty profiles');
+
+  function difficultyProfile(key) {
+    return content.difficulties[key] || content.difficulties[DEFAULT_DIFFICULTY] || Object.values(content.difficulties)[0];
+  }
+
+  // Country profiles (content pack section `countries`); sessions from an unknown country have no traits
+  const DEFAULT_COUNTRY = Object.keys(content.countries)[0];
+  if (!DEFAULT_COUNTRY) throw new Error('content packs define no country profiles');
+  const NEUTRAL_COUNTRY = { traits: [], flavor: {} };
+
+  function countryProfile(key) {
+    return content.countries[key] || NEUTRAL_COUNTRY;
+  }
+
+  // Political weight of each faction in a country: the faction's base weight times the country's multiplier
+  function factionWeights(country) {
+    const multipliers = countryProfile(country).factionWeights || {};
+    const weights = {};
+    for (const [key, entry] of Object.entries(content.factions)) weights[key] = entry.weight * (multipliers[key] === undefined ? 1 : multipliers[key]);
+    return weights;
+  }
+
+  // Opening stats: the defaults, the difficulty profile's starting stats, then the country's shifts
+  function startingStats(difficulty, country) {
+    return applyDeltas(Object.assign({}, DEFAULT_STATS, difficultyProfile(difficulty).startingStats), countryProfile(country).startingDeltas || {});
+  }
+
+  // Delta multipliers for a session, per stat: the difficulty scales every stat, country traits single ones
+  function sessionScale(session) {
+    const { deltaScale } = difficultyProfile(session.difficulty);
+    const scale = {};
+    for (const key of STAT_KEYS) scale[key] = { gains: deltaScale.gains, losses: deltaScale.losses };
+    for (const trait of countryProfile(session.country).traits || []) {
+      for (const [stat, m] of Object.entries(trait.scale)) {
+        if (m.gains !== undefined) scale[stat].gains *= m.gains;
+        if (m.losses !== undefined) scale[stat].losses *= m.losses;
+      }
+    }
+    return scale;
+  }
+
+  // The state a session moves to after a step, with the checks behind it
+  function lifecycle(session, stats) {
+    const rebellion = checkRebellionChance(stats, difficultyProfile(session.difficulty).rebellion);
+    const gameOver = checkGameOver(stats, session.chaosThreshold || 100);
+    const state = gameOver.gameOver ? 'game_over' : rebellion.rebellion ? 'rebellion' : 'active';
+    return { state, rebellion, gameOver };
+  }
+
+  // The difficulty's action families and actions left this quarter; null when the action may go ahead
+  // (rebellion responses are exempt from the budget so a rebellion can always be answered)
+  function checkActionRules(session, type) {
+    const family = actionFamily(type);
+    if (!difficultyProfile(session.difficulty).actions.includes(family)) {
+      return { status: 403, code: 'forbidden', error: `${family} actions are not available on ${session.difficulty} difficulty` };
+    }
+    if (type !== 'rebellion' && (session.actionsThisQuarter || 0) >= CALENDAR.actionsPerQuarter) {
+      return { status: 409, code: 'action_refused', error: 'no actions left this quarter, advance the calendar' };
+    }
+    return null;
+  }
+
+  // --- Crises ---
+
+  // Combined deltas for a crisis handled with a given method (base crisis + method modifier)
+  function crisisDeltas(crisisKey, method) {
+    const base = CRISIS_DELTAS[crisisKey] || { approval: -2 };
+    // method can modify delta: e.g., 'bold' => more power but more chaos, 'measured' => stability focus
+    const methodMod = CRISIS_METHOD_DELTAS[method] || {};
+    const merged = Object.assign({}, base);
+    for (const k of Object.keys(methodMod)) {
+      if (k !== 'factions') merged[k] = (merged[k] || 0) + methodMod[k];
+    }
+    if (methodMod.factions) {
+      merged.factions = Object.assign({}, base.factions);
+      for (const [f, v] of Object.entries(methodMod.factions)) merged.factions[f] = (merged.factions[f] || 0) + v;
+    }
+    merged.crises = 1;
+    return merged;
+  }
+
+  // Roll every spawnable crisis once; crises already pending or exclusive to another country are not rolled
+  function rollCrises(rng, stats, pendingKeys, country) {
+    const spawned = [];
+    for (const [key, entry] of Object.entries(content.crises)) {
+      if (!entry.spawn || pendingKeys.includes(key) || (entry.country && entry.country !== country)) continue;
+      if (rng() < crisisChance(entry.spawn, stats)) spawned.push(key);
+    }
+    return spawned;
+  }
+
+  // Last quarter a crisis erupting in `quarter` can be answered in
+  function crisisDeadline(crisisKey, quarter) {
+    const entry = content.crises[crisisKey];
+    return quarter + ((entry.spawn && entry.spawn.deadline) || 1) - 1;
+  }
+
+  // --- Statutes ---
+  // Enacted laws stay in force until repealed. Each quarter every statute applies its `ongoing` deltas,
+  // plus the `interactions` it lists with other laws in force (an interaction applies once per listing).
+
+  // Unscaled per-quarter deltas for a set of laws in force
+  function statuteDeltas(lawKeys) {
+    const deltas = {};
+    const add = (map) => {
+      for (const [stat, value] of Object.entries(map || {})) if (value) deltas[stat] = (deltas[stat] || 0) + value;
+    };
+    for (const key of lawKeys) {
+      const entry = content.laws[key];
+      if (!entry) continue; // laws removed from the content packs since enactment lie dormant
+      add(entry.ongoing);
+      for (const [other, effect] of Object.entries(entry.interactions || {})) if (lawKeys.includes(other)) add(effect);
+    }
+    for (const stat of Object.keys(deltas)) if (!deltas[stat]) delete deltas[stat];
+    return deltas;
+  }
+
+  // --- Action planning ---
+  // Each action type resolves to the deltas it would apply, scaled by the session's difficulty and country.
+  // `ctx` is what the rules need to know about a session: { difficulty, country, quarter, statutes (law keys),
+  // pendingCrises ({ id, crisisKey } rows), election (the scheduled one, or null) }.
+  // Refusals are { error, code }: 'unknown_key' for a key no content pack defines, else 'action_refused'.
+  function resolveActionDeltas(type, body, ctx) {
+    const plan = baseActionDeltas(type, body, ctx);
+    if (plan.error) plan.code = plan.code || 'action_refused';
+    else plan.deltas = scaleDeltas(plan.deltas, sessionScale(ctx));
+    return plan;
+  }
+
+  function unknownKey(what, key) {
+    return { error: `unknown ${what} ${key}`, code: 'unknown_key' };
+  }
+
+  // Unscaled deltas straight from the content tables
+  function baseActionDeltas(type, body, ctx) {
+    switch (type) {
+      case 'law': {
+        const entry = content.laws[body.lawKey];
+        if (!entry) return unknownKey('law', body.lawKey);
+        if (entry.country && entry.country !== ctx.country) return { error: `${entry.label} is exclusive to ${entry.country}` };
+        if (ctx.statutes.includes(body.lawKey)) return { error: `${entry.label} is already in force` };
+        return { deltas: Object.assign({}, LAW_DELTAS[body.lawKey], { laws: 1 }) }; // increment laws count
+      }
+      case 'repeal': {
+        const entry = content.laws[body.lawKey];
+        if (!ctx.statutes.includes(body.lawKey)) return { error: `${entry ? entry.label : body.lawKey} is not in force` };
+        return { deltas: Object.assign({}, (entry && entry.repeal) || DEFAULT_REPEAL_DELTAS) };
+      }
+      case 'crisis': {
+        // only crises the event generator actually spawned can be resolved
+        if (body.method !== undefined && !CRISIS_METHOD_DELTAS[body.method]) return unknownKey('crisis method', body.method);
+        const crisis = ctx.pendingCrises.find(c => (body.crisisId ? c.id === body.crisisId : c.crisisKey === body.crisisKey));
+        if (!crisis) return { error: 'crisis is not pending' };
+        return { deltas: crisisDeltas(crisis.crisisKey, body.method), crisis };
+      }
+      case 'diplomacy':
+        if (!DIPLOMACY_DELTAS[body.actionKey]) return unknownKey('diplomacy action', body.actionKey);
+        return { deltas: DIPLOMACY_DELTAS[body.actionKey] };
+      case 'rebellion':
+        if (!REBELLION_DELTAS[body.act]) return unknownKey('rebellion act', body.act);
+        return { deltas: REBELLION_DELTAS[body.act] };
+      case 'cosmic': {
+        // cosmic acts can immediately unlock mythic achievements
+        const entry = content.cosmic[body.actKey];
+        if (!entry) return unknownKey('cosmic act', body.actKey);
+        return { deltas: COSMIC_DELTAS[body.actKey], unlocks: entry.unlocks };
+      }
+      case 'campaign': {
+        // campaign acts only make sense in the run-up to an election; their votes count on election day
+        const entry = content.campaign[body.campaignKey];
+        if (!entry) return unknownKey('campaign act', body.campaignKey);
+        const election = ctx.election;
+        if (!election) return { error: 'there is no election to campaign for' };
+        if (!campaignOpen(election, ctx.quarter || 0)) {
+          const day = describeCalendar({ quarter: election.quarter });
+          return { error: `campaigning opens ${ELECTION.campaignQuarters} quarters before the election (Q${day.quarter} ${day.year})` };
+        }
+        return { deltas: CAMPAIGN_DELTAS[body.campaignKey], votes: entry.votes, backfire: entry.backfire, election };
+      }
+    }
+    return { error: `unknown action type ${type}` };
+  }
+
+  // A campaign act may backfire; the roll is seeded by the quarter and the act's place in it.
+  // Swaps the plan's outcome for the backfire's when it hits.
+  function rollBackfire(plan, ctx, seed) {
+    if (!plan.backfire) return plan;
+    if (createRng(deriveSeed(seed, 'campaign', ctx.quarter || 0, ctx.actionsThisQuarter || 0))() < plan.backfire.chance) {
+      Object.assign(plan, { deltas: scaleDeltas(plan.backfire.deltas, sessionScale(ctx)), votes: plan.backfire.votes, backfired: true });
+    }
+    return plan;
+  }
+
+  // Every action the session could take in its current state, as { type, fields, label }.
+  // Options can still be refused by their plan (e.g. campaigning outside the run-up) or by the budget.
+  function actionOptions(ctx) {
+    const profile = difficultyProfile(ctx.difficulty);
+    const accepts = STATE_ACCEPTS[ctx.state];
+    const options = [];
+    const add = (type, fields, label) => {
+      if (profile.actions.includes(actionFamily(type)) && accepts.includes(type)) options.push({ type, fields, label });
+    };
+    for (const [key, entry] of Object.entries(content.laws)) {
+      if (!entry.country || entry.country === ctx.country) add('law', { lawKey: key }, entry.label);
+    }
+    for (const lawKey of ctx.statutes) {
+      add('repeal', { lawKey }, `Repeal ${content.laws[lawKey] ? content.laws[lawKey].label : lawKey}`);
+    }
+    for (const crisis of ctx.pendingCrises) {
+      const crisisLabel = content.crises[crisis.crisisKey] ? content.crises[crisis.crisisKey].label : crisis.crisisKey;
+      for (const [method, entry] of Object.entries(content.crisisMethods)) add('crisis', { crisisId: crisis.id, method }, `${crisisLabel}: ${entry.label}`);
+    }
+    for (const [key, entry] of Object.entries(content.diplomacy)) add('diplomacy', { actionKey: key }, entry.label);
+    for (const [key, entry] of Object.entries(content.rebellion)) add('rebellion', { act: key }, entry.label);
+    for (const [key, entry] of Object.entries(content.cosmic)) add('cosmic', { actKey: key }, entry.label);
+    for (const [key, entry] of Object.entries(content.campaign)) add('campaign', { campaignKey: key }, entry.label);
+    return options;
+  }
+
+  // --- Achievements ---
+
+  // Achievement rules newly satisfied by stats, given the keys a session already holds
+  function newlyUnlocked(existingKeys, stats) {
+    return ACHIEVEMENT_RULES.filter(rule => !existingKeys.includes(rule.key) && rule.condition(stats));
+  }
+
+  // --- Legacy ---
+
+  // Score breakdown for final stats and the number of achievements that count (earned in play, not
+  // imported or unlocked by hand); the total never drops below zero
+  function legacyScore(stats, achievements, difficulty) {
+    const multiplier = difficultyProfile(difficulty).scoreMultiplier || 1;
+    const parts = {
+      stats: matchScore(stats),
+      laws: (stats.laws || 0) * LEGACY_SCORE.laws,
+      crises: (stats.crises || 0) * LEGACY_SCORE.crises,
+      achievements: achievements * LEGACY_SCORE.achievements
+    };
+    const sum = Object.values(parts).reduce((total, value) => total + value, 0);
+    return Object.assign(parts, { multiplier, score: Math.max(0, Math.round(sum * multiplier)) });
+  }
+
+  // --- Headless games ---
+  // A presidency as one plain object: { country, difficulty, seed, chaosThreshold, state, quarter,
+  // actionsThisQuarter, economyMomentum, stats (with factions), statutes, pendingCrises, elections,
+  // achievements (keys), outcome }. `outcome` is set once the presidency is over: { reason, quarter, survived }.
+
+  // A new game, or { error } for an unknown difficulty or country
+  function newGame({ country = DEFAULT_COUNTRY, difficulty = DEFAULT_DIFFICULTY, chaosThreshold, seed = 0 } = {}) {
+    const profile = content.difficulties[difficulty];
+    if (!profile) return { error: `difficulty must be one of ${Object.keys(content.difficulties).join(', ')}` };
+    if (!content.countries[country]) return { error: `country must be one of ${Object.keys(content.countries).join(', ')}` };
+
+    const stats = startingStats(difficulty, country);
+    // every faction starts at the starting approval
+    const weights = factionWeights(country);
+    stats.factions = {};
+    for (const key of Object.keys(content.factions)) stats.factions[key] = { approval: stats.approval, weight: weights[key] };
+
+    const election = nextElection(1);
+    return {
+      country,
+      difficulty,
+      seed: seed >>> 0,
+      chaosThreshold: chaosThreshold === undefined ? profile.chaosThreshold : chaosThreshold,
+      state: 'active',
+      quarter: 0,
+      actionsThisQuarter: 0,
+      economyMomentum: 0,
+      stats,
+      statutes: [],
+      pendingCrises: [],
+      elections: election ? [election] : [],
+      achievements: [],
+      outcome: null
+    };
+  }
+
+  // The planning context of a game (see resolveActionDeltas)
+  function gameContext(game) {
+    return {
+      difficulty: game.difficulty,
+      country: game.country,
+      state: game.state,
+      quarter: game.quarter,
+      actionsThisQuarter: game.actionsThisQuarter,
+      statutes: game.statutes.map(s => s.lawKey),
+      pendingCrises: game.pendingCrises,
+      election: game.elections.find(e => e.status === 'scheduled') || null
+    };
+  }
+
+  // Unlock achievements for the game's stats (plus a cosmic act's own unlock); returns the new keys
+  function unlockAchievements(game, unlocks) {
+    const found = unlocks && !game.achievements.includes(unlocks.key) ? [unlocks.key] : [];
+    game.achievements.push(...found);
+    const earned = newlyUnlocked(game.achievements, game.stats).map(rule => rule.key);
+    game.achievements.push(...earned);
+    return found.concat(earned);
+  }
+
+  // Run the lifecycle checks; a game over ends the game
+  function settle(game) {
+    const checks = lifecycle(game, game.stats);
+    game.state = checks.state;
+    if (checks.state === 'game_over') game.outcome = { reason: checks.gameOver.reason, quarter: game.quarter, survived: false };
+    return checks;
+  }
+
+  // Play one action, as performAction does for a stored session. Returns { error } when refused.
+  function playAction(game, type, fields = {}) {
+    if (!STATE_ACCEPTS[game.state].includes(type)) return { error: STATE_ERRORS[game.state], code: 'session_state', state: game.state };
+    const ctx = gameContext(game);
+    const blocked = checkActionRules(ctx, type);
+    if (blocked) return blocked;
+    const plan = rollBackfire(resolveActionDeltas(type, fields, ctx), ctx, game.seed);
+    if (plan.error) return plan;
+
+    game.stats = applyDeltas(game.stats, plan.deltas);
+    if (plan.crisis) game.pendingCrises = game.pendingCrises.filter(c => c !== plan.crisis);
+    if (type === 'law' && content.laws[fields.lawKey]) game.statutes.push({ lawKey: fields.lawKey, enactedQuarter: game.quarter });
+    if (type === 'repeal') game.statutes = game.statutes.filter(s => s.lawKey !== fields.lawKey);
+    if (plan.election) plan.election.campaignVotes += plan.votes;
+    if (type !== 'rebellion') {
+      game.actionsThisQuarter += 1;
+      if (type === 'law') game.economyMomentum += plan.deltas.economy || 0;
+    }
+
+    const achievements = unlockAchievements(game, plan.unlocks);
+    const { state, rebellion, gameOver } = settle(game);
+    return { deltas: plan.deltas, backfired: Boolean(plan.backfired), achievements, rebellion, gameOver, state };
+  }
+
+  // Move a game forward one quarter, as performAdvance does for a stored session
+  function playQuarter(game) {
+    if (!STATE_ACCEPTS[game.state].includes('advance')) return { error: STATE_ERRORS[game.state], code: 'session_state', state: game.state };
+    const scale = sessionScale(game);
+
+    const drift = quarterDrift(game.stats, game.economyMomentum);
+    game.stats = applyDeltas(game.stats, drift.deltas);
+    Object.assign(game, { quarter: game.quarter + 1, actionsThisQuarter: 0, economyMomentum: drift.momentum });
+
+    const statutes = scaleDeltas(statuteDeltas(game.statutes.map(s => s.lawKey)), scale);
+    if (Object.values(statutes).some(value => value)) game.stats = applyDeltas(game.stats, statutes);
+
+    const expired = game.pendingCrises.filter(c => c.deadlineQuarter < game.quarter);
+    for (const crisis of expired) game.stats = applyDeltas(game.stats, scaleDeltas(crisisDeltas(crisis.crisisKey, 'ignore'), scale));
+    game.pendingCrises = game.pendingCrises.filter(c => !expired.includes(c));
+
+    const termEnds = game.quarter >= termEnd(game.elections);
+    const spawned = [];
+    if (!termEnds) {
+      const rng = createRng(deriveSeed(game.seed, 'crises', game.quarter));
+      for (const crisisKey of rollCrises(rng, game.stats, game.pendingCrises.map(c => c.crisisKey), game.country)) {
+        game.pendingCrises.push({ id: `${crisisKey}@${game.quarter}`, crisisKey, spawnedQuarter: game.quarter, deadlineQuarter: crisisDeadline(crisisKey, game.quarter) });
+        spawned.push(crisisKey);
+      }
+    }
+
+    const achievements = unlockAchievements(game);
+    const { state, rebellion, gameOver } = settle(game);
+
+    let election = null;
+    const scheduled = termEnds && state !== 'game_over' ? game.elections.find(e => e.status === 'scheduled') : null;
+    if (scheduled) {
+      election = tallyElection(game.seed, game.stats, scheduled);
+      Object.assign(scheduled, { status: election.won ? 'won' : 'lost', voteShare: election.voteShare, breakdown: election.breakdown });
+      const next = election.won ? nextElection(scheduled.quarter / CALENDAR.quartersPerTerm + 1) : null;
+      if (next) game.elections.push(next);
+    }
+    if (termEnds && state !== 'game_over' && !(election && election.won)) {
+      game.state = 'ended';
+      game.outcome = { reason: election ? 'Electoral defeat' : 'Term completed', quarter: game.quarter, survived: true };
+    }
+
+    return { drift: drift.deltas, statutes, crises: { spawned, expired: expired.map(c => c.crisisKey) }, achievements, election, rebellion, gameOver, state: game.state };
+  }
+
+  // One recorded move: { type: 'advance' } or { type, ...fields of the action }
+  function playMove(game, move) {
+    const { type, ...fields } = move;
+    return type === 'advance' ? playQuarter(game) : playAction(game, type, fields);
+  }
+
+  // Play recorded moves on a new game: { game }, or { error, code, move } naming the index of the first
+  // move refused. Offline play rebuilds its games this way, and the server verifies uploaded runs with it.
+  function replayGame(setup, moves) {
+    const game = newGame(setup);
+    if (game.error) return { error: game.error, code: 'unknown_key', move: null };
+    for (let i = 0; i < moves.length; i++) {
+      const outcome = playMove(game, moves[i]);
+      if (outcome.error) return { error: outcome.error, code: outcome.code, move: i };
+    }
+    return { game };
+  }
+
+  return {
+    content,
+    tables: {
+      laws: LAW_DELTAS,
+      crises: CRISIS_DELTAS,
+      crisisMethods: CRISIS_METHOD_DELTAS,
+      diplomacy: DIPLOMACY_DELTAS,
+      rebellion: REBELLION_DELTAS,
+      cosmic: COSMIC_DELTAS,
+      campaign: CAMPAIGN_DELTAS
+    },
+    DEFAULT_DIFFICULTY,
+    DEFAULT_COUNTRY,
+    difficultyProfile,
+    countryProfile,
+    factionWeights,
+    startingStats,
+    sessionScale,
+    lifecycle,
+    checkActionRules,
+    crisisDeltas,
+    rollCrises,
+    crisisDeadline,
+    statuteDeltas,
+    resolveActionDeltas,
+    rollBackfire,
+    actionOptions,
+    newlyUnlocked,
+    legacyScore,
+    newGame,
+    gameContext,
+    playAction,
+    playQuarter,
+    playMove,
+    replayGame
+  };
+}
+
+const ENGINE = {
+  STAT_KEYS,
+  COMPARATORS,
+  DEFAULT_STATS,
+  CALENDAR,
+  DRIFT,
+  ELECTION,
+  CRISIS_MAX_CHANCE,
+  FACTION_UNREST_SHARE,
+  DEFAULT_REPEAL_DELTAS,
+  LEGACY_SCORE,
+  STATE_ACCEPTS,
+  STATE_ERRORS,
+  actionFamily,
+  aggregateApproval,
+  factionUnrest,
+  scaleDeltas,
+  checkGameOver,
+  checkRebellionChance,
+  applyDeltas,
+  matchScore,
+  describeCalendar,
+  quarterDrift,
+  deriveSeed,
+  createRng,
+  crisisChance,
+  nextElection,
+  termEnd,
+  campaignOpen,
+  countVotes,
+  tallyElection,
+  deltaTable,
+  achievementRules,
+  createEngine
+};
+
+if (typeof module === 'object' && module.exports) module.exports = ENGINE;
+else window.PresidentEngine = ENGINE;
@@ -0,0 +1,99 @@
+// matches.js
+// WebSocket transport for multiplayer matches. The rules (seats, turn order, scoring) are the
+// server's match steps; this module only keeps track of sockets per match and routes messages.
+//
+// Client -> server:
+//   { type: 'join', ref?, matchId, playerName?, playerId?, playerToken?, country?, difficulty?, quarters?,
+//     sessionId?, token? }                              sessionId + token reconnect to a seat
+//   { type: 'move', ref?, action: <action type> | 'endTurn', ...fields of that action's route }
+// Server -> client:
+//   { type: 'joined', ref, matchId, seat, sessionId, token }   to the joining socket
+//   { type: 'move', ref?, seat, action, result }        to every socket in the match (ref only to the sender)
+//   { type: 'match', match, archives? }                 to every socket in the match after each change;
+//                                                       archives (by seat) arrive with the final result
+//   { type: 'error', ref, error, code, details?, state? }  to the sender (the HTTP error shape, see validation.js)
+// The steps check the fields of a join or move; a step that throws answers the sender with an 'internal'
+// error instead of taking the server down.
+const { WebSocketServer } = require('ws');
+const { errorBody } = require('./validation');
+
+const MATCH_PATH = '/ws/match';
+
+// steps: { joinMatch(matchId, player), playMatchMove(matchId, seat, move) }
+function attachMatchServer(server, steps) {
+  const wss = new WebSocketServer({ server, path: MATCH_PATH });
+  const rooms = new Map(); // matchId -> Set of sockets
+
+  function send(socket, message) {
+    if (socket.readyState === socket.OPEN) socket.send(JSON.stringify(message));
+  }
+
+  function broadcast(matchId, message, sender, ref) {
+    for (const socket of rooms.get(matchId) || []) {
+      send(socket, socket === sender && ref !== undefined ? Object.assign({ ref }, message) : message);
+    }
+  }
+
+  wss.on('connection', (socket) => {
+    let matchId = null;
+    let seat = null;
+
+    socket.on('message', (raw) => {
+      let msg;
+      try {
+        msg = JSON.parse(raw);
+      } catch (err) {
+        return send(socket, Object.assign({ type: 'error' }, errorBody({ status: 400, code: 'invalid_json', error: 'messages must be JSON objects' })));
+      }
+      if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+        return send(socket, Object.assign({ type: 'error' }, errorBody({ status: 400, code: 'invalid_field', error: 'messages must be JSON objects' })));
+      }
+      const ref = msg.ref;
+      const fail = (result) => send(socket, Object.assign({ type: 'error', ref }, errorBody(result)));
+      // a step's result, or the failure it threw
+      const run = (step) => {
+        try {
+          return step();
+        } catch (err) {
+          console.error(err);
+          return { status: 500, code: 'internal', error: 'internal server error' };
+        }
+      };
+
+      if (msg.type === 'join') {
+        if (seat) return fail({ status: 409, code: 'conflict', error: 'this connection is already seated in a match' });
+        if (typeof msg.matchId !== 'string' || !msg.matchId.trim()) return fail({ status: 400, code: 'missing_field', error: 'matchId required' });
+        const joined = run(() => steps.joinMatch(msg.matchId.trim(), msg));
+        if (joined.error) return fail(joined);
+
+        matchId = joined.match.matchId;
+        seat = joined.seat;
+        if (!rooms.has(matchId)) rooms.set(matchId, new Set());
+        rooms.get(matchId).add(socket);
+        send(socket, { type: 'joined', ref, matchId, seat, sessionId: joined.sessionId, token: joined.token });
+        return broadcast(matchId, { type: 'match', match: joined.match });
+      }
+
+      if (msg.type === 'move') {
+        if (!seat) return fail({ status: 409, code: 'conflict', error: 'join a match first' });
+        const played = run(() => steps.playMatchMove(matchId, seat, msg));
+        if (played.error) return fail(played);
+        broadcast(matchId, { type: 'move', seat, action: msg.action, result: played.result }, socket, ref);
+        return broadcast(matchId, { type: 'match', match: played.match, archives: played.archives });
+      }
+
+      return fail({ status: 400, code: 'invalid_field', error: 'message type must be join or move' });
+    });
+
+    socket.on('close', () => {
+      const room = matchId && rooms.get(matchId);
+      if (!room) return;
+      room.delete(socket);
+      if (!room.size) rooms.delete(matchId);
+    });
+  });
+
+  return wss;
+}
+
+module.exports = { MATCH_PATH, attachMatchServer };
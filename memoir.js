@@ -0,0 +1,162 @@
+// memoir.js
+// Presidency exports: a readable Markdown memoir and a CSV of the timeline, both written from the
+// export record server.js builds for GET /session/:id/export (the JSON format is the record itself).
+//
+// The memoir has one chapter per term, each with its key decisions (the player actions that moved the
+// stats most), turning points (crises, rebellions, elections) and headlines, then the achievements and
+// the final verdict. Timeline rows carry the stats as they stood after the event, when it changed them.
+const { STAT_KEYS } = require('./content');
+const { describeCalendar } = require('./engine');
+
+// Player actions listed per chapter; the rest are counted
+const KEY_DECISIONS = 5;
+// Event types (of events that are not player actions) the memoir tells as turning points
+const TURNING_POINTS = ['crisis', 'rebellion', 'election', 'fork'];
+const HEADLINES_PER_CHAPTER = 3;
+const TERM_NAMES = ['First', 'Second', 'Third', 'Fourth'];
+
+const CSV_COLUMNS = ['seq', 'at', 'date', 'turn', 'type', 'choice', 'description'].concat(STAT_KEYS, ['laws', 'crises']);
+
+function dateOf(turn) {
+  const day = describeCalendar({ quarter: turn });
+  return `Q${day.quarter} ${day.year}`;
+}
+
+function describeStats(stats) {
+  return STAT_KEYS.map(stat => `${stat} ${stats[stat]}`).join(', ');
+}
+
+// "approval +3, chaos -2" between two stat rows
+function describeChange(before, after) {
+  return STAT_KEYS.filter(stat => after[stat] !== before[stat])
+    .map(stat => `${stat} ${after[stat] > before[stat] ? '+' : ''}${after[stat] - before[stat]}`)
+    .join(', ');
+}
+
+function changeSize(before, after) {
+  return STAT_KEYS.reduce((sum, stat) => sum + Math.abs(after[stat] - before[stat]), 0);
+}
+
+// Timeline events grouped by term, each event with `before`: the stats it started from (null before any)
+function chapters(record) {
+  const byTerm = new Map();
+  let last = null;
+  for (const ev of record.timeline) {
+    const term = describeCalendar({ quarter: ev.turn }).term;
+    if (!byTerm.has(term)) byTerm.set(term, []);
+    byTerm.get(term).push(Object.assign({ before: last }, ev));
+    if (ev.stats) last = ev.stats;
+  }
+  return [...byTerm.entries()].map(([term, events]) => ({ term, events }));
+}
+
+function chapterLines(chapter, record) {
+  const { term, events } = chapter;
+  const first = events[0];
+  const last = events[events.length - 1];
+  const title = TERM_NAMES[term - 1] ? `The ${TERM_NAMES[term - 1]} Term` : `Term ${term}`;
+  const lines = [`## Chapter ${term}: ${title}`, '', `*${dateOf(first.turn)} to ${dateOf(last.turn)}*`, ''];
+
+  const snapshots = events.filter(ev => ev.stats);
+  const opening = first.before || (snapshots[0] && snapshots[0].stats);
+  const closing = snapshots.length ? snapshots[snapshots.length - 1].stats : null;
+  if (opening && closing) {
+    lines.push(`Opened with ${describeStats(opening)}.`, `Closed with ${describeStats(closing)}.`, '');
+  }
+
+  const actions = events.filter(ev => ev.choice !== null && ev.choice !== undefined);
+  if (actions.length) {
+    const key = actions.filter(ev => ev.stats && ev.before)
+      .sort((a, b) => changeSize(b.before, b.stats) - changeSize(a.before, a.stats))
+      .slice(0, KEY_DECISIONS)
+      .sort((a, b) => a.seq - b.seq);
+    lines.push('### Key decisions', '');
+    for (const ev of key) {
+      const change = describeChange(ev.before, ev.stats);
+      lines.push(`- ${ev.date}: ${ev.description}${change ? ` (${change})` : ''}`);
+    }
+    if (actions.length > key.length) lines.push(`- ...and ${actions.length - key.length} more decision(s)`);
+    lines.push('');
+  }
+
+  const turning = events.filter(ev => (ev.choice === null || ev.choice === undefined) && TURNING_POINTS.includes(ev.type));
+  if (turning.length) {
+    lines.push('### Turning points', '');
+    for (const ev of turning) lines.push(`- ${ev.date}: ${ev.description}`);
+    lines.push('');
+  }
+
+  const eventIds = new Set(events.map(ev => ev.id));
+  const stories = record.news.filter(story => eventIds.has(story.eventId)).slice(0, HEADLINES_PER_CHAPTER);
+  if (stories.length) {
+    lines.push('### In the papers', '');
+    for (const story of stories) lines.push(`- *${story.outletName}*, ${story.date}: "${story.headline}"`);
+    lines.push('');
+  }
+  return lines;
+}
+
+function achievementLines(record) {
+  if (!record.achievements.length) return [];
+  const lines = ['## Achievements', ''];
+  for (const a of record.achievements) lines.push(`- ${a.key}: ${a.description}${a.source === 'manual' ? ' (unlocked by hand)' : ''}`);
+  lines.push('');
+  return lines;
+}
+
+function verdictLines(record) {
+  const { session, outcome, stats } = record;
+  const lines = ['## Final Verdict', ''];
+  const quarters = outcome.calendar.turn + 1;
+  if (outcome.state === 'ended' || outcome.state === 'game_over') {
+    lines.push(`${session.playerName} left office in ${dateOf(outcome.calendar.turn)} after ${quarters} quarter(s)${outcome.reason ? `: ${outcome.reason}` : ''}.`);
+  } else {
+    lines.push(`${session.playerName} is still in office in ${dateOf(outcome.calendar.turn)}, ${quarters} quarter(s) in${outcome.state === 'rebellion' ? ', facing a rebellion' : ''}.`);
+  }
+  lines.push('', `Final stats: ${describeStats(stats)}. Laws: ${stats.laws}. Crises: ${stats.crises}.`);
+  if (record.statutes.length) lines.push('', `Statutes in force: ${record.statutes.map(s => `${s.label} (since ${s.enacted})`).join(', ')}.`);
+  if (record.elections.length) {
+    lines.push('', `Elections: ${record.elections.map(e => `${e.date} ${e.status === 'won' ? 'won' : 'lost'} with ${e.voteShare}%`).join('; ')}.`);
+  }
+  if (outcome.legacy) {
+    const b = outcome.legacy;
+    lines.push('', `Legacy score: **${b.score}** (stats ${b.stats} + laws ${b.laws} + crises ${b.crises} + achievements ${b.achievements}, x${b.multiplier}).`);
+  }
+  lines.push('');
+  return lines;
+}
+
+// The memoir as Markdown
+function memoirMarkdown(record) {
+  const lines = [
+    `# The Memoirs of President ${record.session.playerName}`,
+    '',
+    `*${record.countryName}, ${record.difficultyLabel} difficulty*`,
+    ''
+  ];
+  for (const chapter of chapters(record)) lines.push(...chapterLines(chapter, record));
+  lines.push(...achievementLines(record), ...verdictLines(record));
+  lines.push(`*Exported ${record.exportedAt}.*`, '');
+  return lines.join('\n');
+}
+
+// Text a spreadsheet would run as a formula (player-written descriptions and names can start with
+// these) is kept as text with a leading quote
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const formula = typeof value === 'string' && /^[=+\-@\t\r]/.test(value);
+  const text = formula ? `'${value}` : String(value);
+  return formula || /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per timeline event; the stat columns are empty for events that did not change the stats
+function timelineCsv(record) {
+  const rows = [CSV_COLUMNS.join(',')];
+  for (const ev of record.timeline) {
+    const values = Object.assign({}, ev.stats, { seq: ev.seq, at: ev.at, date: ev.date, turn: ev.turn, type: ev.type, choice: ev.choice, description: ev.description });
+    rows.push(CSV_COLUMNS.map(column => csvCell(values[column])).join(','));
+  }
+  return rows.join('\r\n') + '\r\n';
+}
+
+module.exports = { memoirMarkdown, timelineCsv };
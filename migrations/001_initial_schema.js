@@ -0,0 +1,78 @@
+// 001_initial_schema.js
+// The tables of the first release, exactly as the president_sim.db shipped in the repo has them.
+// IF NOT EXISTS lets databases created before versioning adopt this migration as they are.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+CREATE TABLE IF NOT EXISTS Session (
+  id TEXT PRIMARY KEY,
+  playerName TEXT,
+  country TEXT,
+  difficulty TEXT,
+  chaosThreshold INTEGER,
+  startedAt TEXT,
+  endedAt TEXT
+);
+
+CREATE TABLE IF NOT EXISTS Stats (
+  sessionId TEXT PRIMARY KEY,
+  approval INTEGER,
+  stability INTEGER,
+  economy INTEGER,
+  justice INTEGER,
+  power INTEGER,
+  chaos INTEGER,
+  laws INTEGER,
+  crises INTEGER,
+  FOREIGN KEY(sessionId) REFERENCES Session(id)
+);
+
+CREATE TABLE IF NOT EXISTS TimelineEvent (
+  id TEXT PRIMARY KEY,
+  sessionId TEXT,
+  type TEXT,
+  description TEXT,
+  at TEXT,
+  FOREIGN KEY(sessionId) REFERENCES Session(id)
+);
+
+CREATE TABLE IF NOT EXISTS Achievement (
+  id TEXT PRIMARY KEY,
+  sessionId TEXT,
+  key TEXT,
+  description TEXT,
+  at TEXT,
+  FOREIGN KEY(sessionId) REFERENCES Session(id)
+);
+
+CREATE TABLE IF NOT EXISTS Archive (
+  id TEXT PRIMARY KEY,
+  sessionId TEXT,
+  payload TEXT,
+  createdAt TEXT,
+  FOREIGN KEY(sessionId) REFERENCES Session(id)
+);
+
+CREATE TABLE IF NOT EXISTS MultiplayerMatch (
+  matchId TEXT PRIMARY KEY,
+  sessionAId TEXT,
+  sessionBId TEXT,
+  mode TEXT,
+  startedAt TEXT,
+  endedAt TEXT
+);
+`);
+  },
+
+  down(db) {
+    db.exec(`
+DROP TABLE IF EXISTS MultiplayerMatch;
+DROP TABLE IF EXISTS Archive;
+DROP TABLE IF EXISTS Achievement;
+DROP TABLE IF EXISTS TimelineEvent;
+DROP TABLE IF EXISTS Stats;
+DROP TABLE IF EXISTS Session;
+`);
+  }
+};
@@ -0,0 +1,143 @@
+// 002_game_state.js
+// Tables and columns the game grew before migrations were versioned: calendar, seeds, rewind
+// checkpoints, forks, advisors, factions, elections, statutes, crises, matches, scores and profiles.
+// Databases that predate versioning may hold some of them already, so every step skips what exists.
+
+const TABLES = `
+CREATE TABLE IF NOT EXISTS StatSnapshot (
+  id TEXT PRIMARY KEY,
+  sessionId TEXT,
+  eventId TEXT,
+  quarter INTEGER,
+  approval INTEGER,
+  stability INTEGER,
+  economy INTEGER,
+  justice INTEGER,
+  power INTEGER,
+  chaos INTEGER,
+  laws INTEGER,
+  crises INTEGER,
+  at TEXT,
+  FOREIGN KEY(sessionId) REFERENCES Session(id),
+  FOREIGN KEY(eventId) REFERENCES TimelineEvent(id)
+);
+
+CREATE TABLE IF NOT EXISTS Checkpoint (
+  id TEXT PRIMARY KEY,
+  sessionId TEXT,
+  eventSeq INTEGER,
+  state TEXT,
+  at TEXT,
+  FOREIGN KEY(sessionId) REFERENCES Session(id)
+);
+
+CREATE TABLE IF NOT EXISTS Advisor (
+  sessionId TEXT,
+  advisorKey TEXT,
+  loyalty INTEGER,
+  status TEXT,
+  advice TEXT,
+  PRIMARY KEY(sessionId, advisorKey),
+  FOREIGN KEY(sessionId) REFERENCES Session(id)
+);
+
+CREATE TABLE IF NOT EXISTS FactionOpinion (
+  sessionId TEXT,
+  factionKey TEXT,
+  approval INTEGER,
+  weight REAL,
+  PRIMARY KEY(sessionId, factionKey),
+  FOREIGN KEY(sessionId) REFERENCES Session(id)
+);
+
+CREATE TABLE IF NOT EXISTS Election (
+  sessionId TEXT,
+  quarter INTEGER,
+  status TEXT,
+  campaignVotes INTEGER DEFAULT 0,
+  voteShare REAL,
+  breakdown TEXT,
+  resolvedAt TEXT,
+  PRIMARY KEY(sessionId, quarter),
+  FOREIGN KEY(sessionId) REFERENCES Session(id)
+);
+
+CREATE TABLE IF NOT EXISTS Statute (
+  sessionId TEXT,
+  lawKey TEXT,
+  enactedQuarter INTEGER,
+  PRIMARY KEY(sessionId, lawKey),
+  FOREIGN KEY(sessionId) REFERENCES Session(id)
+);
+
+CREATE TABLE IF NOT EXISTS Player (
+  id TEXT PRIMARY KEY,
+  name TEXT,
+  token TEXT,
+  createdAt TEXT
+);
+
+CREATE TABLE IF NOT EXISTS PendingCrisis (
+  id TEXT PRIMARY KEY,
+  sessionId TEXT,
+  crisisKey TEXT,
+  spawnedQuarter INTEGER,
+  deadlineQuarter INTEGER,
+  status TEXT,
+  resolvedAt TEXT,
+  FOREIGN KEY(sessionId) REFERENCES Session(id)
+);
+`;
+
+// [table, column, definition] on the tables of 001
+const COLUMNS = [
+  ['Session', 'quarter', 'INTEGER DEFAULT 0'],
+  ['Session', 'actionsThisQuarter', 'INTEGER DEFAULT 0'],
+  ['Session', 'economyMomentum', 'INTEGER DEFAULT 0'],
+  ['Session', 'readOnly', 'INTEGER DEFAULT 0'],
+  ['Session', 'importedFrom', 'TEXT'],
+  ['Session', 'seed', 'INTEGER'],
+  ['Session', 'parentSessionId', 'TEXT'],
+  ['Session', 'forkEventId', 'TEXT'],
+  ['Session', 'state', "TEXT DEFAULT 'active'"],
+  ['Session', 'matchId', 'TEXT'],
+  // owning profile (optional) and the secret every request that changes the session must carry
+  ['Session', 'playerId', 'TEXT'],
+  ['Session', 'token', 'TEXT'],
+  ['MultiplayerMatch', 'quarters', 'INTEGER'],
+  ['MultiplayerMatch', 'turn', 'TEXT'],
+  ['MultiplayerMatch', 'winnerSessionId', 'TEXT'],
+  ['MultiplayerMatch', 'scoreA', 'REAL'],
+  ['MultiplayerMatch', 'scoreB', 'REAL'],
+  ['TimelineEvent', 'seq', 'INTEGER'],
+  // what a player action chose (law, crisis method, diplomacy act...); null for everything else
+  ['TimelineEvent', 'choice', 'TEXT'],
+  ['Achievement', 'eventId', 'TEXT'],
+  // 'earned' in play, 'manual' via /achievement/unlock or 'import' from an archive; only earned ones score
+  ['Achievement', 'source', "TEXT DEFAULT 'earned'"],
+  // legacy score of archives that closed a presidency (manual exports and imported presidencies have none)
+  ['Archive', 'score', 'INTEGER'],
+  ['Archive', 'scoreBreakdown', 'TEXT'],
+  ['Archive', 'reason', 'TEXT']
+];
+
+module.exports = {
+  up(db, { addColumn }) {
+    db.exec(TABLES);
+    for (const [table, column, definition] of COLUMNS) addColumn(table, column, definition);
+  },
+
+  down(db, { dropColumn }) {
+    db.exec(`
+DROP TABLE IF EXISTS PendingCrisis;
+DROP TABLE IF EXISTS Player;
+DROP TABLE IF EXISTS Statute;
+DROP TABLE IF EXISTS Election;
+DROP TABLE IF EXISTS FactionOpinion;
+DROP TABLE IF EXISTS Advisor;
+DROP TABLE IF EXISTS Checkpoint;
+DROP TABLE IF EXISTS StatSnapshot;
+`);
+    for (const [table, column] of COLUMNS.slice().reverse()) dropColumn(table, column);
+  }
+};
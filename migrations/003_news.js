@@ -0,0 +1,30 @@
+// 003_news.js
+// Newsroom stories: each hangs off the timeline event that made the news, so rewinds drop them
+// and forks copy them like achievements.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+CREATE TABLE IF NOT EXISTS NewsStory (
+  id TEXT PRIMARY KEY,
+  sessionId TEXT,
+  eventId TEXT,
+  kind TEXT,
+  key TEXT,
+  outlet TEXT,
+  tone TEXT,
+  template TEXT,
+  headline TEXT,
+  body TEXT,
+  quarter INTEGER,
+  at TEXT,
+  FOREIGN KEY(sessionId) REFERENCES Session(id),
+  FOREIGN KEY(eventId) REFERENCES TimelineEvent(id)
+);
+`);
+  },
+
+  down(db) {
+    db.exec(`DROP TABLE IF EXISTS NewsStory;`);
+  }
+};
@@ -0,0 +1,22 @@
+// 004_replays.js
+// Offline runs uploaded as replays (POST /replays): the recorded moves behind each session they were
+// replayed into. clientId is the run's id in the browser that played it, so a run is only taken once.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+CREATE TABLE IF NOT EXISTS Replay (
+  clientId TEXT PRIMARY KEY,
+  sessionId TEXT,
+  seed INTEGER,
+  moves TEXT,
+  uploadedAt TEXT,
+  FOREIGN KEY(sessionId) REFERENCES Session(id)
+);
+`);
+  },
+
+  down(db) {
+    db.exec(`DROP TABLE IF EXISTS Replay;`);
+  }
+};
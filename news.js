@@ -0,0 +1,108 @@
+// news.js
+// The newsroom: turns player actions and stat threshold crossings into headlines and short articles.
+// Outlets (outlets.json) and templates (headlines.json) come from the content packs, so writers add
+// them without touching code. Each story is covered by one outlet, drawn from the caller's seeded rng;
+// the outlet's leanings decide whether it praises or criticizes what happened.
+//
+// Template placeholders: {president} {country} {outlet} {date} (the quarter), and per story kind
+// {label} {method} {target} {votes} for actions or {stat} {value} {threshold} for threshold crossings.
+// Placeholders a story has no value for are left as written.
+const { STORY_SECTIONS } = require('./content');
+
+function createNewsroom(content) {
+  const outlets = Object.entries(content.outlets);
+  const templates = Object.entries(content.headlines).map(([key, t]) => Object.assign({ templateKey: key }, t));
+
+  // How an outlet sees a change: positive when it moves the stats and factions it leans toward its way
+  function slant(outlet, deltas) {
+    const { stats = {}, factions = {} } = outlet.leans;
+    let score = 0;
+    for (const [stat, weight] of Object.entries(stats)) score += weight * (deltas[stat] || 0);
+    for (const [faction, weight] of Object.entries(factions)) score += weight * ((deltas.factions || {})[faction] || 0);
+    return score > 0 ? 'praise' : score < 0 ? 'criticism' : 'neutral';
+  }
+
+  function fill(text, values) {
+    return text.replace(/\{(\w+)\}/g, (match, name) => (values[name] !== undefined ? String(values[name]) : match));
+  }
+
+  // The best fitting template among `candidates`: one written for this key and tone, then a generic
+  // one in that tone, then a generic neutral one, then any of them
+  function pickTemplate(candidates, key, tone, rng) {
+    const ladder = [
+      t => t.key !== undefined && t.key === key && t.tone === tone,
+      t => t.key === undefined && t.tone === tone,
+      t => t.key === undefined && t.tone === 'neutral',
+      () => true
+    ];
+    for (const fits of ladder) {
+      const matching = candidates.filter(fits);
+      if (matching.length) return matching[Math.floor(rng() * matching.length)];
+    }
+    return null;
+  }
+
+  // One outlet's story from the fitting templates, or null when there are no outlets or templates
+  function cover(kind, key, candidates, deltas, values, rng) {
+    if (!outlets.length || !candidates.length) return null;
+    const [outletKey, outlet] = outlets[Math.floor(rng() * outlets.length)];
+    const tone = slant(outlet, deltas);
+    const template = pickTemplate(candidates, key, tone, rng);
+    const all = Object.assign({ outlet: outlet.name }, values);
+    return {
+      kind,
+      key: key || null,
+      outlet: outletKey,
+      outletName: outlet.name,
+      tone: template.tone,
+      template: template.templateKey,
+      headline: fill(template.headline, all),
+      body: fill(template.body, all)
+    };
+  }
+
+  function label(section, key) {
+    const entry = section && content[section][key];
+    return entry ? entry.label : key;
+  }
+
+  // Story about a player action. `action` is { type, key, deltas, crisisKey?, method?, target?, votes? };
+  // `scene` is { president, country, date }.
+  function actionStory(action, scene, rng) {
+    const candidates = templates.filter(t => t.on === action.type && (t.key === undefined || t.key === action.key));
+    const values = Object.assign({}, scene, {
+      label: label(STORY_SECTIONS[action.type], action.type === 'crisis' ? action.crisisKey : action.key),
+      method: action.method ? label('crisisMethods', action.method).toLowerCase() : undefined,
+      target: action.target || 'its neighbours',
+      votes: action.votes !== undefined ? Math.abs(action.votes) : undefined
+    });
+    return cover(action.type, action.type === 'crisis' ? action.crisisKey : action.key, candidates, action.deltas, values, rng);
+  }
+
+  // Stories about stats that crossed a threshold template's line between `before` and `after`;
+  // templates for the same stat, direction and line are variants of one story
+  function thresholdStories(before, after, scene, rng) {
+    const crossings = new Map();
+    for (const t of templates) {
+      if (t.on !== 'threshold') continue;
+      const rising = t.above !== undefined;
+      const line = rising ? t.above : t.below;
+      const crossed = rising ? before[t.stat] < line && after[t.stat] >= line : before[t.stat] > line && after[t.stat] <= line;
+      if (!crossed) continue;
+      const id = `${t.stat}:${rising ? 'above' : 'below'}:${line}`;
+      if (!crossings.has(id)) crossings.set(id, { stat: t.stat, line, variants: [] });
+      crossings.get(id).variants.push(t);
+    }
+    const stories = [];
+    for (const { stat, line, variants } of crossings.values()) {
+      const values = Object.assign({}, scene, { stat: stat[0].toUpperCase() + stat.slice(1), value: after[stat], threshold: line });
+      const story = cover('threshold', stat, variants, { [stat]: after[stat] - before[stat] }, values, rng);
+      if (story) stories.push(story);
+    }
+    return stories;
+  }
+
+  return { actionStory, thresholdStories };
+}
+
+module.exports = { createNewsroom };
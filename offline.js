@@ -0,0 +1,466 @@
+// offline.js
+// Offline play: presidencies run in the browser on engine.js's headless game, for when the server
+// cannot be reached. api() (core.js) hands every request about an offline session (ids starting with
+// OFFLINE_PREFIX) to offlineApi, which answers in the server's shapes; content requests fall back on
+// the copies cached here whenever the server answered them.
+//
+// A run is kept in localStorage as its setup, its moves, its timeline and its stat history. The game
+// itself is rebuilt by replaying the moves (engine.replayGame), which is also how rewinding works.
+// Advisors and the press stay with the server. A finished run can be uploaded to POST /replays, where
+// the server replays the moves once more before archiving the run.
+const OFFLINE_PREFIX = 'offline-';
+// GET responses kept for offline play, refreshed whenever the server answers them
+const OFFLINE_CACHED = ['/content', '/countries', '/difficulties'];
+const OFFLINE_RUNS_KEY = 'offlineRuns';
+
+const offline = {
+  engine: null, // createEngine over the cached content
+  games: new Map() // run id -> its game, rebuilt from the moves once per page
+};
+
+function isOfflineSession(sessionId) {
+  return typeof sessionId === 'string' && sessionId.startsWith(OFFLINE_PREFIX);
+}
+
+function isOfflineRequest(path, body) {
+  return path.includes(`/${OFFLINE_PREFIX}`) || Boolean(body && isOfflineSession(body.sessionId));
+}
+
+// --- Content cache ---
+
+function cacheResponse(path, data) {
+  if (OFFLINE_CACHED.includes(path) && !data.error) localStorage.setItem(`cache:${path}`, JSON.stringify(data));
+}
+
+function cachedResponse(path) {
+  const cached = OFFLINE_CACHED.includes(path) && localStorage.getItem(`cache:${path}`);
+  return cached ? JSON.parse(cached) : null;
+}
+
+function offlineEngine() {
+  if (!offline.engine) {
+    const content = cachedResponse('/content');
+    if (content) offline.engine = PresidentEngine.createEngine(content);
+  }
+  return offline.engine;
+}
+
+// --- Runs ---
+// { id, playerName, playerId, country, difficulty, seed, chaosThreshold, startedAt, endedAt, reason,
+//   moves, marks, timeline, history }; marks[i] holds the timeline and history lengths before move i.
+
+function offlineRuns() {
+  return JSON.parse(localStorage.getItem(OFFLINE_RUNS_KEY) || '{}');
+}
+
+function saveRun(run) {
+  localStorage.setItem(OFFLINE_RUNS_KEY, JSON.stringify(Object.assign(offlineRuns(), { [run.id]: run })));
+}
+
+function forgetOfflineRun(id) {
+  const runs = offlineRuns();
+  delete runs[id];
+  localStorage.setItem(OFFLINE_RUNS_KEY, JSON.stringify(runs));
+  offline.games.delete(id);
+}
+
+// The run's game, or null when its moves no longer replay with the cached content
+function runGame(run) {
+  if (!offline.games.has(run.id)) {
+    const replay = offlineEngine().replayGame({ country: run.country, difficulty: run.difficulty, seed: run.seed, chaosThreshold: run.chaosThreshold }, run.moves);
+    if (replay.error) return null;
+    offline.games.set(run.id, replay.game);
+  }
+  return offline.games.get(run.id);
+}
+
+function runState(run, game) {
+  return run.endedAt ? 'ended' : game.state;
+}
+
+function logEvent(run, type, description, choice = null) {
+  const seq = run.timeline.length + 1;
+  const ev = { id: `${run.id}:${seq}`, seq, type, description, choice, at: new Date().toISOString() };
+  run.timeline.push(ev);
+  return ev;
+}
+
+function snapshot(run, ev, game) {
+  const { factions, ...stats } = game.stats;
+  run.history.push({ eventId: ev.id, eventType: ev.type, eventDescription: ev.description, quarter: game.quarter, at: ev.at, stats });
+}
+
+// --- Views ---
+// The same shapes the server's routes answer with
+
+function contentEntry(section, key) {
+  return offlineEngine().content[section][key];
+}
+
+function dateOf(quarter) {
+  const day = PresidentEngine.describeCalendar({ quarter });
+  return `Q${day.quarter} ${day.year}`;
+}
+
+function describeDeltas(deltas) {
+  return Object.entries(deltas).filter(([, value]) => value).map(([stat, value]) => `${stat} ${value > 0 ? '+' : ''}${value}`).join(', ');
+}
+
+function describePending(crisis, game) {
+  const entry = contentEntry('crises', crisis.crisisKey);
+  return Object.assign({}, crisis, {
+    label: entry ? entry.label : crisis.crisisKey,
+    deadline: dateOf(crisis.deadlineQuarter),
+    quartersLeft: crisis.deadlineQuarter - game.quarter
+  });
+}
+
+function describeElection(e) {
+  return { quarter: e.quarter, date: dateOf(e.quarter), status: e.status, campaignVotes: e.campaignVotes, voteShare: e.voteShare, breakdown: e.breakdown || null };
+}
+
+function describeStatute(statute, game) {
+  const { scaleDeltas, DEFAULT_REPEAL_DELTAS } = PresidentEngine;
+  const entry = contentEntry('laws', statute.lawKey) || { label: statute.lawKey };
+  const scale = offlineEngine().sessionScale(game);
+  const lawKeys = game.statutes.map(s => s.lawKey);
+  return {
+    lawKey: statute.lawKey,
+    label: entry.label,
+    enactedQuarter: statute.enactedQuarter,
+    enacted: dateOf(statute.enactedQuarter),
+    ongoing: scaleDeltas(entry.ongoing || {}, scale),
+    interactions: Object.entries(entry.interactions || {})
+      .filter(([other]) => lawKeys.includes(other))
+      .map(([other, effect]) => ({ lawKey: other, label: contentEntry('laws', other).label, deltas: scaleDeltas(effect, scale) })),
+    repealCost: scaleDeltas(entry.repeal || DEFAULT_REPEAL_DELTAS, scale)
+  };
+}
+
+// Evenly spaced sample of at most `points` rows, first and last kept (as the server downsamples)
+function downsample(rows, points) {
+  if (!points || rows.length <= points) return rows;
+  if (points === 1) return [rows[rows.length - 1]];
+  const picked = [];
+  for (let i = 0; i < points; i++) picked.push(rows[Math.round(i * (rows.length - 1) / (points - 1))]);
+  return picked;
+}
+
+// The archive of a closed run: what the Final Vaultline shows before the run is uploaded
+function runArchive(run, game) {
+  return {
+    stats: game.stats,
+    legacy: offlineEngine().legacyScore(game.stats, game.achievements.length, run.difficulty),
+    elections: game.elections.filter(e => e.status !== 'scheduled').map(describeElection),
+    reason: run.reason,
+    glyphs: null
+  };
+}
+
+function closeRun(run, game, reason) {
+  Object.assign(run, { endedAt: new Date().toISOString(), reason: reason || null });
+  logEvent(run, 'archive', reason ? `Presidency archived: ${reason}` : 'Presidency archived');
+  return runArchive(run, game);
+}
+
+// --- Moves ---
+
+const OFFLINE_ACTIONS = {
+  '/laws/enforce': 'law',
+  '/laws/repeal': 'repeal',
+  '/crises/resolve': 'crisis',
+  '/diplomacy/action': 'diplomacy',
+  '/rebellion/act': 'rebellion',
+  '/campaign/act': 'campaign',
+  '/cosmic/act': 'cosmic'
+};
+const ACTION_KEY_FIELDS = { law: 'lawKey', repeal: 'lawKey', crisis: 'crisisKey', diplomacy: 'actionKey', rebellion: 'act', cosmic: 'actKey', campaign: 'campaignKey' };
+
+// Timeline descriptions, worded as the server words them
+const MOVE_DESCRIPTIONS = {
+  law: m => `Enforced law: ${m.lawKey}`,
+  repeal: m => `Repealed law: ${m.lawKey}`,
+  crisis: m => `Resolved crisis ${m.crisisKey} by ${m.method || 'default'}`,
+  diplomacy: m => `Diplomacy ${m.actionKey} with ${m.target || 'unknown'}`,
+  rebellion: m => `Rebellion action: ${m.act}`,
+  cosmic: m => `Cosmic act: ${m.actKey}`,
+  campaign: (m, outcome) => `Campaign: ${m.campaignKey}${outcome.backfired ? ' (backfired)' : ''}`
+};
+
+// Log the achievements a move unlocked; returns them as { key, description }
+function logAchievements(run, keys, move) {
+  return keys.map(key => {
+    const entry = contentEntry('achievements', key);
+    const cosmic = move && move.type === 'cosmic' ? contentEntry('cosmic', move.actKey).unlocks : null;
+    const description = entry ? entry.description : cosmic && cosmic.key === key ? cosmic.description : key;
+    logEvent(run, 'achievement', `Achievement unlocked: ${key} - ${description}`);
+    return { key, description };
+  });
+}
+
+// Log a lifecycle change, as the server's updateLifecycle does
+function logLifecycle(run, from, outcome) {
+  if (outcome.state === from) return;
+  if (outcome.state === 'game_over') logEvent(run, 'system', `Game over: ${outcome.gameOver.reason}`);
+  else if (outcome.state === 'rebellion') {
+    const leaders = (outcome.rebellion.factions || []).map(key => contentEntry('factions', key).label);
+    logEvent(run, 'rebellion', `Rebellion erupted (intensity ${outcome.rebellion.intensity})${leaders.length ? `, led by ${leaders.join(', ')}` : ''}`);
+  } else if (from === 'rebellion') logEvent(run, 'rebellion', 'Rebellion quelled');
+}
+
+// Play a move and record it; returns the engine's outcome ({ error } when refused)
+function recordMove(run, game, move) {
+  const mark = { timeline: run.timeline.length, history: run.history.length };
+  const outcome = offlineEngine().playMove(game, move);
+  if (!outcome.error) {
+    run.moves.push(move);
+    run.marks.push(mark);
+  }
+  return outcome;
+}
+
+// --- Routes ---
+
+function startRun({ playerName = 'Player', playerId, country, difficulty }) {
+  const seed = Math.floor(Math.random() * 4294967296);
+  const game = offlineEngine().newGame({ country, difficulty, seed });
+  if (game.error) return { error: game.error, code: 'unknown_key' };
+  const run = {
+    id: `${OFFLINE_PREFIX}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`,
+    playerName, playerId: playerId || null, country, difficulty, seed, chaosThreshold: game.chaosThreshold,
+    startedAt: new Date().toISOString(), endedAt: null, reason: null, moves: [], marks: [], timeline: [], history: []
+  };
+  snapshot(run, logEvent(run, 'system', `Session started for ${playerName} in ${country} (${difficulty}), offline.`), game);
+  offline.games.set(run.id, game);
+  saveRun(run);
+  return { sessionId: run.id, token: null, playerId: run.playerId, seed, stats: game.stats, calendar: PresidentEngine.describeCalendar(game) };
+}
+
+function playOfflineAction({ run, game, body, pathname }) {
+  const type = OFFLINE_ACTIONS[pathname];
+  const { sessionId, description, ...fields } = body;
+  // crises are recorded by key: the ids in a pending list are this game's own
+  if (type === 'crisis' && fields.crisisId) {
+    const crisis = game.pendingCrises.find(c => c.id === fields.crisisId);
+    if (!crisis) return { error: 'crisis is not pending', code: 'action_refused' };
+    fields.crisisKey = crisis.crisisKey;
+    delete fields.crisisId;
+  }
+  const move = Object.assign({ type }, fields, description ? { description } : {});
+  const from = game.state;
+  const outcome = recordMove(run, game, move);
+  if (outcome.error) return outcome;
+
+  const choice = type === 'crisis' ? move.method || 'default' : move[ACTION_KEY_FIELDS[type]];
+  snapshot(run, logEvent(run, type, description || MOVE_DESCRIPTIONS[type](move, outcome), String(choice)), game);
+  const achievements = logAchievements(run, outcome.achievements, move);
+  logLifecycle(run, from, outcome);
+  saveRun(run);
+
+  const election = game.elections.find(e => e.status === 'scheduled');
+  const campaign = type === 'campaign' ? { backfired: outcome.backfired, campaignVotes: election ? election.campaignVotes : 0 } : undefined;
+  const { rebellion, gameOver, state } = outcome;
+  return { stats: game.stats, achievements, advisors: [], campaign, rebellion, gameOver, state, calendar: PresidentEngine.describeCalendar(game), news: [] };
+}
+
+function advanceRun({ run, game }) {
+  const from = game.state;
+  const outcome = recordMove(run, game, { type: 'advance' });
+  if (outcome.error) return outcome;
+
+  const calendar = PresidentEngine.describeCalendar(game);
+  const ev = logEvent(run, 'calendar', `Advanced to ${dateOf(game.quarter)}`);
+  if (Object.values(outcome.statutes).some(value => value)) logEvent(run, 'law', `Statutes in force: ${describeDeltas(outcome.statutes)}`);
+  for (const crisisKey of outcome.crises.expired) logEvent(run, 'crisis', `Crisis ${crisisKey} went unanswered`);
+  const spawned = game.pendingCrises.filter(c => c.spawnedQuarter === game.quarter).map(c => describePending(c, game));
+  for (const crisis of spawned) logEvent(run, 'crisis', `Crisis erupted: ${crisis.label} (respond by ${crisis.deadline})`);
+  snapshot(run, ev, game);
+  const achievements = logAchievements(run, outcome.achievements);
+  logLifecycle(run, from, outcome);
+
+  let election = null;
+  if (outcome.election) {
+    const held = game.elections.find(e => e.status !== 'scheduled' && e.quarter === game.quarter);
+    election = Object.assign({ won: outcome.election.won }, describeElection(held));
+    logEvent(run, 'election', `${election.won ? 'Re-elected' : 'Electoral defeat'} with ${election.voteShare}% of the vote`);
+  }
+  const archive = game.state === 'ended' ? closeRun(run, game, game.outcome.reason) : null;
+  saveRun(run);
+
+  const { drift, statutes, rebellion, gameOver, state } = outcome;
+  return {
+    stats: game.stats, drift, statutes, calendar, crises: { spawned, expired: outcome.crises.expired.map(crisisKey => ({ crisisKey })) },
+    advisors: [], achievements, election, rebellion, gameOver, state, archive, news: []
+  };
+}
+
+// Rewinding drops the last moves and replays the rest
+function rewindRun({ run, game, body }) {
+  const { STATE_ACCEPTS, STATE_ERRORS, describeCalendar } = PresidentEngine;
+  if (!STATE_ACCEPTS[game.state].includes('rewind')) return { error: STATE_ERRORS[game.state], code: 'session_state', state: game.state };
+  const steps = body.steps || 1;
+  if (steps > run.moves.length) return { error: 'cannot rewind past the start of the session', code: 'conflict' };
+
+  const keep = run.moves.length - steps;
+  const mark = run.marks[keep];
+  const removedEvents = run.timeline.length - mark.timeline;
+  Object.assign(run, {
+    moves: run.moves.slice(0, keep),
+    marks: run.marks.slice(0, keep),
+    timeline: run.timeline.slice(0, mark.timeline),
+    history: run.history.slice(0, mark.history)
+  });
+  offline.games.delete(run.id);
+  const rewound = runGame(run);
+  saveRun(run);
+  return { stats: rewound.stats, calendar: describeCalendar(rewound), state: rewound.state, rewound: steps, removedEvents };
+}
+
+function previewOfflineAction({ run, game, body }) {
+  const engine = offlineEngine();
+  const { STAT_KEYS, STATE_ACCEPTS, STATE_ERRORS, applyDeltas, checkRebellionChance, checkGameOver } = PresidentEngine;
+  const { sessionId, type, ...fields } = body;
+  const ctx = engine.gameContext(game);
+  const plan = engine.resolveActionDeltas(type, fields, ctx);
+  if (plan.error) return plan;
+
+  const stats = applyDeltas(game.stats, plan.deltas);
+  const changes = {};
+  for (const key of STAT_KEYS) if (stats[key] !== game.stats[key]) changes[key] = stats[key] - game.stats[key];
+  const factionChanges = {};
+  for (const key of Object.keys(stats.factions)) {
+    const change = stats.factions[key].approval - game.stats.factions[key].approval;
+    if (change) factionChanges[key] = change;
+  }
+  const achievements = engine.newlyUnlocked(game.achievements, stats).map(({ key, description }) => ({ key, description }));
+  if (plan.unlocks && !game.achievements.includes(plan.unlocks.key)) achievements.unshift(plan.unlocks);
+
+  const blocked = !STATE_ACCEPTS[runState(run, game)].includes(type) ? { error: STATE_ERRORS[runState(run, game)] } : engine.checkActionRules(ctx, type);
+  return {
+    type, allowed: !blocked, blockedReason: blocked ? blocked.error : null, stats, changes, factionChanges, achievements,
+    rebellion: checkRebellionChance(stats, engine.difficultyProfile(run.difficulty).rebellion),
+    gameOver: checkGameOver(stats, game.chaosThreshold)
+  };
+}
+
+function offlineTimeline({ run, query }) {
+  const types = query.type ? query.type.split(',').map(t => t.trim()).filter(Boolean) : null;
+  let events = types ? run.timeline.filter(ev => types.includes(ev.type)) : run.timeline.slice();
+  if (query.order === 'desc') events.reverse();
+  const limit = Number(query.limit) || 200;
+  const offset = Number(query.offset) || 0;
+  return { timeline: events.slice(offset, offset + limit), fork: null, total: events.length, limit, offset };
+}
+
+function offlineFactions({ run, game }) {
+  const limit = offlineEngine().difficultyProfile(run.difficulty).rebellion.approval;
+  const total = Object.values(game.stats.factions).reduce((sum, f) => sum + f.weight, 0);
+  const unrest = PresidentEngine.factionUnrest(game.stats.factions, limit);
+  return {
+    approval: game.stats.approval,
+    factions: Object.entries(game.stats.factions).map(([key, f]) => ({
+      key,
+      label: contentEntry('factions', key).label,
+      description: contentEntry('factions', key).description,
+      approval: f.approval,
+      weight: Math.round(f.weight / total * 100) / 100,
+      angry: unrest.angry.includes(key)
+    })),
+    unrest: { angryBelow: limit, share: Math.round(unrest.share * 100) / 100, rebellionShare: PresidentEngine.FACTION_UNREST_SHARE }
+  };
+}
+
+function offlineElections({ game }) {
+  const scheduled = game.elections.find(e => e.status === 'scheduled');
+  return {
+    term: PresidentEngine.describeCalendar(game).term,
+    next: scheduled ? Object.assign(describeElection(scheduled), {
+      quartersLeft: scheduled.quarter - game.quarter,
+      campaignOpen: PresidentEngine.campaignOpen(scheduled, game.quarter)
+    }) : null,
+    results: game.elections.filter(e => e.status !== 'scheduled').map(describeElection)
+  };
+}
+
+// [method, path pattern (group 1: the session id, when the path holds it), handler, changes the run]
+const OFFLINE_ROUTES = [
+  ['GET', /^\/session\/([^/]+)\/stats$/, ({ run, game }) => ({ stats: game.stats, calendar: PresidentEngine.describeCalendar(game), state: runState(run, game) })],
+  ['GET', /^\/session\/([^/]+)\/history$/, ({ run, query }) => {
+    const history = downsample(run.history, Number(query.points) || 0);
+    return { history, total: run.history.length, downsampled: history.length < run.history.length };
+  }],
+  ['GET', /^\/timeline\/([^/]+)$/, offlineTimeline],
+  ['GET', /^\/session\/([^/]+)\/crises\/pending$/, ({ game }) => ({ pending: game.pendingCrises.map(c => describePending(c, game)) })],
+  ['GET', /^\/session\/([^/]+)\/laws$/, ({ game }) => ({
+    statutes: game.statutes.map(s => describeStatute(s, game)),
+    perQuarter: PresidentEngine.scaleDeltas(offlineEngine().statuteDeltas(game.statutes.map(s => s.lawKey)), offlineEngine().sessionScale(game))
+  })],
+  ['GET', /^\/session\/([^/]+)\/factions$/, offlineFactions],
+  ['GET', /^\/session\/([^/]+)\/elections$/, offlineElections],
+  ['GET', /^\/session\/([^/]+)\/advisors$/, () => ({ advisors: [] })],
+  ['GET', /^\/session\/([^/]+)\/news$/, () => ({
+    outlets: Object.entries(offlineEngine().content.outlets).map(([key, o]) => ({ key, name: o.name, motto: o.motto || null })),
+    stories: []
+  })],
+  ['POST', /^\/actions\/preview$/, previewOfflineAction],
+  ['POST', /^\/session\/([^/]+)\/advance$/, advanceRun, true],
+  ['POST', /^\/session\/([^/]+)\/rewind$/, rewindRun, true],
+  ['POST', /^\/session\/end$/, ({ run, game }) => {
+    const archive = closeRun(run, game);
+    saveRun(run);
+    return Object.assign({ archiveId: null }, archive);
+  }, true],
+  ['POST', new RegExp(`^(?:${Object.keys(OFFLINE_ACTIONS).join('|')})$`), playOfflineAction, true]
+];
+
+// Answer a request about an offline session the way the server would; anything else needs the server
+function offlineApi(path, method = 'GET', body = {}) {
+  if (!offlineEngine()) return { error: 'offline play needs the game content: open the game once while the server is up', code: 'offline' };
+  const [pathname, search] = path.split('?');
+  if (method === 'POST' && pathname === '/session/start') return startRun(body);
+
+  const route = OFFLINE_ROUTES.find(([m, pattern]) => m === method && pattern.test(pathname));
+  if (!route) return { error: `${method} ${pathname} needs the server`, code: 'offline' };
+  const [, pattern, handler, changes] = route;
+  const run = offlineRuns()[pattern.exec(pathname)[1] || body.sessionId];
+  if (!run) return { error: 'session not found', code: 'not_found' };
+  const game = runGame(run);
+  if (!game) return { error: 'this offline run no longer replays with the current game content', code: 'conflict' };
+  if (changes && run.endedAt) return { error: 'session has ended', code: 'session_state', state: 'ended' };
+  return handler({ run, game, body, pathname, query: Object.fromEntries(new URLSearchParams(search || '')) });
+}
+
+// --- Saved runs and uploads ---
+
+// Offline runs shaped like GET /sessions rows, for the title screen; closed runs stay until uploaded
+function offlineSessionList() {
+  if (!offlineEngine()) return [];
+  return Object.values(offlineRuns()).map(run => {
+    const game = runGame(run);
+    if (!game) return null;
+    const last = run.timeline.slice().reverse().find(ev => ev.choice !== null);
+    return {
+      sessionId: run.id, playerName: run.playerName, country: run.country, difficulty: run.difficulty,
+      stats: game.stats, calendar: PresidentEngine.describeCalendar(game), state: runState(run, game),
+      lastAction: last ? { label: last.description } : null, savedAt: run.timeline[run.timeline.length - 1].at
+    };
+  }).filter(Boolean);
+}
+
+// Final Vaultline archive of a closed run
+function offlineRunArchive(id) {
+  const run = offlineRuns()[id];
+  return run && run.endedAt ? runArchive(run, runGame(run)) : null;
+}
+
+// POST /replays body for a run: its setup, moves and the result the server must arrive at
+function offlineReplay(id) {
+  const run = offlineRuns()[id];
+  const game = runGame(run);
+  const { factions, ...stats } = game.stats;
+  return {
+    playerName: run.playerName, playerId: run.playerId || undefined, country: run.country, difficulty: run.difficulty,
+    seed: run.seed, chaosThreshold: run.chaosThreshold, clientId: run.id, moves: run.moves,
+    result: { stats, state: game.state, quarter: game.quarter }
+  };
+}
@@ -1,83 +1,41 @@
 // server.js
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
-const Database = require('better-sqlite3');
 const { v4: uuidv4 } = require('uuid');
-const zlib = require('zlib');
+const { encodeArchive, decodeArchive } = require('./vaultline');
+const { STAT_KEYS, loadContent } = require('./content');
+const {
+  DEFAULT_STATS, CALENDAR, FACTION_UNREST_SHARE, DEFAULT_REPEAL_DELTAS, STATE_ACCEPTS, STATE_ERRORS,
+  actionFamily, factionUnrest, scaleDeltas, checkGameOver, checkRebellionChance, applyDeltas, matchScore, describeCalendar, quarterDrift,
+  deriveSeed, createRng, nextElection, termEnd, campaignOpen, tallyElection, createEngine
+} = require('./engine');
+const { createNewsroom } = require('./news');
+const { createEventStreams } = require('./streams');
+const { memoirMarkdown, timelineCsv } = require('./memoir');
+const { openDatabase, migrate } = require('./database');
+const { MATCH_PATH, attachMatchServer } = require('./matches');
+const { ERROR_CODES, checkFields, failure, checkRequest, errorBody, describeRoute } = require('./validation');
 const app = express();
 const PORT = process.env.PORT || 3000;
+// Largest JSON request body; an imported archive may inflate to ARCHIVE_INFLATE_RATIO times that
+const BODY_LIMIT_BYTES = 100 * 1024;
+const ARCHIVE_INFLATE_RATIO = 32;
 
-app.use(express.json());
+app.use(express.json({ limit: BODY_LIMIT_BYTES }));
 
 // --- DB init ---
-const db = new Database('president_sim.db');
-
-// Create tables if not exist
-db.exec(`
-CREATE TABLE IF NOT EXISTS Session (
-  id TEXT PRIMARY KEY,
-  playerName TEXT,
-  country TEXT,
-  difficulty TEXT,
-  chaosThreshold INTEGER,
-  startedAt TEXT,
-  endedAt TEXT
-);
-
-CREATE TABLE IF NOT EXISTS Stats (
-  sessionId TEXT PRIMARY KEY,
-  approval INTEGER,
-  stability INTEGER,
-  economy INTEGER,
-  justice INTEGER,
-  power INTEGER,
-  chaos INTEGER,
-  laws INTEGER,
-  crises INTEGER,
-  FOREIGN KEY(sessionId) REFERENCES Session(id)
-);
-
-CREATE TABLE IF NOT EXISTS TimelineEvent (
-  id TEXT PRIMARY KEY,
-  sessionId TEXT,
-  type TEXT,
-  description TEXT,
-  at TEXT,
-  FOREIGN KEY(sessionId) REFERENCES Session(id)
-);
-
-CREATE TABLE IF NOT EXISTS Achievement (
-  id TEXT PRIMARY KEY,
-  sessionId TEXT,
-  key TEXT,
-  description TEXT,
-  at TEXT,
-  FOREIGN KEY(sessionId) REFERENCES Session(id)
-);
-
-CREATE TABLE IF NOT EXISTS Archive (
-  id TEXT PRIMARY KEY,
-  sessionId TEXT,
-  payload TEXT,
-  createdAt TEXT,
-  FOREIGN KEY(sessionId) REFERENCES Session(id)
-);
-
-CREATE TABLE IF NOT EXISTS MultiplayerMatch (
-  matchId TEXT PRIMARY KEY,
-  sessionAId TEXT,
-  sessionBId TEXT,
-  mode TEXT,
-  startedAt TEXT,
-  endedAt TEXT
-);
-`);
+// DB_PATH picks the database file (':memory:' for a throwaway run); pending migrations apply on startup
+const db = openDatabase();
+for (const migration of migrate(db)) console.log(`Applied migration ${migration.version} (${migration.name})`);
 
 // Prepared statements
 const insertSession = db.prepare(`
-INSERT INTO Session (id, playerName, country, difficulty, chaosThreshold, startedAt) VALUES (@id, @playerName, @country, @difficulty, @chaosThreshold, @startedAt)
+INSERT INTO Session (id, playerName, country, difficulty, chaosThreshold, startedAt, seed, playerId, token)
+VALUES (@id, @playerName, @country, @difficulty, @chaosThreshold, @startedAt, @seed, @playerId, @token)
 `);
 const updateSessionEnded = db.prepare(`
-UPDATE Session SET endedAt = @endedAt WHERE id = @id
+UPDATE Session SET endedAt = @endedAt, state = 'ended' WHERE id = @id
 `);
 const upsertStats = db.prepare(`
 INSERT INTO Stats (sessionId, approval, stability, economy, justice, power, chaos, laws, crises)
@@ -86,411 +44,2088 @@ ON CONFLICT(sessionId) DO UPDATE SET
   approval=@approval, stability=@stability, economy=@economy, justice=@justice, power=@power, chaos=@chaos, laws=@laws, crises=@crises
 `);
 const getStatsStmt = db.prepare(`SELECT * FROM Stats WHERE sessionId = ?`);
+const insertSnapshot = db.prepare(`
+INSERT INTO StatSnapshot (id, sessionId, eventId, quarter, approval, stability, economy, justice, power, chaos, laws, crises, at)
+VALUES (@id, @sessionId, @eventId, COALESCE(@quarter, (SELECT quarter FROM Session WHERE id = @sessionId)), @approval, @stability, @economy, @justice, @power, @chaos, @laws, @crises, @at)
+`);
+const getHistoryStmt = db.prepare(`
+SELECT s.*, t.type AS eventType, t.description AS eventDescription FROM StatSnapshot s
+LEFT JOIN TimelineEvent t ON t.id = s.eventId
+WHERE s.sessionId = ? ORDER BY s.rowid ASC
+`);
+const getSessionStmt = db.prepare(`SELECT * FROM Session WHERE id = ?`);
+const insertImportedSession = db.prepare(`
+INSERT INTO Session (id, playerName, country, difficulty, chaosThreshold, startedAt, endedAt, quarter, actionsThisQuarter, economyMomentum, readOnly, importedFrom, state, token)
+VALUES (@id, @playerName, @country, @difficulty, @chaosThreshold, @startedAt, @endedAt, @quarter, 0, 0, 1, @importedFrom, 'ended', @token)
+`);
+const updateSessionState = db.prepare(`UPDATE Session SET state = @state WHERE id = @id`);
+const updateSessionCalendar = db.prepare(`
+UPDATE Session SET quarter=@quarter, actionsThisQuarter=@actionsThisQuarter, economyMomentum=@economyMomentum WHERE id=@id
+`);
+const insertPendingCrisis = db.prepare(`
+INSERT INTO PendingCrisis (id, sessionId, crisisKey, spawnedQuarter, deadlineQuarter, status)
+VALUES (@id, @sessionId, @crisisKey, @spawnedQuarter, @deadlineQuarter, 'pending')
+`);
+const getPendingCrises = db.prepare(`SELECT * FROM PendingCrisis WHERE sessionId = ? AND status = 'pending' ORDER BY spawnedQuarter ASC, rowid ASC`);
+const closePendingCrisis = db.prepare(`UPDATE PendingCrisis SET status=@status, resolvedAt=@resolvedAt WHERE id=@id`);
 const insertTimeline = db.prepare(`
-INSERT INTO TimelineEvent (id, sessionId, type, description, at) VALUES (@id,@sessionId,@type,@description,@at)
+INSERT INTO TimelineEvent (id, sessionId, type, description, at, seq, choice)
+VALUES (@id,@sessionId,@type,@description,@at,(SELECT COALESCE(MAX(seq), 0) + 1 FROM TimelineEvent WHERE sessionId = @sessionId),@choice)
 `);
 const insertAchievement = db.prepare(`
-INSERT INTO Achievement (id, sessionId, key, description, at) VALUES (@id,@sessionId,@key,@description,@at)
+INSERT INTO Achievement (id, sessionId, key, description, at, eventId, source) VALUES (@id,@sessionId,@key,@description,@at,@eventId,@source)
+`);
+const insertNewsStory = db.prepare(`
+INSERT INTO NewsStory (id, sessionId, eventId, kind, key, outlet, tone, template, headline, body, quarter, at)
+VALUES (@id, @sessionId, @eventId, @kind, @key, @outlet, @tone, @template, @headline, @body, @quarter, @at)
+`);
+// newest first; stories filed for one event keep the order they were written in
+const getNewsStmt = db.prepare(`
+SELECT n.* FROM NewsStory n JOIN TimelineEvent t ON t.id = n.eventId
+WHERE n.sessionId = @sessionId AND (@outlet IS NULL OR n.outlet = @outlet)
+ORDER BY t.seq DESC, n.rowid ASC
+LIMIT @limit
+`);
+const getSessionNewsStmt = db.prepare(`
+SELECT n.* FROM NewsStory n JOIN TimelineEvent t ON t.id = n.eventId WHERE n.sessionId = ? ORDER BY t.seq ASC, n.rowid ASC
+`);
+const getEventSeq = db.prepare(`SELECT seq FROM TimelineEvent WHERE id = ?`);
+// GET /timeline/:id filters: @types is a JSON list of event types, @from/@to bound `at`
+const TIMELINE_FILTER = `
+WHERE sessionId = @sessionId
+  AND (@types IS NULL OR type IN (SELECT value FROM json_each(@types)))
+  AND (@from IS NULL OR at >= @from)
+  AND (@to IS NULL OR at < @to)`;
+const getTimelinePage = {
+  asc: db.prepare(`SELECT * FROM TimelineEvent ${TIMELINE_FILTER} ORDER BY at ASC, seq ASC LIMIT @limit OFFSET @offset`),
+  desc: db.prepare(`SELECT * FROM TimelineEvent ${TIMELINE_FILTER} ORDER BY at DESC, seq DESC LIMIT @limit OFFSET @offset`)
+};
+const countTimeline = db.prepare(`SELECT COUNT(*) AS n FROM TimelineEvent ${TIMELINE_FILTER}`);
+const insertCheckpoint = db.prepare(`
+INSERT INTO Checkpoint (id, sessionId, eventSeq, state, at)
+VALUES (@id, @sessionId, (SELECT COALESCE(MAX(seq), 0) FROM TimelineEvent WHERE sessionId = @sessionId), @state, @at)
 `);
+const getAchievementKeys = db.prepare(`SELECT key FROM Achievement WHERE sessionId = ?`);
+const countEarnedAchievements = db.prepare(`SELECT COUNT(DISTINCT key) AS n FROM Achievement WHERE sessionId = ? AND source = 'earned'`);
+const getCheckpoints = db.prepare(`SELECT * FROM Checkpoint WHERE sessionId = ? ORDER BY eventSeq ASC`);
+const restorePendingCrisis = db.prepare(`
+INSERT OR REPLACE INTO PendingCrisis (id, sessionId, crisisKey, spawnedQuarter, deadlineQuarter, status, resolvedAt)
+VALUES (@id, @sessionId, @crisisKey, @spawnedQuarter, @deadlineQuarter, 'pending', NULL)
+`);
+const seedAdvisor = db.prepare(`
+INSERT OR IGNORE INTO Advisor (sessionId, advisorKey, loyalty, status, advice) VALUES (@sessionId, @advisorKey, @loyalty, 'serving', NULL)
+`);
+const getAdvisorsStmt = db.prepare(`SELECT * FROM Advisor WHERE sessionId = ? ORDER BY rowid`);
+const updateAdvisor = db.prepare(`
+UPDATE Advisor SET loyalty = @loyalty, status = @status, advice = @advice WHERE sessionId = @sessionId AND advisorKey = @advisorKey
+`);
+const restoreAdvisor = db.prepare(`
+INSERT OR REPLACE INTO Advisor (sessionId, advisorKey, loyalty, status, advice) VALUES (@sessionId, @advisorKey, @loyalty, @status, @advice)
+`);
+const seedFaction = db.prepare(`
+INSERT OR IGNORE INTO FactionOpinion (sessionId, factionKey, approval, weight) VALUES (@sessionId, @factionKey, @approval, @weight)
+`);
+const getFactionsStmt = db.prepare(`SELECT * FROM FactionOpinion WHERE sessionId = ? ORDER BY rowid`);
+const upsertFaction = db.prepare(`
+INSERT OR REPLACE INTO FactionOpinion (sessionId, factionKey, approval, weight) VALUES (@sessionId, @factionKey, @approval, @weight)
+`);
+const scheduleElectionStmt = db.prepare(`
+INSERT OR IGNORE INTO Election (sessionId, quarter, status, campaignVotes) VALUES (@sessionId, @quarter, 'scheduled', 0)
+`);
+const getElectionsStmt = db.prepare(`SELECT * FROM Election WHERE sessionId = ? ORDER BY quarter ASC`);
+const getScheduledElection = db.prepare(`SELECT * FROM Election WHERE sessionId = ? AND status = 'scheduled' ORDER BY quarter ASC LIMIT 1`);
+const addCampaignVotes = db.prepare(`UPDATE Election SET campaignVotes = campaignVotes + @votes WHERE sessionId = @sessionId AND quarter = @quarter`);
+const closeElection = db.prepare(`
+UPDATE Election SET status=@status, voteShare=@voteShare, breakdown=@breakdown, resolvedAt=@resolvedAt WHERE sessionId=@sessionId AND quarter=@quarter
+`);
+const restoreElection = db.prepare(`
+INSERT OR REPLACE INTO Election (sessionId, quarter, status, campaignVotes, voteShare, breakdown, resolvedAt)
+VALUES (@sessionId, @quarter, @status, @campaignVotes, @voteShare, @breakdown, @resolvedAt)
+`);
+const insertStatute = db.prepare(`INSERT INTO Statute (sessionId, lawKey, enactedQuarter) VALUES (@sessionId, @lawKey, @enactedQuarter)`);
+const getStatutesStmt = db.prepare(`SELECT * FROM Statute WHERE sessionId = ? ORDER BY enactedQuarter ASC, rowid ASC`);
+const deleteStatute = db.prepare(`DELETE FROM Statute WHERE sessionId = @sessionId AND lawKey = @lawKey`);
 const insertArchive = db.prepare(`
-INSERT INTO Archive (id, sessionId, payload, createdAt) VALUES (@id,@sessionId,@payload,@createdAt)
+INSERT INTO Archive (id, sessionId, payload, createdAt, score, scoreBreakdown, reason)
+VALUES (@id,@sessionId,@payload,@createdAt,@score,@scoreBreakdown,@reason)
 `);
 const insertMatch = db.prepare(`
-INSERT INTO MultiplayerMatch (matchId, sessionAId, sessionBId, mode, startedAt) VALUES (@matchId,@sessionAId,@sessionBId,@mode,@startedAt)
+INSERT INTO MultiplayerMatch (matchId, sessionAId, sessionBId, mode, startedAt, quarters) VALUES (@matchId,@sessionAId,NULL,@mode,@startedAt,@quarters)
 `);
+const getMatchStmt = db.prepare(`SELECT * FROM MultiplayerMatch WHERE matchId = ?`);
+const seatMatchB = db.prepare(`UPDATE MultiplayerMatch SET sessionBId = @sessionBId, turn = 'A' WHERE matchId = @matchId`);
+const updateMatchTurn = db.prepare(`UPDATE MultiplayerMatch SET turn = @turn WHERE matchId = @matchId`);
 const updateMatch = db.prepare(`
-UPDATE MultiplayerMatch SET endedAt=@endedAt WHERE matchId=@matchId
+UPDATE MultiplayerMatch SET endedAt=@endedAt, turn=NULL, winnerSessionId=@winnerSessionId, scoreA=@scoreA, scoreB=@scoreB WHERE matchId=@matchId
+`);
+const updateSessionMatch = db.prepare(`UPDATE Session SET matchId = @matchId WHERE id = @id`);
+const insertPlayer = db.prepare(`INSERT INTO Player (id, name, token, createdAt) VALUES (@id, @name, @token, @createdAt)`);
+const getPlayerStmt = db.prepare(`SELECT * FROM Player WHERE id = ?`);
+const getLatestArchiveReason = db.prepare(`SELECT reason FROM Archive WHERE sessionId = ? ORDER BY createdAt DESC LIMIT 1`);
+const getPlayerSessions = db.prepare(`
+SELECT s.*, st.approval, st.stability, st.economy, st.justice, st.power, st.chaos, st.laws, st.crises,
+       (SELECT reason FROM Archive WHERE sessionId = s.id ORDER BY createdAt DESC LIMIT 1) AS reason
+FROM Session s JOIN Stats st ON st.sessionId = s.id
+WHERE s.playerId = ? ORDER BY s.startedAt ASC
 `);
+const getOpenSessions = db.prepare(`
+SELECT s.*, st.approval, st.stability, st.economy, st.justice, st.power, st.chaos, st.laws, st.crises,
+       (SELECT MAX(at) FROM Checkpoint WHERE sessionId = s.id) AS savedAt
+FROM Session s JOIN Stats st ON st.sessionId = s.id
+WHERE s.endedAt IS NULL AND COALESCE(s.readOnly, 0) = 0
+  AND (@playerId IS NULL OR s.playerId = @playerId)
+  AND (@ids IS NULL OR s.id IN (SELECT value FROM json_each(@ids)))
+ORDER BY savedAt DESC, s.startedAt DESC
+LIMIT @limit
+`);
+const getLastAction = db.prepare(`SELECT type, choice, description, at FROM TimelineEvent WHERE sessionId = ? AND choice IS NOT NULL ORDER BY seq DESC LIMIT 1`);
+const getPlayerAchievements = db.prepare(`
+SELECT a.key, MIN(a.description) AS description, COUNT(DISTINCT a.sessionId) AS presidencies, MIN(a.at) AS firstAt
+FROM Achievement a JOIN Session s ON s.id = a.sessionId
+WHERE s.playerId = ? AND a.source = 'earned'
+GROUP BY a.key ORDER BY firstAt ASC
+`);
+// a fork starts with a copy of its parent's timeline; only what follows its own 'fork' event is new
+const getPlayerChoices = db.prepare(`
+SELECT t.type, t.choice, COUNT(*) AS count
+FROM TimelineEvent t JOIN Session s ON s.id = t.sessionId
+WHERE s.playerId = ? AND t.choice IS NOT NULL
+  AND (s.parentSessionId IS NULL OR t.seq > (SELECT MAX(seq) FROM TimelineEvent WHERE sessionId = s.id AND type = 'fork'))
+GROUP BY t.type, t.choice ORDER BY count DESC, t.type ASC, t.choice ASC
+`);
+const insertReplay = db.prepare(`
+INSERT INTO Replay (clientId, sessionId, seed, moves, uploadedAt) VALUES (@clientId,@sessionId,@seed,@moves,@uploadedAt)
+`);
+const getReplayStmt = db.prepare(`SELECT * FROM Replay WHERE clientId = ?`);
 
 // --- Game engine config ---
+// The rules themselves (stat math, delta tables, action planning, crises, statutes, elections) are in
+// engine.js; this file stores sessions around them.
+
+// Advisor loyalty: following advice earns trust, ignoring it costs some. Below `disloyal`, each quarter
+// an advisor may act out (chance grows as loyalty falls): resign when loyalty is at or below `resign`,
+// otherwise leak. Either one raises the matching crisis.
+const ADVISOR_LOYALTY = { followed: 10, ignored: -8, disloyal: 30, resign: 10, maxChance: 0.5 };
+const ADVISOR_CRISES = { leak: 'advisor_leak', resign: 'advisor_resignation' };
+
+// Content packs layered in order (base first, then mods); see content.js
+const CONTENT_PACKS = (process.env.CONTENT_PACKS || 'base').split(',').map(p => p.trim()).filter(Boolean);
+const CONTENT = loadContent(CONTENT_PACKS);
+const engine = createEngine(CONTENT);
+const newsroom = createNewsroom(CONTENT);
+const streams = createEventStreams();
+const {
+  DEFAULT_DIFFICULTY, DEFAULT_COUNTRY, difficultyProfile, countryProfile, factionWeights, startingStats, sessionScale,
+  crisisDeltas, rollCrises, crisisDeadline, statuteDeltas, rollBackfire, newlyUnlocked
+} = engine;
+
+for (const key of Object.values(ADVISOR_CRISES)) {
+  if (!CONTENT.crises[key]) throw new Error(`content packs must define the ${key} crisis raised by disloyal advisors`);
+}
 
-// Base default stats for a new session (tweak as desired)
-const DEFAULT_STATS = {
-  approval: 50,
-  stability: 50,
-  economy: 50,
-  justice: 50,
-  power: 50,
-  chaos: 0,
-  laws: 0,
-  crises: 0
-};
+// Seed for a session; rows from before seeds existed fall back to their id
+function sessionSeed(session) {
+  return session.seed !== null && session.seed !== undefined ? session.seed : deriveSeed(session.id);
+}
 
-// Deltas for actions (can be replaced by richer rules)
-const LAW_DELTAS = {
-  'tax_cut':         { approval: +5, economy: +8, stability: -2, chaos: -1, power: 0 },
-  'emergency_rule':  { approval: -10, stability: +10, justice: -8, power: +12, chaos: +5 },
-  'welfare_boost':   { approval: +8, economy: -6, justice: +5, chaos: -2, power: 0 },
-  'police_reform':   { approval: -3, justice: +12, stability: +2, chaos: -1, power: -2 }
-  // ... add more as needed
-};
+// --- Crises ---
+
+// Public view of a pending crisis row
+function describePendingCrisis(row, session) {
+  const entry = CONTENT.crises[row.crisisKey];
+  const deadline = describeCalendar({ quarter: row.deadlineQuarter });
+  return {
+    id: row.id,
+    crisisKey: row.crisisKey,
+    label: entry ? entry.label : row.crisisKey,
+    spawnedQuarter: row.spawnedQuarter,
+    deadlineQuarter: row.deadlineQuarter,
+    deadline: `Q${deadline.quarter} ${deadline.year}`,
+    quartersLeft: row.deadlineQuarter - (session.quarter || 0)
+  };
+}
 
-const CRISIS_DELTAS = {
-  'pandemic':      { approval: -6, stability: -10, economy: -12, justice: 0, power: +5, chaos: +8 },
-  'economic_shock':{ approval: -8, stability: -6, economy: -15, justice: 0, power: +3, chaos: +6 },
-  'diplomatic_row':{ approval: -4, stability: -3, economy: -2, power: -1, chaos: +2 }
-  // ...
-};
+// Open a pending crisis for a session in the given quarter and log it; returns the public view
+function spawnCrisis(session, crisisKey, quarter, cause) {
+  const row = { id: uuidv4(), sessionId: session.id, crisisKey, spawnedQuarter: quarter, deadlineQuarter: crisisDeadline(crisisKey, quarter) };
+  insertPendingCrisis.run(row);
+  const view = describePendingCrisis(row, Object.assign({}, session, { quarter }));
+  pushTimeline(session.id, 'crisis', `Crisis erupted: ${view.label}${cause ? ` (${cause})` : ''} (respond by ${view.deadline})`);
+  return view;
+}
 
-const DIPLOMACY_DELTAS = {
-  'treaty':   { approval: +2, stability: +3, economy: +2, chaos: -1 },
-  'trade':    { approval: +1, economy: +6, stability: +1 },
-  'rivalry':  { approval: -3, stability: -4, chaos: +4 }
-};
+// --- Session lifecycle ---
+// States and what each accepts are in engine.js (STATE_ACCEPTS).
+// Rows from before the state column existed fall back to endedAt.
+function sessionState(session) {
+  return session.state || (session.endedAt ? 'ended' : 'active');
+}
 
-const REBELLION_DELTAS = {
-  'negotiate': { approval: +5, stability: +6, chaos: -8, power: -5 },
-  'suppress':  { approval: -12, stability: +10, chaos: +10, power: +8 },
-  'appease':   { approval: +3, stability: +4, economy: -4, chaos: -5 }
-};
+// Gate for any change to a session: it exists, is not a read-only import and has not ended
+function checkSessionWritable(session) {
+  if (!session) return { status: 404, error: 'session not found' };
+  if (session.readOnly) return { status: 409, code: 'session_state', error: 'session is a read-only archive import', state: 'ended' };
+  if (sessionState(session) === 'ended') return { status: 409, code: 'session_state', error: STATE_ERRORS.ended, state: 'ended' };
+  return null;
+}
 
-const COSMIC_DELTAS = {
-  'probe':    { approval: -2, chaos: +10, power: +3 },
-  'entreat':  { approval: +4, chaos: -6, stability: +2 },
-  'distort':  { approval: -20, chaos: +25, stability: -15, power: +20 }
-};
+// Lifecycle gate: the session can be changed and its state accepts this request.
+// Sessions seated in a running match only take moves from the match service, which enforces turn order.
+function checkSessionAccepts(session, kind, fromMatch = false) {
+  const unwritable = checkSessionWritable(session);
+  if (unwritable) return unwritable;
+  const state = sessionState(session);
+  if (session.matchId && !fromMatch) {
+    return { status: 409, code: 'session_state', error: 'session is playing a multiplayer match: moves go through the match socket', state };
+  }
+  if (!STATE_ACCEPTS[state].includes(kind)) return { status: 409, code: 'session_state', error: STATE_ERRORS[state], state };
+  return null;
+}
+
+// Shared gate for action routes: lifecycle, then the difficulty's action families and actions left this quarter
+function checkActionAllowed(session, type, fromMatch = false) {
+  const blocked = checkSessionAccepts(session, type, fromMatch);
+  if (blocked) return blocked;
+  const refused = engine.checkActionRules(session, type);
+  return refused && Object.assign(refused, { state: sessionState(session) });
+}
+
+// Move the session to the state implied by the outcome checks; transitions are logged to the timeline
+function updateLifecycle(session, stats) {
+  const { state, rebellion, gameOver } = engine.lifecycle(session, stats);
+  const from = sessionState(session);
+  if (state !== from) {
+    updateSessionState.run({ id: session.id, state });
+    streams.publish(session.id, 'state', { state, previous: from, reason: gameOver ? gameOver.reason : undefined });
+    if (state === 'game_over') pushTimeline(session.id, 'system', `Game over: ${gameOver.reason}`);
+    else if (state === 'rebellion') {
+      const leaders = (rebellion.factions || []).map(key => CONTENT.factions[key].label);
+      pushTimeline(session.id, 'rebellion', `Rebellion erupted (intensity ${rebellion.intensity})${leaders.length ? `, led by ${leaders.join(', ')}` : ''}`);
+    }
+    else if (from === 'rebellion') pushTimeline(session.id, 'rebellion', 'Rebellion quelled');
+  }
+  return { state, rebellion, gameOver };
+}
 
-// Achievement rules (example)
-const ACHIEVEMENT_RULES = [
-  { key:'stable_mandate', condition: s => s.stability >= 90, description: 'Stability >= 90' },
-  { key:'economic_wizard', condition: s => s.economy >= 90, description: 'Economy >= 90' },
-  { key:'chaos_master', condition: s => s.chaos >= 80, description: 'Chaos >= 80' },
-  { key:'iron_fist', condition: s => s.power >= 90 && s.justice < 30, description: 'Power >= 90 while Justice < 30' }
-];
+// Send a failed request or step ({ status, error, code?, details?, state? }) in the shared error shape
+function sendError(res, failed) {
+  return res.status(failed.status || 500).json(errorBody(failed));
+}
 
-// thresholds for game over or rebellion
-function checkGameOver(stats, chaosThreshold) {
-  // Example rules: if chaos >= chaosThreshold OR stability <= 0 OR approval <= 0 -> game over
-  if (stats.chaos >= chaosThreshold) return { gameOver: true, reason: 'Chaos exceeded threshold' };
-  if (stats.stability <= 0) return { gameOver: true, reason: 'Stability collapsed' };
-  if (stats.approval <= 0) return { gameOver: true, reason: 'Approval vanished' };
-  return { gameOver: false };
+// Send the outcome of a game step: rejections use the error shape, anything else is the body
+function sendResult(res, result) {
+  return result.error ? sendError(res, result) : res.json(result);
 }
 
-function checkRebellionChance(stats) {
-  // returns rebellion intensity or null.
-  // Example simple rule: if chaos>50 or stability<25 -> chance of rebellion
-  if (stats.chaos > 65 || stats.stability < 20) return { rebellion: true, intensity: Math.min(100, Math.round((stats.chaos + (50 - stats.stability))/2)) };
-  if (stats.approval < 15) return { rebellion: true, intensity: Math.max(10, 40 - stats.approval) };
-  return { rebellion: false };
+// Count an action against the quarter budget; returns the updated calendar
+function spendAction(session, economyDelta = 0) {
+  const next = Object.assign({}, session, {
+    actionsThisQuarter: (session.actionsThisQuarter || 0) + 1,
+    economyMomentum: (session.economyMomentum || 0) + economyDelta
+  });
+  updateSessionCalendar.run(next);
+  return describeCalendar(next);
 }
 
-// Utility to apply deltas to stats and clamp 0..100 (chaos can exceed 100)
-function applyDeltas(stats, deltas) {
-  let s = Object.assign({}, stats);
-  for (const key of ['approval','stability','economy','justice','power']) {
-    if (deltas[key] !== undefined) s[key] = Math.max(0, Math.min(100, s[key] + deltas[key]));
+// Save timeline helper; `choice` tags the events of player actions with what was chosen. Events are
+// published to the session's event streams as they are recorded, as are stats, news and achievements.
+function pushTimeline(sessionId, type, description, choice = null) {
+  const ev = { id: uuidv4(), sessionId, type, description, at: new Date().toISOString(), choice };
+  insertTimeline.run(ev);
+  streams.publish(sessionId, 'timeline', Object.assign({ seq: getEventSeq.get(ev.id).seq }, ev));
+  return ev;
+}
+
+// Stats row plus the session's faction opinions (`factions`: key -> { approval, weight }).
+// Factions added by content packs after the session started join at the current approval.
+function loadStats(sessionId) {
+  const row = getStatsStmt.get(sessionId);
+  if (!row) return row;
+  const weights = factionWeights(getSessionStmt.get(sessionId).country);
+  for (const factionKey of Object.keys(CONTENT.factions)) seedFaction.run({ sessionId, factionKey, approval: row.approval, weight: weights[factionKey] });
+  row.factions = {};
+  for (const f of getFactionsStmt.all(sessionId)) {
+    if (CONTENT.factions[f.factionKey]) row.factions[f.factionKey] = { approval: f.approval, weight: f.weight };
   }
-  if (deltas.chaos !== undefined) {
-    s.chaos = Math.max(0, s.chaos + deltas.chaos); // chaos can grow beyond 100 maybe
+  return row;
+}
+
+// The stat columns of a stats row (no sessionId or factions)
+function publicStats(stats) {
+  return Object.fromEntries(STAT_KEYS.concat('laws', 'crises').map(stat => [stat, stats[stat]]));
+}
+
+// Persist stats (and faction opinions, when loaded) and record a history snapshot linked to the timeline event that caused the change.
+// The change makes the news (see reportNews); returns the stories filed.
+function saveStats(stats, ev, action = null) {
+  const before = getStatsStmt.get(stats.sessionId);
+  upsertStats.run(stats);
+  for (const [factionKey, f] of Object.entries(stats.factions || {})) {
+    upsertFaction.run({ sessionId: stats.sessionId, factionKey, approval: f.approval, weight: f.weight });
   }
-  if (deltas.laws !== undefined) s.laws = (s.laws || 0) + deltas.laws;
-  if (deltas.crises !== undefined) s.crises = (s.crises || 0) + deltas.crises;
-  return s;
+  insertSnapshot.run(Object.assign({}, stats, { id: uuidv4(), eventId: ev.id, quarter: null, at: ev.at }));
+  streams.publish(stats.sessionId, 'stats', { eventId: ev.id, stats: publicStats(stats), calendar: describeCalendar(getSessionStmt.get(stats.sessionId)) });
+  return before ? reportNews(stats.sessionId, ev, before, stats, action) : [];
 }
 
-// Save timeline helper
-function pushTimeline(sessionId, type, description) {
-  const ev = { id: uuidv4(), sessionId, type, description, at: new Date().toISOString() };
-  insertTimeline.run(ev);
-  return ev;
+// --- Newsroom ---
+// Stories (news.js) are filed with the timeline event that made the news: the player's action, when
+// there is one, and every stat threshold the change crossed. Outlets and templates are drawn from the
+// session seed and the event's position in the timeline, so the same presidency prints the same paper.
+
+const NEWS_LIMIT = { default: 20, max: 100 };
+
+function describeStory(row) {
+  const outlet = CONTENT.outlets[row.outlet];
+  const day = describeCalendar({ quarter: row.quarter });
+  return {
+    id: row.id,
+    eventId: row.eventId,
+    kind: row.kind,
+    key: row.key,
+    outlet: row.outlet,
+    outletName: outlet ? outlet.name : row.outlet,
+    tone: row.tone,
+    headline: row.headline,
+    body: row.body,
+    date: `Q${day.quarter} ${day.year}`,
+    at: row.at
+  };
+}
+
+// `action` is what news.js needs about a player action: { type, key, deltas, crisisKey?, method?, target?, votes? }
+function reportNews(sessionId, ev, before, after, action) {
+  const session = getSessionStmt.get(sessionId);
+  const day = describeCalendar(session);
+  const scene = { president: session.playerName, country: countryProfile(session.country).name, date: `Q${day.quarter} ${day.year}` };
+  const rng = createRng(deriveSeed(sessionSeed(session), 'news', getEventSeq.get(ev.id).seq));
+  const stories = [action ? newsroom.actionStory(action, scene, rng) : null].concat(newsroom.thresholdStories(before, after, scene, rng));
+  const filed = stories.filter(Boolean).map(story => {
+    const row = Object.assign({ id: uuidv4(), sessionId, eventId: ev.id, quarter: session.quarter || 0, at: ev.at }, story);
+    insertNewsStory.run(row);
+    return describeStory(row);
+  });
+  if (filed.length) streams.publish(sessionId, 'news', { eventId: ev.id, stories: filed });
+  return filed;
+}
+
+// Evenly spaced sample of at most `points` rows; first and last rows are always kept
+function downsample(rows, points) {
+  if (!points || rows.length <= points) return rows;
+  if (points === 1) return [rows[rows.length - 1]];
+  const picked = [];
+  for (let i = 0; i < points; i++) picked.push(rows[Math.round(i * (rows.length - 1) / (points - 1))]);
+  return picked;
+}
+
+// --- Action planning ---
+// The action rules live in engine.js; they see a session through its planning context. The action
+// routes and /actions/preview share this, so a preview always matches what the action does.
+
+// Planning context of a stored session: the row plus its statutes, pending crises and scheduled election
+function actionContext(session) {
+  return Object.assign({}, session, {
+    state: sessionState(session),
+    statutes: getStatutesStmt.all(session.id).map(r => r.lawKey),
+    pendingCrises: getPendingCrises.all(session.id),
+    election: getScheduledElection.get(session.id) || null
+  });
+}
+
+// Deltas an action would apply, scaled by the session's difficulty and country
+function resolveActionDeltas(type, body, session) {
+  return engine.resolveActionDeltas(type, body, actionContext(session));
+}
+
+// --- Statutes ---
+// Enacted laws stay in force until repealed; what they do each quarter is engine.statuteDeltas.
+
+// "economy -3, approval +1"
+function describeDeltas(deltas) {
+  return Object.entries(deltas).filter(([, value]) => value).map(([stat, value]) => `${stat} ${value > 0 ? '+' : ''}${value}`).join(', ');
+}
+
+// Public view of a statute: what it does each quarter (scaled for the session) and what repealing it costs
+function describeStatute(row, lawKeys, session) {
+  const entry = CONTENT.laws[row.lawKey] || { label: row.lawKey };
+  const scale = sessionScale(session);
+  const enacted = describeCalendar({ quarter: row.enactedQuarter });
+  return {
+    lawKey: row.lawKey,
+    label: entry.label,
+    enactedQuarter: row.enactedQuarter,
+    enacted: `Q${enacted.quarter} ${enacted.year}`,
+    ongoing: scaleDeltas(entry.ongoing || {}, scale),
+    interactions: Object.entries(entry.interactions || {})
+      .filter(([other]) => lawKeys.includes(other))
+      .map(([other, effect]) => ({ lawKey: other, label: CONTENT.laws[other].label, deltas: scaleDeltas(effect, scale) })),
+    repealCost: scaleDeltas(entry.repeal || DEFAULT_REPEAL_DELTAS, scale)
+  };
+}
+
+// --- Elections ---
+// Each term but the last ends in a scheduled election. Campaign acts in the run-up add votes; on
+// election day the vote is counted from the stats, and a win opens the next term.
+
+function scheduleNextElection(sessionId, term) {
+  const election = nextElection(term);
+  if (election) scheduleElectionStmt.run({ sessionId, quarter: election.quarter });
+}
+
+function describeElection(row) {
+  const day = describeCalendar({ quarter: row.quarter });
+  return {
+    quarter: row.quarter,
+    date: `Q${day.quarter} ${day.year}`,
+    status: row.status,
+    campaignVotes: row.campaignVotes,
+    voteShare: row.voteShare,
+    breakdown: row.breakdown ? JSON.parse(row.breakdown) : null
+  };
+}
+
+// Count the scheduled election's votes and record the result; a win schedules the election after next term
+function holdElection(session, stats, election) {
+  const { won, voteShare, breakdown } = tallyElection(sessionSeed(session), stats, election);
+  const row = Object.assign({}, election, {
+    status: won ? 'won' : 'lost', voteShare, breakdown: JSON.stringify(breakdown), resolvedAt: new Date().toISOString()
+  });
+  closeElection.run(row);
+
+  const blocs = Object.entries(breakdown.factions).map(([key, share]) => `${CONTENT.factions[key].label} ${share}%`);
+  const factors = describeDeltas(Object.assign({}, breakdown.contributions, { campaign: breakdown.campaign, swing: breakdown.swing }));
+  pushTimeline(session.id, 'election', `${won ? 'Re-elected' : 'Electoral defeat'} with ${voteShare}% of the vote (${factors})${blocs.length ? `; ${blocs.join(', ')}` : ''}`);
+  if (won) scheduleNextElection(session.id, election.quarter / CALENDAR.quartersPerTerm + 1);
+  return Object.assign({ won }, describeElection(row));
+}
+
+// --- Checkpoints (rewind / fork) ---
+// After every player request the full mutable state is stored with the timeline position
+// (highest event seq) it belongs to. Rewinding restores a checkpoint and drops everything after it.
+
+function captureState(sessionId) {
+  const session = getSessionStmt.get(sessionId);
+  const { sessionId: _, ...stats } = getStatsStmt.get(sessionId);
+  return {
+    stats,
+    calendar: { quarter: session.quarter, actionsThisQuarter: session.actionsThisQuarter, economyMomentum: session.economyMomentum },
+    lifecycle: sessionState(session),
+    pendingCrises: getPendingCrises.all(sessionId).map(({ id, crisisKey, spawnedQuarter, deadlineQuarter }) => ({ id, crisisKey, spawnedQuarter, deadlineQuarter })),
+    statutes: getStatutesStmt.all(sessionId).map(({ lawKey, enactedQuarter }) => ({ lawKey, enactedQuarter })),
+    factions: getFactionsStmt.all(sessionId).map(({ factionKey, approval, weight }) => ({ factionKey, approval, weight })),
+    elections: getElectionsStmt.all(sessionId).map(({ sessionId: _s, ...election }) => election),
+    advisors: getAdvisorsStmt.all(sessionId).map(({ advisorKey, loyalty, status, advice }) => ({ advisorKey, loyalty, status, advice }))
+  };
+}
+
+function recordCheckpoint(sessionId) {
+  insertCheckpoint.run({ id: uuidv4(), sessionId, state: JSON.stringify(captureState(sessionId)), at: new Date().toISOString() });
+}
+
+// Apply a captured state; crises spawned or closed after `since` are discarded first
+function restoreState(sessionId, state, since) {
+  upsertStats.run(Object.assign({}, state.stats, { sessionId }));
+  updateSessionCalendar.run(Object.assign({ id: sessionId }, state.calendar));
+  updateSessionState.run({ id: sessionId, state: state.lifecycle || 'active' });
+  db.prepare(`DELETE FROM PendingCrisis WHERE sessionId = ? AND (status = 'pending' OR resolvedAt > ?)`).run(sessionId, since);
+  for (const crisis of state.pendingCrises) restorePendingCrisis.run(Object.assign({ sessionId }, crisis));
+  // checkpoints from before statutes, factions, elections or advisors existed leave the current ones alone
+  if (state.elections) {
+    db.prepare(`DELETE FROM Election WHERE sessionId = ?`).run(sessionId);
+    for (const election of state.elections) restoreElection.run(Object.assign({ sessionId }, election));
+  }
+  if (state.factions) {
+    db.prepare(`DELETE FROM FactionOpinion WHERE sessionId = ?`).run(sessionId);
+    for (const faction of state.factions) upsertFaction.run(Object.assign({ sessionId }, faction));
+  }
+  if (state.statutes) {
+    db.prepare(`DELETE FROM Statute WHERE sessionId = ?`).run(sessionId);
+    for (const statute of state.statutes) insertStatute.run(Object.assign({ sessionId }, statute));
+  }
+  if (state.advisors) {
+    db.prepare(`DELETE FROM Advisor WHERE sessionId = ?`).run(sessionId);
+    for (const advisor of state.advisors) restoreAdvisor.run(Object.assign({ sessionId }, advisor));
+  }
+}
+
+// Roll a session back to a checkpoint: later events, snapshots, achievements, news and checkpoints go away
+const rewindToCheckpoint = db.transaction((sessionId, checkpoint) => {
+  const later = `SELECT id FROM TimelineEvent WHERE sessionId = @sessionId AND seq > @seq`;
+  const params = { sessionId, seq: checkpoint.eventSeq };
+  db.prepare(`DELETE FROM StatSnapshot WHERE sessionId = @sessionId AND eventId IN (${later})`).run(params);
+  db.prepare(`DELETE FROM Achievement WHERE sessionId = @sessionId AND eventId IN (${later})`).run(params);
+  db.prepare(`DELETE FROM NewsStory WHERE sessionId = @sessionId AND eventId IN (${later})`).run(params);
+  const removed = db.prepare(`DELETE FROM TimelineEvent WHERE sessionId = @sessionId AND seq > @seq`).run(params).changes;
+  db.prepare(`DELETE FROM Checkpoint WHERE sessionId = @sessionId AND eventSeq > @seq`).run(params);
+  restoreState(sessionId, JSON.parse(checkpoint.state), checkpoint.at);
+  return removed;
+});
+
+// Copy a session up to (and including) a checkpoint into a brand-new session with its own token;
+// the fork belongs to the parent's player
+const forkAtCheckpoint = db.transaction((parent, checkpoint, forkEvent, token) => {
+  const id = uuidv4();
+  const now = new Date().toISOString();
+  insertSession.run({
+    id, playerName: parent.playerName, country: parent.country, difficulty: parent.difficulty,
+    chaosThreshold: parent.chaosThreshold, startedAt: now, seed: sessionSeed(parent), playerId: parent.playerId || null, token
+  });
+  db.prepare(`UPDATE Session SET parentSessionId = ?, forkEventId = ? WHERE id = ?`).run(parent.id, forkEvent.id, id);
+
+  // timeline (same seq numbers), then everything hanging off those events
+  const eventIds = {};
+  const events = db.prepare(`SELECT * FROM TimelineEvent WHERE sessionId = ? AND seq <= ? ORDER BY seq ASC`).all(parent.id, checkpoint.eventSeq);
+  const copyEvent = db.prepare(`INSERT INTO TimelineEvent (id, sessionId, type, description, at, seq, choice) VALUES (@id,@sessionId,@type,@description,@at,@seq,@choice)`);
+  for (const ev of events) {
+    eventIds[ev.id] = uuidv4();
+    copyEvent.run(Object.assign({}, ev, { id: eventIds[ev.id], sessionId: id }));
+  }
+  for (const snap of db.prepare(`SELECT * FROM StatSnapshot WHERE sessionId = ? ORDER BY rowid ASC`).all(parent.id)) {
+    if (eventIds[snap.eventId]) insertSnapshot.run(Object.assign({}, snap, { id: uuidv4(), sessionId: id, eventId: eventIds[snap.eventId] }));
+  }
+  // achievements unlocked and news filed after the fork point are not carried over
+  for (const ach of db.prepare(`SELECT * FROM Achievement WHERE sessionId = ?`).all(parent.id)) {
+    if (eventIds[ach.eventId]) insertAchievement.run(Object.assign({}, ach, { id: uuidv4(), sessionId: id, eventId: eventIds[ach.eventId] }));
+  }
+  for (const story of db.prepare(`SELECT * FROM NewsStory WHERE sessionId = ? ORDER BY rowid ASC`).all(parent.id)) {
+    if (eventIds[story.eventId]) insertNewsStory.run(Object.assign({}, story, { id: uuidv4(), sessionId: id, eventId: eventIds[story.eventId] }));
+  }
+  // earlier checkpoints come along so the fork can be rewound too; crisis ids are re-keyed
+  const crisisIds = {};
+  const rekey = (state) => Object.assign({}, state, {
+    pendingCrises: state.pendingCrises.map(c => Object.assign({}, c, { id: crisisIds[c.id] || (crisisIds[c.id] = uuidv4()) }))
+  });
+  for (const cp of getCheckpoints.all(parent.id)) {
+    if (cp.eventSeq > checkpoint.eventSeq) continue;
+    db.prepare(`INSERT INTO Checkpoint (id, sessionId, eventSeq, state, at) VALUES (?, ?, ?, ?, ?)`)
+      .run(uuidv4(), id, cp.eventSeq, JSON.stringify(rekey(JSON.parse(cp.state))), cp.at);
+  }
+  upsertStats.run({ sessionId: id, ...DEFAULT_STATS });
+  restoreState(id, rekey(JSON.parse(checkpoint.state)), now);
+
+  pushTimeline(id, 'fork', `Forked from session ${parent.id} at: ${forkEvent.description}`);
+  return id;
+});
+
+function recordAchievement(ach) {
+  insertAchievement.run(ach);
+  const { key, description, at, eventId, source } = ach;
+  streams.publish(ach.sessionId, 'achievement', { key, description, at, eventId, source });
 }
 
 // Achievement logic: check rules and insert any new ones
 function evaluateAchievements(sessionId, stats) {
   const found = [];
-  const existing = db.prepare(`SELECT key FROM Achievement WHERE sessionId = ?`).all(sessionId).map(r=>r.key);
-  for (const rule of ACHIEVEMENT_RULES) {
-    if (!existing.includes(rule.key) && rule.condition(stats)) {
-      const ach = { id: uuidv4(), sessionId, key: rule.key, description: rule.description, at: new Date().toISOString() };
-      insertAchievement.run(ach);
-      found.push(ach);
-      pushTimeline(sessionId, 'achievement', `Achievement unlocked: ${rule.key} - ${rule.description}`);
-    }
+  const existing = getAchievementKeys.all(sessionId).map(r => r.key);
+  for (const rule of newlyUnlocked(existing, stats)) {
+    const ev = pushTimeline(sessionId, 'achievement', `Achievement unlocked: ${rule.key} - ${rule.description}`);
+    const ach = { id: uuidv4(), sessionId, key: rule.key, description: rule.description, at: ev.at, eventId: ev.id, source: 'earned' };
+    recordAchievement(ach);
+    found.push(ach);
   }
   return found;
 }
 
-// Archive compression: compress final JSON using zlib deflate -> base64 -> map to glyph-like characters
-function compressToGlyphs(obj) {
-  const json = JSON.stringify(obj);
-  const def = zlib.deflateSync(Buffer.from(json, 'utf8'));
-  const b64 = def.toString('base64');
-  // Create glyph map: map base64 chars to a small glyph set for "glyphy" archive
-  const glyphSet = '⍟✦✧✵✶✷✸✹✺✼✽✾★☼☯☸✺❂❃❁✿☙♆♔♕♖♗♘♙';
-  // map each base64 char code to one of glyphSet
-  let glyphs = '';
-  for (let i = 0; i < b64.length; i++) {
-    const ch = b64.charCodeAt(i);
-    glyphs += glyphSet[ch % glyphSet.length];
+// Full archive payload for a session: session row (less its token) + stats + timeline + achievements + election results
+function buildArchivePayload(sessionId) {
+  const { token, ...session } = getSessionStmt.get(sessionId) || {};
+  const stats = getStatsStmt.get(sessionId);
+  const timeline = db.prepare(`SELECT id, type, description, at FROM TimelineEvent WHERE sessionId = ? ORDER BY at ASC`).all(sessionId);
+  const achievements = db.prepare(`SELECT key, description, at FROM Achievement WHERE sessionId = ?`).all(sessionId);
+  const elections = getElectionsStmt.all(sessionId).filter(e => e.status !== 'scheduled').map(describeElection);
+  const history = db.prepare(`SELECT eventId, quarter, approval, stability, economy, justice, power, chaos, laws, crises, at FROM StatSnapshot WHERE sessionId = ? ORDER BY rowid ASC`).all(sessionId);
+  return { session, stats, timeline, achievements, elections, history };
+}
+
+// Legacy score for a session's final stats; imported presidencies were played elsewhere and get none
+function sessionLegacy(session, stats) {
+  if (!session || session.readOnly) return null;
+  return engine.legacyScore(stats, countEarnedAchievements.get(session.id).n, session.difficulty);
+}
+
+// Close a session and store its final state, with its legacy score, in the Archive. A presidency is
+// archived once: an ended session gets { status, error } back, so it cannot be re-dated or re-scored.
+function archiveSession(sessionId, reason) {
+  const previous = sessionState(getSessionStmt.get(sessionId));
+  if (previous === 'ended') return { status: 409, code: 'session_state', error: STATE_ERRORS.ended, state: 'ended' };
+  const endedAt = new Date().toISOString();
+  updateSessionEnded.run({ id: sessionId, endedAt });
+  pushTimeline(sessionId, 'archive', reason ? `Presidency archived: ${reason}` : 'Presidency archived');
+
+  const archivePayload = Object.assign(buildArchivePayload(sessionId), { reason, endedAt, generatedAt: new Date().toISOString() });
+  const glyphs = encodeArchive(archivePayload);
+  const legacy = sessionLegacy(archivePayload.session, archivePayload.stats);
+
+  const archiveRecord = {
+    id: uuidv4(), sessionId, payload: glyphs, createdAt: new Date().toISOString(),
+    score: legacy ? legacy.score : null, scoreBreakdown: legacy ? JSON.stringify(legacy) : null, reason: reason || null
+  };
+  insertArchive.run(archiveRecord);
+  streams.publish(sessionId, 'state', { state: 'ended', previous, reason: reason || undefined, legacy });
+
+  return { archiveId: archiveRecord.id, glyphs, stats: archivePayload.stats, elections: archivePayload.elections, legacy, reason };
+}
+
+// Shape a decoded archive must have before it is restored. The checksum only catches damage, so a
+// payload may be hand-made: every value restoreArchive reads is checked here.
+const ARCHIVE_PAYLOAD = {
+  session: { type: 'object' },
+  stats: { type: 'object', required: true },
+  timeline: { type: 'array', required: true },
+  achievements: { type: 'array', required: true },
+  history: { type: 'array' },
+  endedAt: { type: 'string', format: 'date' },
+  exportedAt: { type: 'string', format: 'date' }
+};
+const ARCHIVE_SESSION = {
+  id: { type: 'string' },
+  playerName: { type: 'string' },
+  country: { type: 'string' },
+  difficulty: { type: 'string' },
+  chaosThreshold: { type: 'number' },
+  startedAt: { type: 'string', format: 'date' },
+  endedAt: { type: 'string', format: 'date' },
+  quarter: { type: 'integer' }
+};
+const ARCHIVE_EVENT = {
+  id: { type: 'string' },
+  type: { type: 'string', required: true },
+  description: { type: 'string', required: true },
+  at: { type: 'string', required: true, format: 'date' }
+};
+const ARCHIVE_ACHIEVEMENT = {
+  key: { type: 'string', required: true },
+  description: { type: 'string' },
+  at: { type: 'string', required: true, format: 'date' }
+};
+const ARCHIVE_SNAPSHOT = {
+  eventId: { type: 'string' },
+  quarter: { type: 'integer' },
+  at: { type: 'string', required: true, format: 'date' }
+};
+
+// Problems found inside a nested value, with fields named by their place in the body (`at.field`)
+function nestedProblems(at, problems) {
+  return problems.map(p => Object.assign({}, p, { field: `${at}.${p.field}`, error: `${at}.${p.error}` }));
+}
+
+// Problems with each entry of a list of objects, named `list[i].field`
+function listProblems(name, list, fields) {
+  const problems = [];
+  (list || []).forEach((entry, i) => {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      problems.push({ field: `${name}[${i}]`, code: 'invalid_field', error: `${name}[${i}] must be an object` });
+    } else {
+      problems.push(...nestedProblems(`${name}[${i}]`, checkFields(fields, entry, CONTENT)));
+    }
+  });
+  return problems;
+}
+
+// Failure for a decoded archive restoreArchive cannot take, or null
+function checkArchivePayload(payload) {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return failure([{ field: 'glyphs', code: 'invalid_field', error: 'invalid archive: the payload is not an object' }]);
   }
-  return glyphs;
+  const topLevel = checkFields(ARCHIVE_PAYLOAD, payload, CONTENT);
+  const failed = failure(topLevel.length ? topLevel : [].concat(
+    payload.session ? nestedProblems('session', checkFields(ARCHIVE_SESSION, payload.session, CONTENT)) : [],
+    listProblems('timeline', payload.timeline, ARCHIVE_EVENT),
+    listProblems('achievements', payload.achievements, ARCHIVE_ACHIEVEMENT),
+    listProblems('history', payload.history, ARCHIVE_SNAPSHOT)
+  ));
+  // the glyph string as a whole is the invalid field; details name what is wrong inside it
+  return failed && Object.assign(failed, { code: 'invalid_field', error: `invalid archive: ${failed.error}` });
 }
 
-// --- Endpoint implementations ---
+// Restore a decoded archive payload (checked by checkArchivePayload) as a new read-only session; the importer gets its token
+const restoreArchive = db.transaction((payload) => {
+  const source = payload.session || {};
+  const id = uuidv4();
+  const token = newToken();
+  insertImportedSession.run({
+    id,
+    playerName: source.playerName || 'Player',
+    country: source.country || 'Republic',
+    difficulty: source.difficulty || 'normal',
+    chaosThreshold: source.chaosThreshold || 100,
+    startedAt: source.startedAt || new Date().toISOString(),
+    endedAt: source.endedAt || payload.endedAt || payload.exportedAt || new Date().toISOString(),
+    quarter: source.quarter || 0,
+    importedFrom: source.id || null,
+    token
+  });
+
+  const stats = Object.assign({}, DEFAULT_STATS);
+  for (const key of Object.keys(DEFAULT_STATS)) {
+    if (Number.isFinite(payload.stats[key])) stats[key] = payload.stats[key];
+  }
+  stats.sessionId = id;
+  upsertStats.run(stats);
+
+  // timeline events get new ids; history snapshots follow them
+  const eventIds = {};
+  for (const ev of payload.timeline) {
+    const newId = uuidv4();
+    if (ev.id) eventIds[ev.id] = newId;
+    insertTimeline.run({ id: newId, sessionId: id, type: String(ev.type), description: String(ev.description), at: ev.at, choice: null });
+  }
+  for (const snap of payload.history || []) {
+    const row = { id: uuidv4(), sessionId: id, eventId: eventIds[snap.eventId] || null, quarter: snap.quarter || 0, at: snap.at };
+    for (const key of Object.keys(DEFAULT_STATS)) row[key] = Number.isFinite(snap[key]) ? snap[key] : 0;
+    insertSnapshot.run(row);
+  }
+  for (const ach of payload.achievements) {
+    insertAchievement.run({ id: uuidv4(), sessionId: id, key: String(ach.key), description: String(ach.description || ach.key), at: ach.at, eventId: null, source: 'import' });
+  }
+  pushTimeline(id, 'archive', `Imported from archive of session ${source.id || 'unknown'}`);
+
+  return { sessionId: id, token, stats };
+});
+
+// --- Timeline pages and exports ---
+// GET /timeline/:id pages through the events, at most TIMELINE_LIMIT.max at a time.
+// GET /session/:id/export writes one record in three formats: the record itself as JSON, a Markdown
+// memoir and a CSV of the timeline (memoir.js). Each timeline event carries the quarter it happened
+// in and the stats it left behind, when it changed them.
+
+const TIMELINE_LIMIT = { default: 200, max: 1000 };
+
+// Exclusive upper bound for an inclusive `to`: the next millisecond, or the next day for a bare date
+function timelineBoundAfter(to) {
+  const bound = new Date(to);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(to)) bound.setUTCDate(bound.getUTCDate() + 1);
+  else bound.setUTCMilliseconds(bound.getUTCMilliseconds() + 1);
+  return bound.toISOString();
+}
+
+const EXPORT_FORMATS = {
+  json: { type: 'application/json', extension: 'json', write: record => JSON.stringify(record, null, 2) },
+  md: { type: 'text/markdown', extension: 'md', write: memoirMarkdown },
+  csv: { type: 'text/csv', extension: 'csv', write: timelineCsv }
+};
+
+function buildExport(sessionId) {
+  const found = getSessionStmt.get(sessionId);
+  if (!found) return { status: 404, error: 'session not found' };
+  const { token, ...session } = found;
+  const stats = loadStats(sessionId);
+
+  // the latest snapshot per event; events that left the stats alone keep the quarter before them
+  const snapshots = new Map();
+  for (const row of getHistoryStmt.all(sessionId)) snapshots.set(row.eventId, row);
+  let turn = 0;
+  const timeline = db.prepare(`SELECT * FROM TimelineEvent WHERE sessionId = ? ORDER BY at ASC, seq ASC`).all(sessionId).map(ev => {
+    const snapshot = snapshots.get(ev.id);
+    if (snapshot && snapshot.quarter !== null) turn = snapshot.quarter;
+    const day = describeCalendar({ quarter: turn });
+    return {
+      id: ev.id, seq: ev.seq, type: ev.type, choice: ev.choice, description: ev.description, at: ev.at,
+      turn, date: `Q${day.quarter} ${day.year}`,
+      stats: snapshot ? publicStats(snapshot) : null
+    };
+  });
+
+  const statutes = getStatutesStmt.all(sessionId);
+  const lawKeys = statutes.map(r => r.lawKey);
+  return {
+    exportedAt: new Date().toISOString(),
+    session,
+    countryName: countryProfile(session.country).name || session.country,
+    difficultyLabel: (CONTENT.difficulties[session.difficulty] || { label: session.difficulty }).label,
+    outcome: describeOutcome(Object.assign({ reason: (getLatestArchiveReason.get(sessionId) || {}).reason }, stats, session)),
+    stats,
+    timeline,
+    achievements: db.prepare(`SELECT key, description, at, eventId, source FROM Achievement WHERE sessionId = ? ORDER BY at ASC`).all(sessionId),
+    elections: getElectionsStmt.all(sessionId).filter(e => e.status !== 'scheduled').map(describeElection),
+    statutes: statutes.map(row => describeStatute(row, lawKeys, session)),
+    news: getSessionNewsStmt.all(sessionId).map(describeStory)
+  };
+}
+
+// --- Leaderboard ---
+// Every presidency closed through archiveSession carries a legacy score. The leaderboard ranks each
+// session's first scored archive by a category, joined with the session's final stats; archiveSession
+// takes a session only once, and databases from before that keep their first archive's date.
+
+const LEADERBOARD_CATEGORIES = {
+  legacy: { label: 'Greatest legacy', column: 'a.score' },
+  stable: { label: 'Most stable', column: 'st.stability' },
+  chaotic: { label: 'Most chaotic', column: 'st.chaos' },
+  prosperous: { label: 'Most prosperous', column: 'st.economy' },
+  popular: { label: 'Most popular', column: 'st.approval' }
+};
+// time windows in days (all: no limit)
+const LEADERBOARD_WINDOWS = { day: 1, week: 7, month: 30, year: 365, all: null };
+const LEADERBOARD_LIMIT = { default: 20, max: 100 };
+
+// Ranked entries for { category, country, difficulty, window, limit }, as checked by the route
+// schema; empty values mean the default
+function leaderboard({ category, country, difficulty, window, limit } = {}) {
+  category = category || 'legacy';
+  window = window || 'all';
+  limit = Number(limit) || LEADERBOARD_LIMIT.default;
+  const ranking = LEADERBOARD_CATEGORIES[category];
+
+  const days = LEADERBOARD_WINDOWS[window];
+  const since = days === null ? null : new Date(Date.now() - days * 86400000).toISOString();
+  // the column comes from LEADERBOARD_CATEGORIES, never from the request
+  const rows = db.prepare(`
+    SELECT a.id AS archiveId, a.sessionId, a.score, a.scoreBreakdown, a.reason, a.createdAt AS endedAt,
+           s.playerName, s.country, s.difficulty, ${ranking.column} AS value
+    FROM Archive a
+    JOIN Session s ON s.id = a.sessionId
+    JOIN Stats st ON st.sessionId = a.sessionId
+    WHERE a.score IS NOT NULL
+      AND a.createdAt = (SELECT MIN(createdAt) FROM Archive WHERE sessionId = a.sessionId AND score IS NOT NULL)
+      AND (@country IS NULL OR s.country = @country)
+      AND (@difficulty IS NULL OR s.difficulty = @difficulty)
+      AND (@since IS NULL OR a.createdAt >= @since)
+    ORDER BY value DESC, a.score DESC, a.createdAt ASC
+    LIMIT @limit
+  `).all({ country: country || null, difficulty: difficulty || null, since, limit });
+
+  return {
+    category,
+    label: ranking.label,
+    filters: { country: country || null, difficulty: difficulty || null, window },
+    categories: Object.entries(LEADERBOARD_CATEGORIES).map(([key, c]) => ({ key, label: c.label })),
+    windows: Object.keys(LEADERBOARD_WINDOWS),
+    entries: rows.map((row, i) => Object.assign({ rank: i + 1 }, row, { scoreBreakdown: JSON.parse(row.scoreBreakdown) }))
+  };
+}
+
+// --- Saved sessions ---
+// Every request already leaves a checkpoint behind, so an unfinished session is always saved as of its
+// last move. Listing them is public like the rest of the read routes; resuming still needs the token.
+
+const SESSION_LIST_LIMIT = { default: 20, max: 100 };
+
+// Unfinished sessions, most recently saved first, for { playerId, ids (comma-separated), limit }
+function listSessions({ playerId, ids, limit } = {}) {
+  limit = Number(limit) || SESSION_LIST_LIMIT.default;
+  const idList = typeof ids === 'string' && ids ? ids.split(',').map(id => id.trim()).filter(Boolean) : null;
+
+  const rows = getOpenSessions.all({ playerId: playerId || null, ids: idList && JSON.stringify(idList), limit });
+  const sessions = rows.map(row => {
+    const last = getLastAction.get(row.id);
+    const stats = {};
+    for (const key of STAT_KEYS) stats[key] = row[key];
+    return {
+      sessionId: row.id,
+      playerName: row.playerName,
+      playerId: row.playerId || null,
+      country: row.country,
+      difficulty: row.difficulty,
+      state: sessionState(row),
+      matchId: row.matchId || null,
+      calendar: describeCalendar(row),
+      stats,
+      lastAction: last ? { type: last.type, label: choiceLabel(last.type, last.choice), description: last.description, at: last.at } : null,
+      startedAt: row.startedAt,
+      savedAt: row.savedAt || row.startedAt
+    };
+  });
+  return { sessions };
+}
+
+// --- Player profiles ---
+// A profile ties one person's presidencies together. Profiles and sessions each carry a random token
+// that is handed out once, at creation: starting a session for a profile needs the profile's token
+// (X-Player-Token), and every route that changes a session needs that session's (X-Session-Token).
+// Sessions from before tokens existed have none and stay open.
+
+const PLAYER_NAME_MAX = 40;
+// career page: how many favorite choices to list
+const CAREER_STRATEGIES = 5;
+
+function newToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function tokenMatches(expected, given) {
+  if (typeof given !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Token gate for a session; { status, error } when the request may not touch it
+function checkSessionToken(session, token) {
+  if (!session || !session.token) return null;
+  if (!token) return { status: 401, code: 'token_required', error: 'session token required (X-Session-Token header)' };
+  if (!tokenMatches(session.token, token)) return { status: 403, code: 'token_mismatch', error: 'session token does not match' };
+  return null;
+}
+
+// Route middleware: the session named by :id or the body's sessionId must be unlocked by the request's
+// token. Unknown sessions pass through so the route reports them as usual.
+function requireSessionToken(req, res, next) {
+  const sessionId = req.params.id || (req.body && req.body.sessionId);
+  const blocked = checkSessionToken(sessionId && getSessionStmt.get(sessionId), req.get('X-Session-Token'));
+  return blocked ? sendError(res, blocked) : next();
+}
+
+// Create a profile; its token is returned only here
+function createPlayer({ name }) {
+  name = name.trim();
+  if (!name) return { status: 400, code: 'invalid_field', error: 'name must not be blank' };
+  const player = { id: uuidv4(), name, token: newToken(), createdAt: new Date().toISOString() };
+  insertPlayer.run(player);
+  return { player: { id: player.id, name, createdAt: player.createdAt }, token: player.token };
+}
+
+// Content section holding the options of each action type, for naming recorded choices
+const CHOICE_SECTIONS = { law: 'laws', repeal: 'laws', crisis: 'crisisMethods', diplomacy: 'diplomacy', rebellion: 'rebellion', cosmic: 'cosmic', campaign: 'campaign' };
+
+function choiceLabel(type, choice) {
+  const entry = (CONTENT[CHOICE_SECTIONS[type]] || {})[choice];
+  const label = entry && entry.label ? entry.label : choice;
+  if (type === 'repeal') return `Repeal ${label}`;
+  return type === 'crisis' ? `${label} crisis response` : label;
+}
+
+// How one presidency went, from its session row joined with its stats and latest archive reason
+function describeOutcome(row) {
+  const gameOver = checkGameOver(row, row.chaosThreshold || 100);
+  return {
+    sessionId: row.id,
+    country: row.country,
+    difficulty: row.difficulty,
+    state: sessionState(row),
+    reason: row.reason || (gameOver.gameOver ? gameOver.reason : null),
+    legacy: sessionLegacy(row, row),
+    calendar: describeCalendar(row),
+    startedAt: row.startedAt,
+    endedAt: row.endedAt || null
+  };
+}
+
+// Career page: presidencies by state, the best and worst finished ones (by legacy score), achievements
+// earned across all of them and the choices the player makes most often
+function playerCareer(playerId) {
+  const player = getPlayerStmt.get(playerId);
+  if (!player) return { status: 404, error: 'player not found' };
+
+  const rows = getPlayerSessions.all(playerId);
+  const byState = {};
+  for (const row of rows) byState[sessionState(row)] = (byState[sessionState(row)] || 0) + 1;
+  const finished = rows.filter(row => ['ended', 'game_over'].includes(sessionState(row)))
+    .map(describeOutcome)
+    .sort((a, b) => b.legacy.score - a.legacy.score);
+
+  const choices = getPlayerChoices.all(playerId);
+  const actions = choices.reduce((sum, c) => sum + c.count, 0);
+  const families = {};
+  for (const c of choices) families[actionFamily(c.type)] = (families[actionFamily(c.type)] || 0) + c.count;
+
+  return {
+    player: { id: player.id, name: player.name, createdAt: player.createdAt },
+    presidencies: { total: rows.length, finished: finished.length, byState },
+    best: finished[0] || null,
+    worst: finished.length > 1 ? finished[finished.length - 1] : null,
+    achievements: getPlayerAchievements.all(playerId),
+    strategies: {
+      actions,
+      families,
+      favorites: choices.slice(0, CAREER_STRATEGIES).map(c => Object.assign({ label: choiceLabel(c.type, c.choice) }, c, {
+        share: Math.round(c.count / actions * 100) / 100
+      }))
+    }
+  };
+}
+
+
+// --- Game steps ---
+// Plain functions over the DB; routes (and the match service) only translate requests and results.
+
+// What a new session may be started with (POST /session/start, and a match join)
+const SESSION_START = {
+  playerName: { type: 'string', maxLength: PLAYER_NAME_MAX },
+  playerId: { type: 'string' },
+  country: { type: 'string', keys: 'countries' },
+  difficulty: { type: 'string', keys: 'difficulties' },
+  chaosThreshold: { type: 'integer', min: 1 },
+  seed: { type: ['integer', 'string'] }
+};
+
+// Create a session with its difficulty profile's starting stats shifted by its country's; an optional
+// seed makes runs reproducible (strings are hashed, anything else gets a random seed). A playerId (with
+// that profile's playerToken) files the session under the profile, whose name it plays under by default.
+// The fields are checked against SESSION_START here too, whatever the caller checked.
+// Returns { status, error } for a field that fails SESSION_START, an unknown profile or a wrong profile token.
+function createSession({ playerName, playerId, playerToken, country = DEFAULT_COUNTRY, difficulty = DEFAULT_DIFFICULTY, chaosThreshold, seed: requested } = {}) {
+  const invalid = failure(checkFields(SESSION_START, { playerName, playerId, country, difficulty, chaosThreshold, seed: requested }, CONTENT));
+  if (invalid) return invalid;
+  const player = playerId ? getPlayerStmt.get(playerId) : null;
+  if (playerId && !player) return { status: 404, error: 'player not found' };
+  if (player && !tokenMatches(player.token, playerToken)) return { status: 403, code: 'token_mismatch', error: 'player token does not match' };
+  if (!playerName) playerName = player ? player.name : 'Player';
+
+  const profile = CONTENT.difficulties[difficulty];
+  const nation = CONTENT.countries[country];
+  if (chaosThreshold === undefined) chaosThreshold = profile.chaosThreshold;
 
-// POST /session/start
-app.post('/session/start', (req, res) => {
-  const { playerName = 'Player', country = 'Republic', difficulty = 'normal', chaosThreshold = 100 } = req.body || {};
   const id = uuidv4();
   const startedAt = new Date().toISOString();
-  insertSession.run({ id, playerName, country, difficulty, chaosThreshold, startedAt });
+  const seed = Number.isInteger(requested) ? requested >>> 0
+    : typeof requested === 'string' && requested ? deriveSeed(requested)
+    : Math.floor(Math.random() * 4294967296);
+  const token = newToken();
+  insertSession.run({ id, playerName, country, difficulty, chaosThreshold, startedAt, seed, playerId: player ? player.id : null, token });
 
   // insert default stats snapshot
-  const baseStats = Object.assign({ sessionId: id }, DEFAULT_STATS);
-  upsertStats.run(baseStats);
+  const baseStats = Object.assign({ sessionId: id }, startingStats(difficulty, country));
+  const opening = nation.flavor && nation.flavor.start ? ` ${nation.flavor.start}` : '';
+  const ev = pushTimeline(id, 'system', `Session started for ${playerName} in ${country} (${difficulty}).${opening}`);
+  saveStats(baseStats, ev);
+  const stats = loadStats(id); // every faction starts at the starting approval
+  sessionAdvisors(id);
+  scheduleNextElection(id, 1);
+
+  recordCheckpoint(id);
+
+  const calendar = describeCalendar({ quarter: 0, actionsThisQuarter: 0 });
+  return { sessionId: id, token, playerId: player ? player.id : null, seed, stats, calendar };
+}
 
-  pushTimeline(id, 'system', `Session started for ${playerName} in ${country} (${difficulty})`);
+// Field specs (validation.js) shared by several request schemas
+const SESSION_ID = { type: 'string', required: true };
+const ID_PARAMS = { id: { type: 'string', required: true } };
+const DESCRIPTION = { type: 'string', maxLength: 200 };
+
+// Per-type request rules: the fields each action takes (besides sessionId and description) and its
+// default timeline description
+const ACTION_REQUESTS = {
+  law: { fields: { lawKey: { type: 'string', required: true, keys: 'laws' } }, describe: b => `Enforced law: ${b.lawKey}` },
+  // not limited to loaded laws: a statute enacted under a pack since unloaded can still be repealed
+  repeal: { fields: { lawKey: { type: 'string', required: true } }, describe: b => `Repealed law: ${b.lawKey}` },
+  crisis: {
+    fields: {
+      crisisId: { type: 'string', required: true, or: 'crisisKey' },
+      crisisKey: { type: 'string', keys: 'crises' },
+      method: { type: 'string', keys: 'crisisMethods' }
+    },
+    describe: (b, plan) => `Resolved crisis ${plan.crisis.crisisKey} by ${b.method || 'default'}`
+  },
+  diplomacy: {
+    fields: { actionKey: { type: 'string', required: true, keys: 'diplomacy' }, target: { type: 'string', maxLength: 60 } },
+    describe: b => `Diplomacy ${b.actionKey} with ${b.target || 'unknown'}`
+  },
+  rebellion: { fields: { act: { type: 'string', required: true, keys: 'rebellion' } }, describe: b => `Rebellion action: ${b.act}` },
+  cosmic: { fields: { actKey: { type: 'string', required: true, keys: 'cosmic' } }, describe: b => `Cosmic act: ${b.actKey}` },
+  campaign: {
+    fields: { campaignKey: { type: 'string', required: true, keys: 'campaign' } },
+    describe: (b, plan) => `Campaign: ${b.campaignKey}${plan.backfired ? ' (backfired)' : ''}`
+  }
+};
 
-  return res.json({ sessionId: id, stats: baseStats });
-});
+// Everything an action's request may carry: the action's fields and an optional timeline description
+function actionFields(type) {
+  return Object.assign({}, ACTION_REQUESTS[type].fields, { description: DESCRIPTION });
+}
 
-// POST /session/end -> close run, compute archive
-app.post('/session/end', (req, res) => {
-  const { sessionId } = req.body;
-  if (!sessionId) return res.status(400).json({ error: 'sessionId required' });
-  const endedAt = new Date().toISOString();
-  updateSessionEnded.run({ id: sessionId, endedAt });
+// Request schema of an action route
+function actionRoute(type) {
+  return { token: 'session', body: Object.assign({ sessionId: SESSION_ID }, actionFields(type)) };
+}
 
-  // compute final state and create archive
-  const stats = getStatsStmt.get(sessionId);
-  if (!stats) return res.status(404).json({ error: 'session not found or no stats' });
+// Apply and record one player action whose fields passed their schema. The action routes and
+// multiplayer matches both go through here so they follow the same rules.
+// Rejections come back as { status, error, code, state? }.
+function performAction(type, body, fromMatch = false) {
+  const rules = ACTION_REQUESTS[type];
+  const { sessionId, description } = body;
+
+  const statsRow = loadStats(sessionId);
+  if (!statsRow) return { status: 404, error: 'session not found' };
+
+  const session = getSessionStmt.get(sessionId);
+  const blocked = checkActionAllowed(session, type, fromMatch);
+  if (blocked) return blocked;
+
+  const plan = resolveActionDeltas(type, body, session);
+  if (plan.error) return { status: plan.code === 'unknown_key' ? 400 : 409, code: plan.code, error: plan.error };
+  rollBackfire(plan, session, sessionSeed(session));
+  const newStats = applyDeltas(statsRow, plan.deltas);
+  if (plan.crisis) closePendingCrisis.run({ id: plan.crisis.id, status: 'resolved', resolvedAt: new Date().toISOString() });
+  // known laws stay on the statute book until repealed
+  if (type === 'law' && CONTENT.laws[body.lawKey]) insertStatute.run({ sessionId, lawKey: body.lawKey, enactedQuarter: session.quarter || 0 });
+  if (type === 'repeal') deleteStatute.run({ sessionId, lawKey: body.lawKey });
+  if (plan.election) addCampaignVotes.run({ sessionId, quarter: plan.election.quarter, votes: plan.votes });
+
+  const choice = type === 'crisis' ? body.method || 'default' : body[ACTION_KEY_FIELDS[type]];
+  const ev = pushTimeline(sessionId, type, description || rules.describe(body, plan), String(choice));
+  const news = saveStats(newStats, ev, {
+    type,
+    key: body[ACTION_KEY_FIELDS[type]],
+    deltas: plan.deltas,
+    crisisKey: plan.crisis && plan.crisis.crisisKey,
+    method: type === 'crisis' ? body.method || 'default' : undefined,
+    target: body.target,
+    votes: plan.votes
+  });
+  // laws feed the economy's momentum; responding to a rebellion does not use up the quarter's budget
+  const calendar = type === 'rebellion' ? describeCalendar(session) : spendAction(session, type === 'law' ? plan.deltas.economy || 0 : 0);
+
+  // mythic achievements from the act itself
+  if (plan.unlocks && !getAchievementKeys.all(sessionId).some(r => r.key === plan.unlocks.key)) {
+    const unlockEv = pushTimeline(sessionId, 'achievement', `Achievement unlocked: ${plan.unlocks.key}`);
+    recordAchievement({ id: uuidv4(), sessionId, key: plan.unlocks.key, description: plan.unlocks.description, at: unlockEv.at, eventId: unlockEv.id, source: 'earned' });
+  }
 
-  const archivePayload = { sessionId, stats, endedAt, generatedAt: new Date().toISOString() };
-  const glyphs = compressToGlyphs(archivePayload);
+  const advisors = judgeAdvice(sessionId, type, body);
+  const achievements = evaluateAchievements(sessionId, newStats);
+  const { state, rebellion, gameOver } = updateLifecycle(session, newStats);
 
-  const archiveRecord = { id: uuidv4(), sessionId, payload: glyphs, createdAt: new Date().toISOString() };
-  insertArchive.run(archiveRecord);
+  recordCheckpoint(sessionId);
+  const campaign = plan.election
+    ? { votes: plan.votes, backfired: Boolean(plan.backfired), campaignVotes: plan.election.campaignVotes + plan.votes }
+    : undefined;
+  return { stats: newStats, achievements, advisors, campaign, rebellion, gameOver, state, calendar, news };
+}
 
-  pushTimeline(sessionId, 'archive', 'Presidency archived');
+// Move a presidency forward one quarter: drift, crisis deadlines and new crises, then the lifecycle checks
+function performAdvance(id, fromMatch = false) {
+  const session = getSessionStmt.get(id);
+  const blocked = checkSessionAccepts(session, 'advance', fromMatch);
+  if (blocked) return blocked;
+
+  const statsRow = loadStats(id);
+  if (!statsRow) return { status: 404, error: 'stats not found' };
+
+  const drift = quarterDrift(statsRow, session.economyMomentum || 0);
+  let newStats = applyDeltas(statsRow, drift.deltas);
+
+  const next = Object.assign({}, session, { quarter: (session.quarter || 0) + 1, actionsThisQuarter: 0, economyMomentum: drift.momentum });
+  updateSessionCalendar.run(next);
+  const calendar = describeCalendar(next);
+
+  // one line of country flavor per quarter, picked from the session seed
+  const flavor = countryProfile(session.country).flavor || {};
+  const lines = flavor.quarters || [];
+  const line = lines.length ? ` | ${lines[Math.floor(createRng(deriveSeed(sessionSeed(session), 'flavor', next.quarter))() * lines.length)]}` : '';
+  const news = saveStats(newStats, pushTimeline(id, 'calendar', `Advanced to Q${calendar.quarter} ${calendar.year}${line}`));
+
+  // laws in force keep acting every quarter
+  const statutes = scaleDeltas(statuteDeltas(getStatutesStmt.all(id).map(r => r.lawKey)), sessionScale(session));
+  if (Object.values(statutes).some(value => value)) {
+    newStats = applyDeltas(newStats, statutes);
+    news.push(...saveStats(newStats, pushTimeline(id, 'law', `Statutes in force: ${describeDeltas(statutes)}`)));
+  }
 
-  return res.json({ archiveId: archiveRecord.id, glyphs });
-});
+  // crises left unanswered past their deadline take the 'ignore' penalty automatically
+  const expired = [];
+  for (const crisis of getPendingCrises.all(id)) {
+    if (crisis.deadlineQuarter >= next.quarter) continue;
+    newStats = applyDeltas(newStats, scaleDeltas(crisisDeltas(crisis.crisisKey, 'ignore'), sessionScale(session)));
+    closePendingCrisis.run({ id: crisis.id, status: 'expired', resolvedAt: new Date().toISOString() });
+    news.push(...saveStats(newStats, pushTimeline(id, 'crisis', `Crisis ${crisis.crisisKey} went unanswered`)));
+    expired.push(describePendingCrisis(crisis, next));
+  }
 
-// GET /session/:id/stats
-app.get('/session/:id/stats', (req, res) => {
-  const id = req.params.id;
-  const stats = getStatsStmt.get(id);
-  if (!stats) return res.status(404).json({ error: 'stats not found' });
-  return res.json({ stats });
+  // each won election adds a term; the last quarter of a term brings no new crises
+  const termEnds = next.quarter >= termEnd(getElectionsStmt.all(id));
+
+  // roll new crises for the quarter that just began
+  const spawned = [];
+  if (!termEnds) {
+    const rng = createRng(deriveSeed(sessionSeed(session), 'crises', next.quarter));
+    const pendingKeys = getPendingCrises.all(id).map(c => c.crisisKey);
+    for (const crisisKey of rollCrises(rng, newStats, pendingKeys, session.country)) {
+      spawned.push(spawnCrisis(session, crisisKey, next.quarter));
+    }
+  }
+
+  // disloyal advisors may resign or leak; either raises a crisis
+  const advisors = termEnds ? [] : advisorsActOut(next);
+  for (const outcome of advisors) spawned.push(outcome.crisis);
+
+  const achievements = evaluateAchievements(id, newStats);
+  let { state, rebellion, gameOver } = updateLifecycle(session, newStats);
+
+  // the term ran out: a scheduled election decides whether another one follows (a collapsed presidency gets no vote)
+  const scheduled = termEnds && state !== 'game_over' ? getScheduledElection.get(id) : null;
+  const election = scheduled ? holdElection(next, newStats, scheduled) : null;
+
+  recordCheckpoint(id);
+
+  // otherwise the presidency closes through the normal archive path
+  let archive = null;
+  if (termEnds && state !== 'game_over' && !(election && election.won)) {
+    archive = archiveSession(id, election ? 'Electoral defeat' : 'Term completed');
+    state = 'ended';
+  }
+
+  return { stats: newStats, drift: drift.deltas, statutes, calendar, crises: { spawned, expired }, advisors, achievements, election, rebellion, gameOver, state, archive, news };
+}
+
+// --- Advisors ---
+// Every session has the content packs' advisors. Consulting one ranks the actions available right
+// now by that advisor's focus (weighted toward stats that are in trouble) and stores the pick as
+// pending advice; the next action either follows it or not, which moves the advisor's loyalty.
+
+// Field that identifies the chosen option for each action type (crises also compare the method)
+const ACTION_KEY_FIELDS = { law: 'lawKey', repeal: 'lawKey', crisis: 'crisisId', diplomacy: 'actionKey', rebellion: 'act', cosmic: 'actKey', campaign: 'campaignKey' };
+
+// Advisor rows for a session; advisors added by content packs after the session started join now
+function sessionAdvisors(sessionId) {
+  for (const [advisorKey, entry] of Object.entries(CONTENT.advisors)) seedAdvisor.run({ sessionId, advisorKey, loyalty: entry.loyalty });
+  return getAdvisorsStmt.all(sessionId).filter(row => CONTENT.advisors[row.advisorKey]);
+}
+
+function describeAdvisor(row) {
+  const entry = CONTENT.advisors[row.advisorKey];
+  return {
+    key: row.advisorKey,
+    name: entry.name,
+    specialty: entry.specialty,
+    portrait: entry.portrait,
+    loyalty: row.loyalty,
+    status: row.status,
+    disloyal: row.status === 'serving' && row.loyalty < ADVISOR_LOYALTY.disloyal,
+    advice: row.advice ? JSON.parse(row.advice) : null
+  };
+}
+
+// Every action the session could take right now, as { type, fields, label }
+function candidateActions(session) {
+  return engine.actionOptions(actionContext(session));
+}
+
+// How pressing a stat is: weak stats (and high chaos) count up to double
+function statUrgency(stat, value) {
+  if (stat === 'chaos') return 1 + Math.min(1, value / 100);
+  return 1 + Math.max(0, (50 - value) / 50);
+}
+
+// The advisor's pick among the candidate actions, with projected changes and a rationale in their voice
+function recommendAction(entry, session, stats) {
+  let best = null;
+  for (const option of candidateActions(session)) {
+    const plan = resolveActionDeltas(option.type, option.fields, session);
+    if (plan.error) continue;
+    // compare projected stats so faction effects count toward approval
+    const projected = applyDeltas(stats, plan.deltas);
+    const contributions = Object.entries(entry.focus).map(([stat, weight]) => {
+      const delta = projected[stat] - stats[stat];
+      return { stat, delta, value: weight * delta * statUrgency(stat, stats[stat]) };
+    });
+    const score = contributions.reduce((sum, c) => sum + c.value, 0);
+    if (!best || score > best.score) best = Object.assign({}, option, { score, contributions, deltas: plan.deltas });
+  }
+  if (!best) return null;
+
+  const reasons = best.contributions
+    .filter(c => c.delta && c.value > 0)
+    .sort((a, b) => b.value - a.value)
+    .slice(0, 2)
+    .map(c => `${c.delta > 0 ? 'raises' : 'lowers'} ${c.stat} by ${Math.abs(c.delta)}`);
+  const rationale = reasons.length
+    ? `${best.label} ${reasons.join(' and ')}. As your adviser on ${entry.specialty}: ${entry.voice}`
+    : `Nothing on the table helps ${entry.specialty}; ${best.label} does the least harm.`;
+  return { type: best.type, fields: best.fields, label: best.label, deltas: best.deltas, rationale };
+}
+
+// Consult an advisor: the recommendation becomes their pending advice. Returns { advisor, recommendation }.
+function consultAdvisor(sessionId, advisorKey) {
+  const session = getSessionStmt.get(sessionId);
+  const blocked = checkSessionAccepts(session, 'consult', true); // advice is private, so match seats may consult too
+  if (blocked) return blocked;
+  const row = sessionAdvisors(sessionId).find(r => r.advisorKey === advisorKey);
+  if (!row) return { status: 404, error: 'advisor not found' };
+  if (row.status !== 'serving') return { status: 409, error: `${CONTENT.advisors[advisorKey].name} has resigned` };
+
+  const entry = CONTENT.advisors[advisorKey];
+  const recommendation = recommendAction(entry, session, loadStats(sessionId));
+  if (!recommendation) return { status: 409, error: 'there is nothing to advise on right now' };
+
+  const advice = { type: recommendation.type, fields: recommendation.fields, label: recommendation.label, quarter: session.quarter || 0 };
+  updateAdvisor.run(Object.assign({}, row, { advice: JSON.stringify(advice) }));
+  pushTimeline(sessionId, 'advisor', `${entry.name} advised: ${recommendation.label}`);
+  recordCheckpoint(sessionId);
+  return { advisor: describeAdvisor(Object.assign({}, row, { advice: JSON.stringify(advice) })), recommendation };
+}
+
+// After an action: every advisor with pending advice sees it followed or ignored. Returns their reactions.
+function judgeAdvice(sessionId, type, body) {
+  const reactions = [];
+  for (const row of sessionAdvisors(sessionId)) {
+    if (row.status !== 'serving' || !row.advice) continue;
+    const advice = JSON.parse(row.advice);
+    const keyField = ACTION_KEY_FIELDS[advice.type];
+    const followed = advice.type === type && advice.fields[keyField] === body[keyField] &&
+      (type !== 'crisis' || advice.fields.method === body.method);
+    const loyalty = Math.max(0, Math.min(100, row.loyalty + (followed ? ADVISOR_LOYALTY.followed : ADVISOR_LOYALTY.ignored)));
+    updateAdvisor.run(Object.assign({}, row, { loyalty, advice: null }));
+
+    const name = CONTENT.advisors[row.advisorKey].name;
+    pushTimeline(sessionId, 'advisor', followed ? `Followed ${name}'s advice: ${advice.label}` : `Ignored ${name}'s advice (${advice.label})`);
+    reactions.push({ key: row.advisorKey, name, followed, loyalty });
+  }
+  return reactions;
+}
+
+// Start of a quarter: disloyal advisors may resign or leak, seeded per session and quarter
+function advisorsActOut(session) {
+  const rng = createRng(deriveSeed(sessionSeed(session), 'advisors', session.quarter));
+  const pendingKeys = getPendingCrises.all(session.id).map(c => c.crisisKey);
+  const outcomes = [];
+  for (const row of sessionAdvisors(session.id)) {
+    const roll = rng(); // drawn for every advisor so one advisor's change never shifts another's roll
+    if (row.status !== 'serving' || row.loyalty >= ADVISOR_LOYALTY.disloyal) continue;
+    const chance = ADVISOR_LOYALTY.maxChance * (ADVISOR_LOYALTY.disloyal - row.loyalty) / ADVISOR_LOYALTY.disloyal;
+    if (roll >= chance) continue;
+
+    const act = row.loyalty <= ADVISOR_LOYALTY.resign ? 'resign' : 'leak';
+    const crisisKey = ADVISOR_CRISES[act];
+    if (pendingKeys.includes(crisisKey)) continue;
+    pendingKeys.push(crisisKey);
+
+    const name = CONTENT.advisors[row.advisorKey].name;
+    if (act === 'resign') updateAdvisor.run(Object.assign({}, row, { status: 'resigned', advice: null }));
+    const crisis = spawnCrisis(session, crisisKey, session.quarter, act === 'resign' ? `${name} resigned` : `${name} leaked to the press`);
+    outcomes.push({ key: row.advisorKey, name, act, crisis });
+  }
+  return outcomes;
+}
+
+// --- Offline replays ---
+// A run played offline (offline.js plays engine.js's headless game in the browser) is uploaded as its
+// setup, its moves and the result it claims. The moves are first replayed on a headless game: a run
+// with a refused move, or that ends anywhere but where it claims, is turned away. An accepted run is
+// then played again as a stored session and archived, so it enters the archives and leaderboards like
+// any other presidency. Crisis moves name their crisis by crisisKey, since crisis ids differ between the two.
+
+const REPLAY_MOVES_MAX = 2000;
+const REPLAY_RESULT = {
+  stats: { type: 'object', required: true },
+  state: { type: 'string', required: true, enum: Object.keys(STATE_ACCEPTS) },
+  quarter: { type: 'integer', required: true, min: 0 }
+};
+
+// Fields of one move: 'advance' takes none, actions those of their route
+function replayMoveFields(type) {
+  const fields = type === 'crisis'
+    ? { crisisKey: { type: 'string', required: true, keys: 'crises' }, method: ACTION_REQUESTS.crisis.fields.method, description: DESCRIPTION }
+    : ACTION_REQUESTS[type] ? actionFields(type) : {};
+  return Object.assign({ type: { type: 'string', required: true, enum: Object.keys(ACTION_REQUESTS).concat('advance') } }, fields);
+}
+
+// Failure for malformed moves or a malformed claimed result, or null; fields are named by their place in the body
+function checkReplay(moves, result) {
+  if (moves.length > REPLAY_MOVES_MAX) {
+    return failure([{ field: 'moves', code: 'invalid_field', error: `moves must hold at most ${REPLAY_MOVES_MAX} moves` }]);
+  }
+  const problems = [];
+  moves.forEach((move, i) => {
+    if (!move || typeof move !== 'object' || Array.isArray(move)) {
+      problems.push({ field: `moves[${i}]`, code: 'invalid_field', error: `moves[${i}] must be an object` });
+    } else {
+      problems.push(...nestedProblems(`moves[${i}]`, checkFields(replayMoveFields(move.type), move, CONTENT, { strict: true })));
+    }
+  });
+  problems.push(...nestedProblems('result', checkFields(REPLAY_RESULT, result, CONTENT)));
+  return failure(problems);
+}
+
+// Replay an upload on a headless game: { game }, or why the run is turned away
+function verifyReplay({ country, difficulty, seed, chaosThreshold, moves, result }) {
+  const replay = engine.replayGame({ country, difficulty, seed, chaosThreshold }, moves);
+  if (replay.error) {
+    const move = moves[replay.move];
+    return { status: 409, code: 'replay_mismatch', error: move ? `move ${replay.move + 1} (${move.type}) is refused: ${replay.error}` : replay.error };
+  }
+  const { game } = replay;
+  const claims = [['state', game.state, result.state], ['quarter', game.quarter, result.quarter]]
+    .concat(STAT_KEYS.concat('laws', 'crises').map(stat => [stat, game.stats[stat], result.stats[stat]]));
+  const differences = claims.filter(([, actual, claimed]) => actual !== claimed);
+  if (differences.length) {
+    return {
+      status: 409,
+      code: 'replay_mismatch',
+      error: `the moves do not end as claimed: ${differences.map(([name, actual, claimed]) => `${name} is ${actual}, not ${claimed}`).join(', ')}`
+    };
+  }
+  return { game };
+}
+
+// Error that rolls storeReplay back, carrying the failure to send
+function replayRefused(failed) {
+  return Object.assign(new Error(failed.error), { failed });
+}
+
+// Play a verified upload as a stored session and archive it; any refusal undoes the whole session
+const storeReplay = db.transaction((upload, playerToken) => {
+  const { playerName, playerId, country, difficulty, seed, chaosThreshold, clientId, moves } = upload;
+  const started = createSession({ playerName, playerId, playerToken, country, difficulty, chaosThreshold, seed });
+  if (started.error) throw replayRefused(started);
+
+  let archive = null;
+  moves.forEach((move, i) => {
+    const { type, ...fields } = move;
+    const step = type === 'advance' ? performAdvance(started.sessionId) : performAction(type, Object.assign({ sessionId: started.sessionId }, fields));
+    if (step.error) throw replayRefused({ status: 409, code: 'replay_mismatch', error: `move ${i + 1} (${type}) is refused: ${step.error}` });
+    if (step.archive) archive = step.archive;
+  });
+  // runs that did not reach the end of their last term were closed by the player
+  if (!archive) archive = archiveSession(started.sessionId);
+
+  insertReplay.run({ clientId, sessionId: started.sessionId, seed: started.seed, moves: JSON.stringify(moves), uploadedAt: new Date().toISOString() });
+  return { sessionId: started.sessionId, token: started.token, moves: moves.length, archive };
 });
 
-// POST /laws/enforce
-app.post('/laws/enforce', (req, res) => {
-  const { sessionId, lawKey, description } = req.body;
-  if (!sessionId || !lawKey) return res.status(400).json({ error: 'sessionId and lawKey required' });
+// Take an offline run: { sessionId, token, moves, archive, alreadyUploaded }. A run uploaded before
+// answers with the session it became (without its token).
+function uploadReplay(upload, playerToken) {
+  const known = getReplayStmt.get(upload.clientId);
+  if (known) return { sessionId: known.sessionId, alreadyUploaded: true, uploadedAt: known.uploadedAt };
+
+  const invalid = checkReplay(upload.moves, upload.result);
+  if (invalid) return invalid;
+  const verified = verifyReplay(upload);
+  if (verified.error) return verified;
+  try {
+    return Object.assign(storeReplay(upload, playerToken), { alreadyUploaded: false });
+  } catch (err) {
+    if (err.failed) return err.failed;
+    throw err;
+  }
+}
 
-  const statsRow = getStatsStmt.get(sessionId);
-  if (!statsRow) return res.status(404).json({ error: 'session not found' });
+// --- Multiplayer matches ---
+// Two sessions share a match and take turns, one quarter per turn: a seat plays up to the quarter's
+// actions, then 'endTurn' advances its session. Seat A always opens. The match ends once both seats
+// have played `quarters` turns, or as soon as either presidency reaches game over (that seat loses).
+const MATCH_SEATS = ['A', 'B'];
+const MATCH_DEFAULT_QUARTERS = 4;
+const MATCH_MOVES = Object.keys(ACTION_REQUESTS).concat(['endTurn']);
+// Fields of a join message besides its type, ref and matchId (createSession checks the session's own)
+const MATCH_JOIN = {
+  playerToken: { type: 'string' },
+  quarters: { type: 'integer' },
+  sessionId: { type: 'string' },
+  token: { type: 'string' }
+};
 
-  const deltas = LAW_DELTAS[lawKey] || { approval: 0 };
-  deltas.laws = 1; // increment laws count
-  const newStats = applyDeltas(statsRow, deltas);
-  upsertStats.run(newStats);
+function matchSeat(match, sessionId) {
+  return MATCH_SEATS.find(seat => match[`session${seat}Id`] === sessionId) || null;
+}
 
-  pushTimeline(sessionId, 'law', description || `Enforced law: ${lawKey}`);
+// Public view of a match with both seats' current standing
+function describeMatch(match) {
+  const players = {};
+  for (const seat of MATCH_SEATS) {
+    const sessionId = match[`session${seat}Id`];
+    const session = sessionId && getSessionStmt.get(sessionId);
+    players[seat] = session ? {
+      sessionId,
+      playerName: session.playerName,
+      country: session.country,
+      stats: getStatsStmt.get(sessionId),
+      calendar: describeCalendar(session),
+      state: sessionState(session)
+    } : null;
+  }
+  return {
+    matchId: match.matchId,
+    mode: match.mode,
+    status: match.endedAt ? 'ended' : match.sessionBId ? 'playing' : 'waiting',
+    turn: match.turn || null,
+    quarters: match.quarters || MATCH_DEFAULT_QUARTERS,
+    players,
+    winner: match.endedAt ? matchSeat(match, match.winnerSessionId) : null,
+    scores: match.endedAt ? { A: match.scoreA, B: match.scoreB } : null,
+    startedAt: match.startedAt,
+    endedAt: match.endedAt || null
+  };
+}
 
-  // evaluate achievements & rebellion
-  const achievements = evaluateAchievements(sessionId, newStats);
-  const rebellion = checkRebellionChance(newStats);
-  const chaosThreshold = db.prepare(`SELECT chaosThreshold FROM Session WHERE id = ?`).get(sessionId)?.chaosThreshold || 100;
-  const gameOver = checkGameOver(newStats, chaosThreshold);
+// Take a seat, opening the match on first join. Passing a seated sessionId (with its token) reconnects
+// to that seat. Returns { match, seat, sessionId, token } or { status, error }.
+function joinMatch(matchId, player) {
+  const invalid = failure(checkFields(MATCH_JOIN, player, CONTENT));
+  if (invalid) return invalid;
+  const match = getMatchStmt.get(matchId);
+  if (match && player.sessionId) {
+    const seat = matchSeat(match, player.sessionId);
+    if (!seat) return { status: 403, code: 'forbidden', error: 'session is not seated in this match' };
+    const blocked = checkSessionToken(getSessionStmt.get(player.sessionId), player.token);
+    if (blocked) return blocked;
+    return { match: describeMatch(match), seat, sessionId: player.sessionId, token: player.token };
+  }
+  if (match && (match.sessionBId || match.endedAt)) return { status: 409, error: 'match is full' };
 
-  // return updated state
-  res.json({ stats: newStats, achievements, rebellion, gameOver });
+  const quarters = player.quarters === undefined ? MATCH_DEFAULT_QUARTERS : player.quarters;
+  if (!match && !(Number.isInteger(quarters) && quarters >= 1 && quarters < CALENDAR.quartersPerTerm)) {
+    return { status: 400, code: 'invalid_field', error: `quarters must be an integer from 1 to ${CALENDAR.quartersPerTerm - 1}` };
+  }
+
+  const created = createSession({
+    playerName: player.playerName, playerId: player.playerId, playerToken: player.playerToken,
+    country: player.country, difficulty: player.difficulty, seed: player.seed
+  });
+  if (created.error) return created;
+  const { sessionId, token } = created;
+  updateSessionMatch.run({ id: sessionId, matchId });
+  if (!match) {
+    insertMatch.run({ matchId, sessionAId: sessionId, mode: 'versus', startedAt: new Date().toISOString(), quarters });
+    pushTimeline(sessionId, 'system', `Opened multiplayer match ${matchId}`);
+    return { match: describeMatch(getMatchStmt.get(matchId)), seat: 'A', sessionId, token };
+  }
+  seatMatchB.run({ matchId, sessionBId: sessionId });
+  pushTimeline(match.sessionAId, 'system', `Multiplayer match ${matchId} started vs ${sessionId}`);
+  pushTimeline(sessionId, 'system', `Multiplayer match ${matchId} started vs ${match.sessionAId}`);
+  return { match: describeMatch(getMatchStmt.get(matchId)), seat: 'B', sessionId, token };
+}
+
+// Score both seats, record the result and archive both presidencies. `loser` forces the outcome.
+// Returns the archives by seat.
+function finishMatch(match, loser) {
+  const scores = {};
+  for (const seat of MATCH_SEATS) scores[seat] = matchScore(getStatsStmt.get(match[`session${seat}Id`]));
+  let winner = scores.A === scores.B ? null : scores.A > scores.B ? 'A' : 'B';
+  if (loser) winner = loser === 'A' ? 'B' : 'A';
+
+  updateMatch.run({
+    matchId: match.matchId,
+    endedAt: new Date().toISOString(),
+    winnerSessionId: winner ? match[`session${winner}Id`] : null,
+    scoreA: scores.A,
+    scoreB: scores.B
+  });
+  const archives = {};
+  for (const seat of MATCH_SEATS) {
+    const outcome = !winner ? 'drawn' : winner === seat ? 'won' : 'lost';
+    archives[seat] = archiveSession(match[`session${seat}Id`], `Match ${match.matchId} ${outcome} (${scores[seat]} points)`);
+  }
+  return archives;
+}
+
+// Play one move for a seat: any action type (with that action's fields) or 'endTurn'.
+// Returns { result, match, archives? } or { status, error, state? }; archives are set once the match ends.
+function playMatchMove(matchId, seat, move) {
+  const match = getMatchStmt.get(matchId);
+  if (!match) return { status: 404, error: 'match not found' };
+  if (match.endedAt) return { status: 409, error: 'match has ended' };
+  if (!match.sessionBId) return { status: 409, error: 'waiting for an opponent to join' };
+  if (match.turn !== seat) return { status: 409, error: `it is seat ${match.turn}'s turn` };
+  if (!MATCH_MOVES.includes(move.action)) return { status: 400, code: 'invalid_field', error: `action must be one of ${MATCH_MOVES.join(', ')}` };
+  if (move.action !== 'endTurn') {
+    const invalid = failure(checkFields(actionFields(move.action), move, CONTENT));
+    if (invalid) return invalid;
+  }
+
+  const sessionId = match[`session${seat}Id`];
+  const result = move.action === 'endTurn'
+    ? performAdvance(sessionId, true)
+    : performAction(move.action, Object.assign({}, move, { sessionId }), true);
+  if (result.error) return result;
+
+  let archives;
+  if (result.state === 'game_over') {
+    archives = finishMatch(match, seat);
+  } else if (move.action === 'endTurn') {
+    // seat B closes each round; the match is over once B has played its last quarter
+    if (seat === 'B' && result.calendar.turn >= match.quarters) archives = finishMatch(match);
+    else updateMatchTurn.run({ matchId, turn: seat === 'A' ? 'B' : 'A' });
+  }
+  return { result, match: describeMatch(getMatchStmt.get(matchId)), archives };
+}
+
+// --- Endpoint implementations ---
+
+// Every API route is registered through route(): its schema (validation.js) is checked before the
+// handler runs, the session token gate is added when `token` is 'session', and GET /api lists it.
+const ROUTES = [];
+
+function route(method, path, schema, handler) {
+  const gates = [(req, res, next) => {
+    const failed = checkRequest(schema, req, CONTENT);
+    return failed ? sendError(res, failed) : next();
+  }];
+  if (schema.token === 'session') gates.push(requireSessionToken);
+  ROUTES.push({ method, path, schema });
+  app[method.toLowerCase()](path, ...gates, handler);
+}
+
+// GET /api -> the error codes and every route's parameters, query and body fields
+app.get('/api', (req, res) => {
+  res.json({
+    errors: ERROR_CODES,
+    routes: ROUTES.map(r => describeRoute(r.method, r.path, r.schema, CONTENT))
+  });
 });
 
-// POST /crises/resolve
-app.post('/crises/resolve', (req, res) => {
-  const { sessionId, crisisKey, method, description } = req.body;
-  if (!sessionId || !crisisKey) return res.status(400).json({ error: 'sessionId and crisisKey required' });
+// POST /players { name } -> new profile and its token (X-Player-Token when starting its sessions)
+route('POST', '/players', { body: { name: { type: 'string', required: true, maxLength: PLAYER_NAME_MAX } } },
+  (req, res) => sendResult(res, createPlayer(req.body)));
+
+// GET /players/:id -> career page: presidencies, best and worst outcomes, achievements, favorite strategies
+route('GET', '/players/:id', { params: ID_PARAMS }, (req, res) => sendResult(res, playerCareer(req.params.id)));
+
+// GET /sessions?playerId=&ids=&limit= -> unfinished presidencies with their stats and last saved move
+route('GET', '/sessions', {
+  query: {
+    playerId: { type: 'string' },
+    ids: { type: 'string' },
+    limit: { type: 'integer', min: 1, max: SESSION_LIST_LIMIT.max }
+  }
+}, (req, res) => sendResult(res, listSessions(req.query)));
 
-  const statsRow = getStatsStmt.get(sessionId);
-  if (!statsRow) return res.status(404).json({ error: 'session not found' });
+// POST /session/start { playerName?, playerId?, country, difficulty, chaosThreshold?, seed? } -> new session and its token
+route('POST', '/session/start', { token: 'player', body: SESSION_START }, (req, res) => {
+  sendResult(res, createSession(Object.assign({}, req.body, { playerToken: req.get('X-Player-Token') })));
+});
 
-  // crisis base delta
-  const base = CRISIS_DELTAS[crisisKey] || { approval: -2 };
-  // method can modify delta: e.g., 'bold' => more power but more chaos, 'measured' => stability focus
-  let methodMod = {};
-  if (method === 'bold') methodMod = { power: +5, chaos: +4, approval: -3 };
-  else if (method === 'measured') methodMod = { stability: +4, approval: +2, economy: -3 };
-  else if (method === 'ignore') methodMod = { approval: -10, stability: -12, chaos: +10 };
+// POST /session/end -> close run, compute archive
+route('POST', '/session/end', { token: 'session', body: { sessionId: SESSION_ID } }, (req, res) => {
+  const { sessionId } = req.body;
 
-  const merged = Object.assign({}, base);
-  for (const k of Object.keys(methodMod)) merged[k] = (merged[k] || 0) + methodMod[k];
+  // compute final state and create archive
+  const stats = getStatsStmt.get(sessionId);
+  if (!stats) return sendError(res, { status: 404, error: 'session not found or no stats' });
+  const session = getSessionStmt.get(sessionId);
+  const unwritable = checkSessionWritable(session);
+  if (unwritable) return sendError(res, unwritable);
+  if (session.matchId) {
+    return sendError(res, { status: 409, code: 'session_state', error: 'session is playing a multiplayer match: it is archived when the match ends', state: sessionState(session) });
+  }
 
-  merged.crises = 1;
-  const newStats = applyDeltas(statsRow, merged);
-  upsertStats.run(newStats);
+  const archived = archiveSession(sessionId);
+  if (archived.error) return sendError(res, archived);
+  const { archiveId, glyphs, legacy } = archived;
 
-  pushTimeline(sessionId, 'crisis', description || `Resolved crisis ${crisisKey} by ${method || 'default'}`);
+  return res.json({ archiveId, glyphs, stats, legacy });
+});
 
-  const achievements = evaluateAchievements(sessionId, newStats);
-  const rebellion = checkRebellionChance(newStats);
-  const chaosThreshold = db.prepare(`SELECT chaosThreshold FROM Session WHERE id = ?`).get(sessionId)?.chaosThreshold || 100;
-  const gameOver = checkGameOver(newStats, chaosThreshold);
-  res.json({ stats: newStats, achievements, rebellion, gameOver });
+// GET /session/:id/stats
+route('GET', '/session/:id/stats', { params: ID_PARAMS }, (req, res) => {
+  const id = req.params.id;
+  const stats = getStatsStmt.get(id);
+  if (!stats) return sendError(res, { status: 404, error: 'stats not found' });
+  const session = getSessionStmt.get(id);
+  return res.json({ stats, calendar: session ? describeCalendar(session) : null, state: session ? sessionState(session) : null });
 });
 
-// POST /diplomacy/action
-app.post('/diplomacy/action', (req, res) => {
-  const { sessionId, actionKey, target, description } = req.body;
-  if (!sessionId || !actionKey) return res.status(400).json({ error: 'sessionId and actionKey required' });
+// GET /session/:id/events -> server-sent event stream of the presidency as it happens (see streams.js);
+// read-only, so anyone with the session id can watch
+route('GET', '/session/:id/events', { params: ID_PARAMS }, (req, res) => {
+  const session = getSessionStmt.get(req.params.id);
+  if (!session) return sendError(res, { status: 404, error: 'session not found' });
+  streams.open(req, res, session.id, {
+    session: {
+      id: session.id, playerName: session.playerName, country: session.country, countryName: countryProfile(session.country).name || session.country,
+      difficulty: session.difficulty, startedAt: session.startedAt, readOnly: Boolean(session.readOnly), matchId: session.matchId || null
+    },
+    stats: publicStats(getStatsStmt.get(session.id)),
+    calendar: describeCalendar(session),
+    state: sessionState(session)
+  });
+});
+
+// POST /session/:id/advance -> move the presidency forward one quarter
+route('POST', '/session/:id/advance', { token: 'session', params: ID_PARAMS }, (req, res) => sendResult(res, performAdvance(req.params.id)));
+
+// GET /session/:id/history?points=N -> stat snapshots in order, optionally downsampled to N points
+route('GET', '/session/:id/history', { params: ID_PARAMS, query: { points: { type: 'integer', min: 0 } } }, (req, res) => {
+  const id = req.params.id;
+  if (!getSessionStmt.get(id)) return sendError(res, { status: 404, error: 'session not found' });
+  const points = req.query.points ? Number(req.query.points) : 0;
+
+  const rows = getHistoryStmt.all(id);
+  const history = downsample(rows, points).map(r => ({
+    eventId: r.eventId,
+    eventType: r.eventType,
+    eventDescription: r.eventDescription,
+    quarter: r.quarter,
+    at: r.at,
+    stats: { approval: r.approval, stability: r.stability, economy: r.economy, justice: r.justice, power: r.power, chaos: r.chaos, laws: r.laws, crises: r.crises }
+  }));
+  res.json({ history, total: rows.length, downsampled: history.length < rows.length });
+});
 
-  const statsRow = getStatsStmt.get(sessionId);
-  if (!statsRow) return res.status(404).json({ error: 'session not found' });
+// POST /session/:id/rewind { steps = 1 } -> undo the last N actions (calendar advances count as actions)
+route('POST', '/session/:id/rewind', {
+  token: 'session',
+  params: ID_PARAMS,
+  body: { steps: { type: 'integer', min: 1 } }
+}, (req, res) => {
+  const id = req.params.id;
+  const { steps = 1 } = req.body;
 
-  const deltas = DIPLOMACY_DELTAS[actionKey] || { approval: 0 };
-  const newStats = applyDeltas(statsRow, deltas);
-  upsertStats.run(newStats);
+  const session = getSessionStmt.get(id);
+  const blocked = checkSessionAccepts(session, 'rewind');
+  if (blocked) return sendError(res, blocked);
 
-  pushTimeline(sessionId, 'diplomacy', description || `Diplomacy ${actionKey} with ${target || 'unknown'}`);
+  const checkpoints = getCheckpoints.all(id);
+  if (steps >= checkpoints.length) return sendError(res, { status: 409, error: 'cannot rewind past the start of the session' });
 
-  const achievements = evaluateAchievements(sessionId, newStats);
-  const rebellion = checkRebellionChance(newStats);
-  res.json({ stats: newStats, achievements, rebellion });
+  const target = checkpoints[checkpoints.length - 1 - steps];
+  const removedEvents = rewindToCheckpoint(id, target);
+
+  const rewound = getSessionStmt.get(id);
+  const stats = getStatsStmt.get(id);
+  streams.publish(id, 'rewind', { seq: target.eventSeq, rewound: steps, state: sessionState(rewound), stats: publicStats(stats), calendar: describeCalendar(rewound) });
+  res.json({
+    stats,
+    calendar: describeCalendar(rewound),
+    state: sessionState(rewound),
+    rewound: steps,
+    removedEvents
+  });
 });
 
-// POST /rebellion/act
-app.post('/rebellion/act', (req, res) => {
-  const { sessionId, act, description } = req.body;
-  if (!sessionId || !act) return res.status(400).json({ error: 'sessionId and act required' });
+// POST /session/:id/fork { eventId } -> new session (with its own token) holding this one's history up to that event
+route('POST', '/session/:id/fork', { token: 'session', params: ID_PARAMS, body: { eventId: { type: 'string' } } }, (req, res) => {
+  const id = req.params.id;
+  const parent = getSessionStmt.get(id);
+  if (!parent) return sendError(res, { status: 404, error: 'session not found' });
+
+  const { eventId } = req.body;
+  const event = eventId
+    ? db.prepare(`SELECT * FROM TimelineEvent WHERE sessionId = ? AND id = ?`).get(id, eventId)
+    : db.prepare(`SELECT * FROM TimelineEvent WHERE sessionId = ? ORDER BY seq DESC LIMIT 1`).get(id);
+  if (!event) return sendError(res, { status: 404, error: 'timeline event not found' });
+
+  const checkpoints = getCheckpoints.all(id);
+  if (!checkpoints.length || event.seq === null) return sendError(res, { status: 409, error: 'session has no recorded checkpoints' });
+
+  // fork at the end of the action that produced the event
+  const checkpoint = checkpoints.find(c => c.eventSeq >= event.seq) || checkpoints[checkpoints.length - 1];
+  const token = newToken();
+  const forkId = forkAtCheckpoint(parent, checkpoint, event, token);
+
+  res.json({
+    sessionId: forkId,
+    token,
+    parentSessionId: id,
+    forkEventId: event.id,
+    stats: getStatsStmt.get(forkId),
+    calendar: describeCalendar(getSessionStmt.get(forkId))
+  });
+});
 
-  const statsRow = getStatsStmt.get(sessionId);
-  if (!statsRow) return res.status(404).json({ error: 'session not found' });
+// GET /session/:id/advisors -> the cabinet with loyalty and any advice still pending
+route('GET', '/session/:id/advisors', { params: ID_PARAMS }, (req, res) => {
+  if (!getSessionStmt.get(req.params.id)) return sendError(res, { status: 404, error: 'session not found' });
+  res.json({ advisors: sessionAdvisors(req.params.id).map(describeAdvisor) });
+});
 
-  const deltas = REBELLION_DELTAS[act] || { approval: 0 };
-  const newStats = applyDeltas(statsRow, deltas);
-  upsertStats.run(newStats);
+// POST /session/:id/advisors/:key/consult -> the advisor's recommendation, remembered as pending advice
+route('POST', '/session/:id/advisors/:key/consult', {
+  token: 'session',
+  params: Object.assign({ key: { type: 'string', required: true, keys: 'advisors' } }, ID_PARAMS)
+}, (req, res) => sendResult(res, consultAdvisor(req.params.id, req.params.key)));
+
+// GET /session/:id/laws -> the statute book: laws in force and their combined effect per quarter
+route('GET', '/session/:id/laws', { params: ID_PARAMS }, (req, res) => {
+  const session = getSessionStmt.get(req.params.id);
+  if (!session) return sendError(res, { status: 404, error: 'session not found' });
+  const rows = getStatutesStmt.all(session.id);
+  const lawKeys = rows.map(r => r.lawKey);
+  res.json({
+    statutes: rows.map(row => describeStatute(row, lawKeys, session)),
+    perQuarter: scaleDeltas(statuteDeltas(lawKeys), sessionScale(session))
+  });
+});
 
-  pushTimeline(sessionId, 'rebellion', description || `Rebellion action: ${act}`);
+// GET /session/:id/factions -> each faction's approval and share of political weight; overall approval is their weighted mean
+route('GET', '/session/:id/factions', { params: ID_PARAMS }, (req, res) => {
+  const session = getSessionStmt.get(req.params.id);
+  if (!session) return sendError(res, { status: 404, error: 'session not found' });
+  const stats = loadStats(session.id);
+  const limit = difficultyProfile(session.difficulty).rebellion.approval;
+  const total = Object.values(stats.factions).reduce((sum, f) => sum + f.weight, 0);
+  const unrest = factionUnrest(stats.factions, limit);
+  res.json({
+    approval: stats.approval,
+    factions: Object.entries(stats.factions).map(([key, f]) => ({
+      key,
+      label: CONTENT.factions[key].label,
+      description: CONTENT.factions[key].description,
+      approval: f.approval,
+      weight: Math.round(f.weight / total * 100) / 100,
+      angry: unrest.angry.includes(key)
+    })),
+    // angry factions rise up once they hold `rebellionShare` of the weight
+    unrest: { angryBelow: limit, share: Math.round(unrest.share * 100) / 100, rebellionShare: FACTION_UNREST_SHARE }
+  });
+});
 
-  const achievements = evaluateAchievements(sessionId, newStats);
-  const rebellion = checkRebellionChance(newStats);
-  const chaosThreshold = db.prepare(`SELECT chaosThreshold FROM Session WHERE id = ?`).get(sessionId)?.chaosThreshold || 100;
-  const gameOver = checkGameOver(newStats, chaosThreshold);
+// GET /session/:id/elections -> the scheduled election (with whether campaigning is open) and past results
+route('GET', '/session/:id/elections', { params: ID_PARAMS }, (req, res) => {
+  const session = getSessionStmt.get(req.params.id);
+  if (!session) return sendError(res, { status: 404, error: 'session not found' });
+  const rows = getElectionsStmt.all(session.id);
+  const scheduled = rows.find(e => e.status === 'scheduled');
+  res.json({
+    term: describeCalendar(session).term,
+    next: scheduled ? Object.assign(describeElection(scheduled), {
+      quartersLeft: scheduled.quarter - (session.quarter || 0),
+      campaignOpen: campaignOpen(scheduled, session.quarter || 0)
+    }) : null,
+    results: rows.filter(e => e.status !== 'scheduled').map(describeElection)
+  });
+});
 
-  res.json({ stats: newStats, achievements, rebellion, gameOver });
+// GET /session/:id/crises/pending -> crises waiting for a response, oldest first
+route('GET', '/session/:id/crises/pending', { params: ID_PARAMS }, (req, res) => {
+  const session = getSessionStmt.get(req.params.id);
+  if (!session) return sendError(res, { status: 404, error: 'session not found' });
+  const pending = getPendingCrises.all(session.id).map(row => describePendingCrisis(row, session));
+  res.json({ pending });
 });
 
-// POST /cosmic/act
-app.post('/cosmic/act', (req, res) => {
-  const { sessionId, actKey, description } = req.body;
-  if (!sessionId || !actKey) return res.status(400).json({ error: 'sessionId and actKey required' });
+// GET /session/:id/news?outlet=&limit= -> the presidency's press coverage, newest first, and the outlets covering it
+route('GET', '/session/:id/news', {
+  params: ID_PARAMS,
+  query: { outlet: { type: 'string', keys: 'outlets' }, limit: { type: 'integer', min: 1, max: NEWS_LIMIT.max } }
+}, (req, res) => {
+  const session = getSessionStmt.get(req.params.id);
+  if (!session) return sendError(res, { status: 404, error: 'session not found' });
+  const stories = getNewsStmt.all({ sessionId: session.id, outlet: req.query.outlet || null, limit: Number(req.query.limit) || NEWS_LIMIT.default });
+  res.json({
+    outlets: Object.entries(CONTENT.outlets).map(([key, o]) => ({ key, name: o.name, motto: o.motto || null })),
+    stories: stories.map(describeStory)
+  });
+});
 
-  const statsRow = getStatsStmt.get(sessionId);
-  if (!statsRow) return res.status(404).json({ error: 'session not found' });
+// POST /laws/enforce
+route('POST', '/laws/enforce', actionRoute('law'), (req, res) => sendResult(res, performAction('law', req.body)));
 
-  const deltas = COSMIC_DELTAS[actKey] || { chaos: +5 };
-  const newStats = applyDeltas(statsRow, deltas);
-  upsertStats.run(newStats);
+// POST /laws/repeal { sessionId, lawKey } -> take a law off the statute book, at its repeal cost
+route('POST', '/laws/repeal', actionRoute('repeal'), (req, res) => sendResult(res, performAction('repeal', req.body)));
 
-  pushTimeline(sessionId, 'cosmic', description || `Cosmic act: ${actKey}`);
+// POST /crises/resolve
+route('POST', '/crises/resolve', actionRoute('crisis'), (req, res) => sendResult(res, performAction('crisis', req.body)));
 
-  // cosmic acts can immediately unlock mythic achievements
-  if (actKey === 'distort') {
-    insertAchievement.run({ id: uuidv4(), sessionId, key: 'distorted_realm', description: 'Distorted the fabric of state', at: new Date().toISOString() });
-    pushTimeline(sessionId, 'achievement', 'Achievement unlocked: distorted_realm');
-  }
+// POST /diplomacy/action
+route('POST', '/diplomacy/action', actionRoute('diplomacy'), (req, res) => sendResult(res, performAction('diplomacy', req.body)));
 
-  const achievements = evaluateAchievements(sessionId, newStats);
-  const rebellion = checkRebellionChance(newStats);
-  const chaosThreshold = db.prepare(`SELECT chaosThreshold FROM Session WHERE id = ?`).get(sessionId)?.chaosThreshold || 100;
-  const gameOver = checkGameOver(newStats, chaosThreshold);
+// POST /rebellion/act
+route('POST', '/rebellion/act', actionRoute('rebellion'), (req, res) => sendResult(res, performAction('rebellion', req.body)));
+
+// POST /campaign/act { sessionId, campaignKey } -> campaign in the run-up to an election
+route('POST', '/campaign/act', actionRoute('campaign'), (req, res) => sendResult(res, performAction('campaign', req.body)));
+
+// POST /cosmic/act
+route('POST', '/cosmic/act', actionRoute('cosmic'), (req, res) => sendResult(res, performAction('cosmic', req.body)));
+
+// POST /actions/preview { sessionId, type, ...fields of that action's route } -> dry run, nothing is written
+route('POST', '/actions/preview', {
+  body: { sessionId: SESSION_ID, type: { type: 'string', required: true, enum: Object.keys(ACTION_REQUESTS) } },
+  bodyFor: body => (ACTION_REQUESTS[body.type] ? actionFields(body.type) : null),
+  bodyNote: 'also takes the body fields of the previewed action\'s route'
+}, (req, res) => {
+  const { sessionId, type } = req.body;
+
+  const statsRow = loadStats(sessionId);
+  if (!statsRow) return sendError(res, { status: 404, error: 'session not found' });
+  const session = getSessionStmt.get(sessionId);
+
+  const plan = resolveActionDeltas(type, req.body, session);
+  if (plan.error) return sendError(res, { status: plan.code === 'unknown_key' ? 400 : 409, code: plan.code, error: plan.error });
+
+  const stats = applyDeltas(statsRow, plan.deltas);
+  const changes = {};
+  for (const key of STAT_KEYS) {
+    if (stats[key] !== statsRow[key]) changes[key] = stats[key] - statsRow[key];
+  }
+  const factionChanges = {};
+  for (const key of Object.keys(stats.factions)) {
+    const change = stats.factions[key].approval - statsRow.factions[key].approval;
+    if (change) factionChanges[key] = change;
+  }
 
-  res.json({ stats: newStats, achievements, rebellion, gameOver });
+  const existing = getAchievementKeys.all(sessionId).map(r => r.key);
+  const achievements = newlyUnlocked(existing, stats).map(({ key, description }) => ({ key, description }));
+  if (plan.unlocks && !existing.includes(plan.unlocks.key)) achievements.unshift(plan.unlocks);
+
+  // the lifecycle/budget gate is reported rather than enforced, so panels can still show outcomes
+  const blocked = checkActionAllowed(session, type, Boolean(session.matchId));
+  res.json({
+    type,
+    allowed: !blocked,
+    blockedReason: blocked ? blocked.error : null,
+    stats,
+    changes,
+    factionChanges,
+    achievements,
+    rebellion: checkRebellionChance(stats, difficultyProfile(session.difficulty).rebellion),
+    gameOver: checkGameOver(stats, session.chaosThreshold || 100)
+  });
 });
 
 // POST /achievement/unlock (manual unlock)
-app.post('/achievement/unlock', (req, res) => {
+route('POST', '/achievement/unlock', {
+  token: 'session',
+  body: { sessionId: SESSION_ID, key: { type: 'string', required: true, maxLength: 60 }, description: DESCRIPTION }
+}, (req, res) => {
   const { sessionId, key, description } = req.body;
-  if (!sessionId || !key) return res.status(400).json({ error: 'sessionId and key required' });
-  const ach = { id: uuidv4(), sessionId, key, description: description || key, at: new Date().toISOString() };
-  insertAchievement.run(ach);
-  pushTimeline(sessionId, 'achievement', `Manually unlocked: ${key}`);
+  const unwritable = checkSessionWritable(getSessionStmt.get(sessionId));
+  if (unwritable) return sendError(res, unwritable);
+  const ev = pushTimeline(sessionId, 'achievement', `Manually unlocked: ${key}`);
+  const ach = { id: uuidv4(), sessionId, key, description: description || key, at: ev.at, eventId: ev.id, source: 'manual' };
+  recordAchievement(ach);
   res.json({ achievement: ach });
 });
 
-// GET /timeline/:id
-app.get('/timeline/:id', (req, res) => {
+// GET /timeline/:id?type=&from=&to=&order=&limit=&offset= -> one page of events, oldest first unless order=desc.
+// `type` takes a comma-separated list; `from` and `to` are inclusive, a bare date covering its whole day.
+route('GET', '/timeline/:id', {
+  params: ID_PARAMS,
+  query: {
+    type: { type: 'string' },
+    from: { type: 'string', format: 'date' },
+    to: { type: 'string', format: 'date' },
+    order: { type: 'string', enum: ['asc', 'desc'] },
+    limit: { type: 'integer', min: 1, max: TIMELINE_LIMIT.max },
+    offset: { type: 'integer', min: 0 }
+  }
+}, (req, res) => {
   const id = req.params.id;
-  const rows = db.prepare(`SELECT * FROM TimelineEvent WHERE sessionId = ? ORDER BY at ASC`).all(id);
-  return res.json({ timeline: rows });
+  const { type, from, to } = req.query;
+  const filter = {
+    sessionId: id,
+    types: type ? JSON.stringify(type.split(',').map(t => t.trim()).filter(Boolean)) : null,
+    from: from ? new Date(from).toISOString() : null,
+    to: to ? timelineBoundAfter(to) : null
+  };
+  const page = { limit: Number(req.query.limit) || TIMELINE_LIMIT.default, offset: Number(req.query.offset) || 0 };
+  const rows = getTimelinePage[req.query.order || 'asc'].all(Object.assign({}, filter, page));
+  const session = getSessionStmt.get(id);
+  const fork = session && session.parentSessionId ? { parentSessionId: session.parentSessionId, forkEventId: session.forkEventId } : null;
+  return res.json({ timeline: rows, fork, total: countTimeline.get(filter).n, limit: page.limit, offset: page.offset });
+});
+
+// GET /session/:id/export?format=md|csv|json -> the presidency as a Markdown memoir, a CSV of its timeline or a full JSON dump
+route('GET', '/session/:id/export', {
+  params: ID_PARAMS,
+  query: { format: { type: 'string', enum: Object.keys(EXPORT_FORMATS) } }
+}, (req, res) => {
+  const record = buildExport(req.params.id);
+  if (record.error) return sendError(res, record);
+  const format = EXPORT_FORMATS[req.query.format || 'json'];
+  const name = `presidency-${record.session.playerName.replace(/[^\w-]+/g, '_')}-${record.session.id.slice(0, 8)}.${format.extension}`;
+  res.type(format.type);
+  res.attachment(name);
+  res.send(format.write(record));
 });
 
 // POST /archive/export -> compress presidency (manual export)
-app.post('/archive/export', (req, res) => {
+route('POST', '/archive/export', { token: 'session', body: { sessionId: SESSION_ID } }, (req, res) => {
   const { sessionId } = req.body;
-  if (!sessionId) return res.status(400).json({ error: 'sessionId required' });
 
   const stats = getStatsStmt.get(sessionId);
-  if (!stats) return res.status(404).json({ error: 'session not found' });
-
-  // Build full payload: session row + stats + timeline + achievements
-  const sessionRow = db.prepare(`SELECT * FROM Session WHERE id = ?`).get(sessionId) || {};
-  const timeline = db.prepare(`SELECT * FROM TimelineEvent WHERE sessionId = ? ORDER BY at ASC`).all(sessionId);
-  const achievements = db.prepare(`SELECT key, description, at FROM Achievement WHERE sessionId = ?`).all(sessionId);
+  if (!stats) return sendError(res, { status: 404, error: 'session not found' });
 
-  const payload = { session: sessionRow, stats, timeline, achievements, exportedAt: new Date().toISOString() };
-  const glyphs = compressToGlyphs(payload);
+  const payload = Object.assign(buildArchivePayload(sessionId), { exportedAt: new Date().toISOString() });
+  const glyphs = encodeArchive(payload);
 
   const archiveId = uuidv4();
-  insertArchive.run({ id: archiveId, sessionId, payload: glyphs, createdAt: new Date().toISOString() });
+  insertArchive.run({ id: archiveId, sessionId, payload: glyphs, createdAt: new Date().toISOString(), score: null, scoreBreakdown: null, reason: null });
 
   pushTimeline(sessionId, 'archive', 'Archive exported manually');
 
-  // Return glyph payload and a small ascii preview size
-  return res.json({ archiveId, glyphsSample: glyphs.slice(0, 256), glyphsLength: glyphs.length });
+  // Return the full glyph string (for sharing) plus a short preview
+  return res.json({ archiveId, glyphs, glyphsSample: glyphs.slice(0, 256), glyphsLength: glyphs.length });
 });
 
-// POST /multiplayer/start
-app.post('/multiplayer/start', (req, res) => {
-  const { sessionAId, sessionBId, mode = 'versus' } = req.body;
-  if (!sessionAId || !sessionBId) return res.status(400).json({ error: 'both session IDs required' });
-  const matchId = uuidv4();
-  insertMatch.run({ matchId, sessionAId, sessionBId, mode, startedAt: new Date().toISOString() });
-  pushTimeline(sessionAId, 'system', `Multiplayer match ${matchId} started vs ${sessionBId}`);
-  pushTimeline(sessionBId, 'system', `Multiplayer match ${matchId} started vs ${sessionAId}`);
-  res.json({ matchId, mode });
+// POST /archive/import -> decode a shared glyph string into a new read-only session
+route('POST', '/archive/import', { body: { glyphs: { type: 'string', required: true } } }, (req, res) => {
+  const { glyphs } = req.body;
+
+  let payload;
+  try {
+    payload = decodeArchive(glyphs, { maxBytes: BODY_LIMIT_BYTES * ARCHIVE_INFLATE_RATIO });
+  } catch (err) {
+    return sendError(res, { status: 400, code: 'invalid_field', error: `invalid archive: ${err.message}` });
+  }
+  const invalid = checkArchivePayload(payload);
+  if (invalid) return sendError(res, invalid);
+
+  const { sessionId, token, stats } = restoreArchive(payload);
+  const achievements = db.prepare(`SELECT key, description, at FROM Achievement WHERE sessionId = ?`).all(sessionId);
+
+  const { token: _, ...session } = getSessionStmt.get(sessionId);
+  res.json({ sessionId, token, readOnly: true, session, stats, achievements, reason: payload.reason || null });
 });
 
-// POST /multiplayer/update
-app.post('/multiplayer/update', (req, res) => {
-  const { matchId, deltaA, deltaB, end = false } = req.body;
-  const match = db.prepare(`SELECT * FROM MultiplayerMatch WHERE matchId = ?`).get(matchId);
-  if (!match) return res.status(404).json({ error: 'match not found' });
-
-  // Apply deltas to sessions if provided
-  if (deltaA && match.sessionAId) {
-    const sA = getStatsStmt.get(match.sessionAId);
-    if (sA) {
-      const newA = applyDeltas(sA, deltaA);
-      upsertStats.run(newA);
-      pushTimeline(match.sessionAId, 'system', `Multiplayer update applied to A`);
-    }
+// POST /replays { playerName?, playerId?, country, difficulty, seed, chaosThreshold?, clientId, moves, result } -> an
+// offline run, verified by replaying its moves, stored and archived as a session (see "Offline replays")
+route('POST', '/replays', {
+  token: 'player',
+  body: {
+    playerName: { type: 'string', maxLength: PLAYER_NAME_MAX },
+    playerId: { type: 'string' },
+    country: { type: 'string', required: true, keys: 'countries' },
+    difficulty: { type: 'string', required: true, keys: 'difficulties' },
+    seed: { type: 'integer', required: true, min: 0, max: 4294967295 },
+    chaosThreshold: { type: 'integer', min: 1 },
+    clientId: { type: 'string', required: true, maxLength: 100 },
+    moves: { type: 'array', required: true },
+    result: { type: 'object', required: true }
   }
-  if (deltaB && match.sessionBId) {
-    const sB = getStatsStmt.get(match.sessionBId);
-    if (sB) {
-      const newB = applyDeltas(sB, deltaB);
-      upsertStats.run(newB);
-      pushTimeline(match.sessionBId, 'system', `Multiplayer update applied to B`);
-    }
+}, (req, res) => sendResult(res, uploadReplay(req.body, req.get('X-Player-Token'))));
+
+// GET /leaderboard?category=&country=&difficulty=&window=&limit= -> ranked archived presidencies
+route('GET', '/leaderboard', {
+  query: {
+    category: { type: 'string', enum: Object.keys(LEADERBOARD_CATEGORIES) },
+    country: { type: 'string', keys: 'countries' },
+    difficulty: { type: 'string', keys: 'difficulties' },
+    window: { type: 'string', enum: Object.keys(LEADERBOARD_WINDOWS) },
+    limit: { type: 'integer', min: 1, max: LEADERBOARD_LIMIT.max }
   }
+}, (req, res) => sendResult(res, leaderboard(req.query)));
 
-  if (end) {
-    updateMatch.run({ matchId, endedAt: new Date().toISOString() });
-    pushTimeline(match.sessionAId, 'system', `Match ${matchId} ended`);
-    pushTimeline(match.sessionBId, 'system', `Match ${matchId} ended`);
-  }
+// GET /multiplayer/:matchId -> match view; moves themselves go over the WebSocket at MATCH_PATH
+route('GET', '/multiplayer/:matchId', { params: { matchId: { type: 'string', required: true } } }, (req, res) => {
+  const match = getMatchStmt.get(req.params.matchId);
+  if (!match) return sendError(res, { status: 404, error: 'match not found' });
+  res.json({ match: describeMatch(match), socket: MATCH_PATH });
+});
 
-  res.json({ ok: true });
+// GET /difficulties -> difficulty profiles with their full starting stats, for the title screen
+route('GET', '/difficulties', {}, (req, res) => {
+  const base = {};
+  for (const key of STAT_KEYS) base[key] = DEFAULT_STATS[key];
+  const difficulties = Object.entries(CONTENT.difficulties).map(([key, profile]) =>
+    Object.assign({ key }, profile, { startingStats: Object.assign({}, base, profile.startingStats) }));
+  res.json({ difficulties, default: DEFAULT_DIFFICULTY });
 });
 
+// GET /countries -> country profiles for the title screen; `laws` and `crises` are the exclusive ones
+route('GET', '/countries', {}, (req, res) => {
+  const countries = Object.entries(CONTENT.countries).map(([key, profile]) => Object.assign({ key }, profile));
+  res.json({ countries, default: DEFAULT_COUNTRY });
+});
+
+// GET /content -> the loaded content packs, for building the action panels
+route('GET', '/content', {}, (req, res) => res.json(CONTENT));
+
 // Generic health check
-app.get('/health', (req, res) => res.json({ status: 'ok', time: new Date().toISOString() }));
+route('GET', '/health', {}, (req, res) => res.json({ status: 'ok', time: new Date().toISOString() }));
+
+// Frontend files, served one by one so the database next to them is never exposed
+const FRONTEND_FILES = ['index.html', 'engine.js', 'offline.js', 'core.js', 'style.css', 'spectate.html', 'spectate.js'];
+app.get('/', (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+for (const file of FRONTEND_FILES) app.get(`/${file}`, (req, res) => res.sendFile(path.join(__dirname, file)));
+
+// Anything else is an unknown route
+app.use((req, res) => sendError(res, { status: 404, code: 'no_route', error: `no route for ${req.method} ${req.path} (see GET /api)` }));
+
+// Malformed JSON bodies and anything a handler throws still answer in the error shape
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') return sendError(res, { status: 400, code: 'invalid_json', error: `request body is not valid JSON: ${err.message}` });
+  if (err.status >= 400 && err.status < 500) return sendError(res, { status: err.status, error: err.message });
+  console.error(err);
+  return sendError(res, { status: 500, code: 'internal', error: 'internal server error' });
+});
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`President Sim backend listening on port ${PORT}`);
-});
\ No newline at end of file
+});
+attachMatchServer(server, { joinMatch, playMatchMove });
\ No newline at end of file
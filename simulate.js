@@ -0,0 +1,241 @@
+// simulate.js
+// Balance simulation: plays many headless presidencies (engine.js, no server or database) with bot
+// strategies and reports how each strategy fares.
+// Run with --help for the options.
+//
+// Every strategy plays the same seeds (and, with --country all, the same rotation of countries).
+// A strategy is a function (game, options, rng) -> option | null: `options` are the actions the game
+// accepts right now, each with its scaled `deltas` and `projected` stats; null ends the quarter.
+// A --strategies entry that names a file (contains a path separator) is required as such a function.
+const path = require('path');
+const { loadContent } = require('./content');
+const { STATE_ACCEPTS, applyDeltas, deriveSeed, createRng, createEngine } = require('./engine');
+
+const USAGE = `usage: node simulate.js [options]
+  --sessions N          presidencies per strategy (default 1000)
+  --strategies a,b      built-in strategy names or strategy module paths
+                        (default random,greedy-approval,authoritarian)
+  --difficulty KEY      difficulty profile (default normal)
+  --country KEY|all     one country, or all of them in rotation (default all)
+  --seed S              base seed; run i plays seed (S, i) (default 1)
+  --packs a,b           content packs (default CONTENT_PACKS or base)
+  --format table|json   report format (default table)`;
+
+// A rebellion that outlasts this many responses in a row is given up on
+const MAX_REBELLION_RESPONSES = 20;
+
+// Change in one stat an option would bring
+function gain(option, game, stat) {
+  return option.projected[stat] - game.stats[stat];
+}
+
+// The option with the highest score, or null when none scores above zero
+function best(options, score) {
+  let pick = null;
+  let top = 0;
+  for (const option of options) {
+    const value = score(option);
+    if (value > top) {
+      pick = option;
+      top = value;
+    }
+  }
+  return pick;
+}
+
+const STRATEGIES = {
+  // any accepted action, or ending the quarter, with equal odds
+  random: (game, options, rng) => options[Math.floor(rng() * (options.length + 1))] || null,
+  // whatever raises approval most; ends the quarter once nothing does
+  'greedy-approval': (game, options) => best(options, o => gain(o, game, 'approval')),
+  // power and order first, approval be damned
+  authoritarian: (game, options) => best(options, o => gain(o, game, 'power') + gain(o, game, 'stability') / 2 - gain(o, game, 'chaos') / 2)
+};
+
+function parseArgs(argv) {
+  const args = {
+    sessions: 1000,
+    strategies: Object.keys(STRATEGIES).join(','),
+    difficulty: 'normal',
+    country: 'all',
+    seed: 1,
+    packs: process.env.CONTENT_PACKS || 'base',
+    format: 'table'
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    const key = flag.replace(/^--/, '');
+    if (flag === '--help' || flag === '-h') return { help: true };
+    if (!flag.startsWith('--') || !(key in args)) throw new Error(`unknown option ${argv[i]}`);
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined) throw new Error(`${flag} needs a value`);
+    args[key] = value;
+  }
+  args.sessions = Number(args.sessions);
+  if (!Number.isInteger(args.sessions) || args.sessions < 1) throw new Error('--sessions must be a positive integer');
+  if (!['table', 'json'].includes(args.format)) throw new Error('--format must be table or json');
+  return args;
+}
+
+// name -> strategy function, for built-ins and strategy modules
+function loadStrategies(list) {
+  const strategies = {};
+  for (const name of list.split(',').map(s => s.trim()).filter(Boolean)) {
+    if (name.includes('/') || name.includes(path.sep)) {
+      const strategy = require(path.resolve(name));
+      if (typeof strategy !== 'function') throw new Error(`${name} must export a strategy function`);
+      strategies[path.basename(name, '.js')] = strategy;
+    } else if (STRATEGIES[name]) {
+      strategies[name] = STRATEGIES[name];
+    } else {
+      throw new Error(`unknown strategy ${name} (built in: ${Object.keys(STRATEGIES).join(', ')})`);
+    }
+  }
+  if (!Object.keys(strategies).length) throw new Error('--strategies names no strategy');
+  return strategies;
+}
+
+// Actions the game would accept right now, with what each would do
+function legalOptions(engine, game) {
+  const ctx = engine.gameContext(game);
+  const options = [];
+  for (const option of engine.actionOptions(ctx)) {
+    if (engine.checkActionRules(ctx, option.type)) continue;
+    const plan = engine.resolveActionDeltas(option.type, option.fields, ctx);
+    if (plan.error) continue;
+    options.push(Object.assign({}, option, { deltas: plan.deltas, projected: applyDeltas(game.stats, plan.deltas) }));
+  }
+  return options;
+}
+
+// Play one presidency to its end. A rebellion has to be answered: when the strategy passes, a
+// random response is played for it.
+function playSession(engine, strategy, { seed, country, difficulty }) {
+  const game = engine.newGame({ country, difficulty, seed });
+  if (game.error) throw new Error(game.error);
+  const rng = createRng(deriveSeed(seed, 'bot'));
+  let responses = 0;
+  while (!game.outcome) {
+    const options = legalOptions(engine, game);
+    const canAdvance = STATE_ACCEPTS[game.state].includes('advance');
+    let choice = options.length ? strategy(game, options, rng) : null;
+    if (!choice && !canAdvance) {
+      if (!options.length || responses >= MAX_REBELLION_RESPONSES) {
+        game.outcome = { reason: 'Rebellion never quelled', quarter: game.quarter, survived: false };
+        break;
+      }
+      choice = options[Math.floor(rng() * options.length)];
+    }
+    if (!choice) {
+      engine.playQuarter(game);
+      continue;
+    }
+    const result = engine.playAction(game, choice.type, choice.fields);
+    if (result.error) throw new Error(`strategy chose a refused action (${choice.label}): ${result.error}`);
+    responses = choice.type === 'rebellion' ? responses + 1 : 0;
+  }
+  return game;
+}
+
+const round = (v, places = 1) => Math.round(v * 10 ** places) / 10 ** places;
+
+// Aggregate results of one strategy's games
+function summarize(engine, name, games, achievementKeys) {
+  const n = games.length;
+  const outcomes = {};
+  for (const game of games) outcomes[game.outcome.reason] = (outcomes[game.outcome.reason] || 0) + 1;
+  const held = games.reduce((sum, g) => sum + g.elections.filter(e => e.status !== 'scheduled').length, 0);
+  const won = games.reduce((sum, g) => sum + g.elections.filter(e => e.status === 'won').length, 0);
+  const achievements = {};
+  for (const key of achievementKeys) achievements[key] = round(games.filter(g => g.achievements.includes(key)).length / n, 3);
+  return {
+    strategy: name,
+    sessions: n,
+    survivalRate: round(games.filter(g => g.outcome.survived).length / n, 3),
+    avgQuarters: round(games.reduce((sum, g) => sum + g.outcome.quarter, 0) / n),
+    reelectionRate: held ? round(won / held, 3) : null,
+    avgScore: round(games.reduce((sum, g) => sum + engine.legacyScore(g.stats, g.achievements.length, g.difficulty).score, 0) / n),
+    outcomes,
+    achievements
+  };
+}
+
+function simulate(args) {
+  const content = loadContent(args.packs.split(',').map(p => p.trim()).filter(Boolean));
+  const engine = createEngine(content);
+  if (!content.difficulties[args.difficulty]) throw new Error(`--difficulty must be one of ${Object.keys(content.difficulties).join(', ')}`);
+  const countries = args.country === 'all' ? Object.keys(content.countries) : [args.country];
+  if (!countries.every(c => content.countries[c])) throw new Error(`--country must be all or one of ${Object.keys(content.countries).join(', ')}`);
+
+  const strategies = loadStrategies(args.strategies);
+  // cosmic unlocks are achievements too, so list every key a game can earn
+  const achievementKeys = Object.keys(content.achievements)
+    .concat(Object.values(content.cosmic).filter(a => a.unlocks).map(a => a.unlocks.key));
+  const results = Object.entries(strategies).map(([name, strategy]) => {
+    const games = [];
+    for (let i = 0; i < args.sessions; i++) {
+      const setup = { seed: deriveSeed(args.seed, i), country: countries[i % countries.length], difficulty: args.difficulty };
+      games.push(playSession(engine, strategy, setup));
+    }
+    return summarize(engine, name, games, [...new Set(achievementKeys)]);
+  });
+
+  // dominant: survives most often, then scores best
+  const ranking = results.slice().sort((a, b) => b.survivalRate - a.survivalRate || b.avgScore - a.avgScore).map(r => r.strategy);
+  return {
+    sessions: args.sessions,
+    difficulty: args.difficulty,
+    country: args.country,
+    seed: args.seed,
+    packs: content.packs.map(p => p.id),
+    strategies: results,
+    ranking,
+    dominant: ranking[0]
+  };
+}
+
+// Rows of cells -> aligned text; the first column is left-aligned, the rest right-aligned
+function textTable(rows) {
+  const widths = rows[0].map((_, c) => Math.max(...rows.map(r => String(r[c]).length)));
+  return rows.map(r => r.map((cell, c) => (c ? String(cell).padStart(widths[c]) : String(cell).padEnd(widths[c]))).join('  ')).join('\n');
+}
+
+function formatTable(report) {
+  const pct = v => (v === null ? '-' : `${round(v * 100)}%`);
+  const topOutcome = s => {
+    const [reason, count] = Object.entries(s.outcomes).sort((a, b) => b[1] - a[1])[0];
+    return `${reason} (${count})`;
+  };
+  const summary = [['strategy', 'sessions', 'survival', 'avg quarters', 're-elected', 'avg legacy', 'most common end']]
+    .concat(report.strategies.map(s => [s.strategy, s.sessions, pct(s.survivalRate), s.avgQuarters, pct(s.reelectionRate), s.avgScore, topOutcome(s)]));
+  const keys = Object.keys(report.strategies[0].achievements);
+  const unlocks = [['achievement'].concat(report.strategies.map(s => s.strategy))]
+    .concat(keys.map(key => [key].concat(report.strategies.map(s => pct(s.achievements[key])))));
+  return [
+    `${report.sessions} sessions per strategy on ${report.difficulty} difficulty (country: ${report.country}, seed: ${report.seed}, packs: ${report.packs.join(', ')})`,
+    '',
+    textTable(summary),
+    '',
+    'Achievement unlock rates',
+    textTable(unlocks),
+    '',
+    `Dominant strategy: ${report.dominant} (ranking: ${report.ranking.join(' > ')})`
+  ].join('\n');
+}
+
+if (require.main === module) {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.help) {
+      console.log(USAGE);
+    } else {
+      const report = simulate(args);
+      console.log(args.format === 'json' ? JSON.stringify(report, null, 2) : formatTable(report));
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { STRATEGIES, playSession, simulate };
@@ -0,0 +1,122 @@
+// spectate.js
+// Spectator page: follows one presidency over its event stream (GET /session/:id/events) without
+// a token, so nothing here can change the game. The session id comes from ?session=<id>.
+const spectator = {
+  sessionId: new URLSearchParams(location.search).get('session'),
+  // same origin when the server hosts the page, the default dev server when opened from disk
+  baseURL: location.protocol.startsWith('http') ? location.origin : 'http://localhost:3000',
+  watchers: 0,
+  state: null,
+  note: null // why the state changed, or what just happened
+};
+
+const SPECTATOR_TIMELINE = 50;
+const SPECTATOR_NEWS = 10;
+const STATE_LABELS = { active: 'In office', rebellion: 'Rebellion under way!', game_over: 'Game over', ended: 'Presidency archived' };
+
+async function getJSON(path) {
+  const res = await fetch(`${spectator.baseURL}${path}`);
+  return res.json();
+}
+
+function showStats(stats) {
+  for (const stat of ['approval', 'stability', 'economy', 'justice', 'power', 'chaos']) {
+    document.getElementById(`spec${stat[0].toUpperCase()}${stat.slice(1)}`).textContent = `${stats[stat]}%`;
+  }
+}
+
+function showCalendar(calendar) {
+  document.getElementById('specCalendar').textContent = `Q${calendar.quarter} ${calendar.year} (term ${calendar.term})`;
+}
+
+function showStatus() {
+  const { state, note, watchers } = spectator;
+  document.getElementById('specStatus').textContent =
+    `${STATE_LABELS[state] || state}${note ? `: ${note}` : ''}${watchers > 1 ? ` | ${watchers} watching` : ''}`;
+}
+
+function timelineItem(t) {
+  const div = document.createElement('div');
+  div.className = 'timeline-item';
+  const type = document.createElement('span');
+  type.className = 'type';
+  type.textContent = `[${t.type}] `;
+  div.append(type, `${t.description} — ${new Date(t.at).toLocaleTimeString()}`);
+  return div;
+}
+
+function storyItem(story) {
+  const item = document.createElement('div');
+  item.className = `news-story news-${story.tone}`;
+  const masthead = document.createElement('span');
+  masthead.className = 'type';
+  masthead.textContent = `${story.outletName}, ${story.date}`;
+  const headline = document.createElement('b');
+  headline.textContent = story.headline;
+  item.append(masthead, headline);
+  return item;
+}
+
+// Keep a list to its newest `max` entries
+function prependCapped(listId, node, max) {
+  const list = document.getElementById(listId);
+  list.prepend(node);
+  while (list.children.length > max) list.lastChild.remove();
+}
+
+// What happened before the stream opened (and what a reconnect missed)
+async function loadHistory() {
+  const [{ timeline = [] }, { stories = [] }] = await Promise.all([
+    getJSON(`/timeline/${spectator.sessionId}?order=desc&limit=${SPECTATOR_TIMELINE}`),
+    getJSON(`/session/${spectator.sessionId}/news?limit=${SPECTATOR_NEWS}`)
+  ]);
+  document.getElementById('specTimeline').replaceChildren(...timeline.map(timelineItem));
+  document.getElementById('specNews').replaceChildren(...stories.map(storyItem));
+}
+
+function watch() {
+  if (!spectator.sessionId) {
+    document.getElementById('specTitle').textContent = 'No session to watch: open this page with ?session=<id>';
+    return;
+  }
+  const source = new EventSource(`${spectator.baseURL}/session/${spectator.sessionId}/events`);
+  const on = (event, handler) => source.addEventListener(event, e => handler(JSON.parse(e.data)));
+
+  on('snapshot', ({ session, stats, calendar, state }) => {
+    document.getElementById('specTitle').textContent = `${session.playerName} of ${session.countryName} (${session.difficulty})`;
+    Object.assign(spectator, { state, note: null });
+    showStats(stats);
+    showCalendar(calendar);
+    showStatus();
+    loadHistory();
+  });
+  on('timeline', t => prependCapped('specTimeline', timelineItem(t), SPECTATOR_TIMELINE));
+  on('stats', ({ stats, calendar }) => {
+    showStats(stats);
+    showCalendar(calendar);
+  });
+  on('news', ({ stories }) => {
+    for (const story of stories.slice().reverse()) prependCapped('specNews', storyItem(story), SPECTATOR_NEWS);
+  });
+  on('state', ({ state, reason }) => {
+    Object.assign(spectator, { state, note: reason || null });
+    showStatus();
+  });
+  on('rewind', ({ state, stats, calendar }) => {
+    Object.assign(spectator, { state, note: 'the president rewound time' });
+    showStats(stats);
+    showCalendar(calendar);
+    showStatus();
+    loadHistory();
+  });
+  on('watchers', ({ count }) => {
+    spectator.watchers = count;
+    showStatus();
+  });
+  // an unknown session answers 404, which closes the stream for good
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED) document.getElementById('specTitle').textContent = 'Session not found.';
+  };
+}
+
+watch();
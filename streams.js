@@ -0,0 +1,56 @@
+// streams.js
+// Server-sent event streams for GET /session/:id/events. Game steps publish what happens to a session;
+// every stream open on it gets the event. Streams are read-only, so players and spectators share them.
+//
+// Events (`event: <name>`, `data: <JSON>`):
+//   snapshot     { session, stats, calendar, state }        first on every (re)connect
+//   timeline     { id, seq, type, description, choice, at } every timeline event as it is recorded
+//   stats        { eventId, stats, calendar }               the stats the event left behind
+//   news         { eventId, stories }                       stories filed about the event (news.js)
+//   achievement  { key, description, at, eventId, source }
+//   state        { state, previous, reason?, legacy? }      lifecycle changes; 'game_over' and 'ended' close the run
+//   rewind       { seq, rewound, state, stats, calendar }   events after seq were undone
+//   watchers     { count }                                  streams open on the session
+const HEARTBEAT_MS = 25000;
+const RETRY_MS = 3000;
+
+function createEventStreams() {
+  const streams = new Map(); // sessionId -> Set of open responses
+  let lastId = 0;
+
+  function send(res, event, data) {
+    res.write(`id: ${++lastId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  function publish(sessionId, event, data) {
+    for (const res of streams.get(sessionId) || []) send(res, event, data);
+  }
+
+  function watchers(sessionId) {
+    return streams.has(sessionId) ? streams.get(sessionId).size : 0;
+  }
+
+  // Hold `res` open as a stream on the session, starting with its snapshot
+  function open(req, res, sessionId, snapshot) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    send(res, 'snapshot', snapshot);
+    if (!streams.has(sessionId)) streams.set(sessionId, new Set());
+    streams.get(sessionId).add(res);
+    publish(sessionId, 'watchers', { count: watchers(sessionId) });
+
+    // comments keep proxies from closing an idle stream
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      const open = streams.get(sessionId);
+      open.delete(res);
+      if (open.size) publish(sessionId, 'watchers', { count: open.size });
+      else streams.delete(sessionId);
+    });
+  }
+
+  return { open, publish, watchers };
+}
+
+module.exports = { createEventStreams };
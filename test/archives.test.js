@@ -0,0 +1,91 @@
+// archives.test.js
+// Ending presidencies and importing shared archives through the HTTP API: a presidency is archived
+// once, imports stay read-only, and a hand-made archive is refused before anything is stored.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeArchive } = require('../vaultline');
+const { useServer } = require('./server');
+
+const request = useServer(3988);
+
+const AT = '2025-01-01T00:00:00.000Z';
+const PAYLOAD = {
+  stats: { approval: 50, stability: 50, economy: 50, justice: 50, power: 50, chaos: 0 },
+  timeline: [{ id: 'e1', type: 'system', description: 'Session started', at: AT }],
+  achievements: [{ key: 'steady_hand', description: 'Kept the peace', at: AT }]
+};
+
+async function importPayload(payload) {
+  return request('POST', '/archive/import', { glyphs: encodeArchive(payload) });
+}
+
+test('an exported archive imports as a read-only session', async () => {
+  const started = await request('POST', '/session/start', { country: 'USA', difficulty: 'normal' });
+  await request('POST', `/session/${started.sessionId}/advance`, {}, started.token);
+  const ended = await request('POST', '/session/end', { sessionId: started.sessionId }, started.token);
+
+  const imported = await importPayload(PAYLOAD);
+  assert.equal(imported.error, undefined, imported.error);
+  const roundTrip = await request('POST', '/archive/import', { glyphs: ended.glyphs });
+  assert.equal(roundTrip.readOnly, true);
+  assert.equal(roundTrip.stats.approval, ended.stats.approval);
+});
+
+test('a presidency is ended only once', async () => {
+  const { sessionId, token } = await request('POST', '/session/start', { country: 'USA', difficulty: 'normal' });
+  const first = await request('POST', '/session/end', { sessionId }, token);
+  assert.equal(first.error, undefined, first.error);
+
+  const second = await request('POST', '/session/end', { sessionId }, token);
+  assert.equal(second.code, 'session_state');
+  assert.equal(second.state, 'ended');
+  const unlock = await request('POST', '/achievement/unlock', { sessionId, key: 'late_entry' }, token);
+  assert.equal(unlock.code, 'session_state');
+
+  const { timeline } = await request('GET', `/timeline/${sessionId}?type=archive`);
+  assert.equal(timeline.length, 1);
+});
+
+test('a read-only import cannot be ended or given achievements', async () => {
+  const { sessionId, token } = await importPayload(PAYLOAD);
+  const ended = await request('POST', '/session/end', { sessionId }, token);
+  assert.equal(ended.code, 'session_state');
+  const unlock = await request('POST', '/achievement/unlock', { sessionId, key: 'late_entry' }, token);
+  assert.equal(unlock.code, 'session_state');
+});
+
+test('hand-made archives with values restoreArchive cannot take are refused', async () => {
+  const malformed = {
+    'stats is null': { stats: null },
+    'stats is a list': { stats: [1, 2] },
+    'a timeline entry is null': { timeline: [null] },
+    'a timeline entry has an object for its date': { timeline: [{ type: 'system', description: 'x', at: { when: 'now' } }] },
+    'a timeline entry has no description': { timeline: [{ type: 'system', at: AT }] },
+    'an achievement is null': { achievements: [null] },
+    'an achievement key is a number': { achievements: [{ key: 7, at: AT }] },
+    'the session is a list': { session: ['Ada'] },
+    'the player name is an object': { session: { playerName: { first: 'Ada' } } },
+    'a history snapshot is null': { history: [null] }
+  };
+  for (const [name, change] of Object.entries(malformed)) {
+    const refused = await importPayload(Object.assign({}, PAYLOAD, change));
+    assert.equal(refused.code, 'invalid_field', `${name}: ${JSON.stringify(refused)}`);
+    assert.match(refused.error, /^invalid archive: /, name);
+  }
+  const notAnObject = await request('POST', '/archive/import', { glyphs: encodeArchive([PAYLOAD]) });
+  assert.equal(notAnObject.code, 'invalid_field');
+});
+
+test('an archive that inflates far past the request size is refused', async () => {
+  const bomb = await importPayload(Object.assign({ padding: 'a'.repeat(16 * 1024 * 1024) }, PAYLOAD));
+  assert.equal(bomb.code, 'invalid_field');
+  assert.match(bomb.error, /inflates past/);
+});
+
+test('a tampered archive fails its checksum', async () => {
+  const chars = [...encodeArchive(PAYLOAD)];
+  chars[10] = chars[10] === 'ᚠ' ? 'ᚡ' : 'ᚠ';
+  const tampered = await request('POST', '/archive/import', { glyphs: chars.join('') });
+  assert.equal(tampered.code, 'invalid_field');
+  assert.match(tampered.error, /checksum mismatch/);
+});
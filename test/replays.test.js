@@ -0,0 +1,49 @@
+// replays.test.js
+// A presidency played on the server and the same seed and moves uploaded as a replay must end alike.
+// Runs against server.js on a scratch database (./server.js); run with `npm test`.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer } = require('./server');
+
+const request = useServer(3987);
+
+// Seed 2 in the USA on easy reaches chaos 23 on the quarter that ends the term, and not before
+const COLLAPSE = { country: 'USA', difficulty: 'easy', seed: 2, chaosThreshold: 23 };
+const TERM_QUARTERS = 16;
+
+test('a presidency that collapses in the last quarter of its term stays game over', async () => {
+  const { sessionId, token } = await request('POST', '/session/start', COLLAPSE);
+  let last;
+  for (let quarter = 1; quarter <= TERM_QUARTERS; quarter++) {
+    last = await request('POST', `/session/${sessionId}/advance`, {}, token);
+    assert.equal(last.error, undefined, last.error);
+    if (quarter < TERM_QUARTERS) assert.equal(last.state, 'active');
+  }
+  assert.equal(last.state, 'game_over');
+  assert.equal(last.archive, null);
+  assert.equal(last.gameOver.reason, 'Chaos exceeded threshold');
+});
+
+test('a replay that collapses in the last quarter of its term is accepted as game over', async () => {
+  const moves = Array.from({ length: TERM_QUARTERS }, () => ({ type: 'advance' }));
+  const started = await request('POST', '/session/start', COLLAPSE);
+  let stats;
+  for (const move of moves) ({ stats } = await request('POST', `/session/${started.sessionId}/advance`, {}, started.token));
+  const { factions, ...claimed } = stats;
+
+  const uploaded = await request('POST', '/replays', Object.assign({
+    clientId: 'offline-term-end-collapse',
+    moves,
+    result: { stats: claimed, state: 'game_over', quarter: TERM_QUARTERS }
+  }, COLLAPSE));
+  assert.equal(uploaded.error, undefined, uploaded.error);
+  // closed by the upload, not by the end of the term
+  assert.notEqual(uploaded.archive.reason, 'Term completed');
+
+  const ended = await request('POST', '/replays', Object.assign({
+    clientId: 'offline-term-end-claimed-completed',
+    moves,
+    result: { stats: claimed, state: 'ended', quarter: TERM_QUARTERS }
+  }, COLLAPSE));
+  assert.equal(ended.code, 'replay_mismatch');
+});
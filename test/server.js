@@ -0,0 +1,45 @@
+// server.js (tests)
+// Runs server.js on a scratch database for the tests of one file. Each file takes its own port, since
+// `npm test` runs the files side by side.
+const { before, after } = require('node:test');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Start the server before the file's tests and stop it after them; returns request(method, route, body?, token?)
+function useServer(port) {
+  const base = `http://localhost:${port}`;
+  const dbPath = path.join(os.tmpdir(), `president-sim-test-${process.pid}-${port}.db`);
+  let server;
+
+  before(async () => {
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+      env: Object.assign({}, process.env, { PORT: String(port), DB_PATH: dbPath }),
+      stdio: 'ignore'
+    });
+    for (let tries = 0; tries < 50; tries++) {
+      try {
+        await fetch(`${base}/health`);
+        return;
+      } catch (err) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    }
+    throw new Error('server did not start');
+  });
+
+  after(() => {
+    server.kill();
+    fs.rmSync(dbPath, { force: true });
+  });
+
+  return async function request(method, route, body, token) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers['X-Session-Token'] = token;
+    const res = await fetch(`${base}${route}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return res.json();
+  };
+}
+
+module.exports = { useServer };
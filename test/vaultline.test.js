@@ -0,0 +1,48 @@
+// vaultline.test.js
+// The glyph codec on its own: archives survive the round trip, and damaged or foreign strings are refused.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeArchive, decodeArchive } = require('../vaultline');
+
+const ARCHIVE = {
+  session: { id: 's1', playerName: 'Ada', country: 'USA', difficulty: 'normal' },
+  stats: { approval: 61, stability: 48, economy: 55, justice: 50, power: 52, chaos: 7 },
+  timeline: [{ id: 'e1', type: 'law', description: 'Enforced law: tax_cut — ünïcödé', at: '2025-01-01T00:00:00.000Z' }],
+  achievements: [],
+  reason: 'Term completed'
+};
+
+// The glyph string with the glyph at `index` swapped for the next rune
+function swapGlyph(glyphs, index) {
+  const chars = [...glyphs];
+  const code = chars[index].codePointAt(0);
+  chars[index] = String.fromCodePoint(code === 0x16DF ? 0x16A0 : code + 1);
+  return chars.join('');
+}
+
+test('an archive survives encoding and decoding', () => {
+  const glyphs = encodeArchive(ARCHIVE);
+  assert.deepEqual(decodeArchive(glyphs), ARCHIVE);
+  // shared strings may come back wrapped over several lines
+  assert.deepEqual(decodeArchive(glyphs.replace(/(.{40})/gu, '$1\n')), ARCHIVE);
+});
+
+test('a changed glyph fails the checksum', () => {
+  const glyphs = encodeArchive(ARCHIVE);
+  assert.throws(() => decodeArchive(swapGlyph(glyphs, 10)), /checksum mismatch/);
+});
+
+test('truncated, foreign and unknown-version strings are refused', () => {
+  const glyphs = encodeArchive(ARCHIVE);
+  assert.throws(() => decodeArchive([...glyphs].slice(0, 4).join('')), /truncated|checksum/);
+  assert.throws(() => decodeArchive('hello world'), /not a Vaultline archive/);
+  assert.throws(() => decodeArchive(glyphs.slice(0, 5) + 'x' + glyphs.slice(5)), /unknown glyph/);
+  assert.throws(() => decodeArchive(swapGlyph(glyphs, 1)), /unsupported archive version/);
+  assert.throws(() => decodeArchive(null), /not a Vaultline archive/);
+});
+
+test('an archive that inflates past maxBytes is refused', () => {
+  const glyphs = encodeArchive(Object.assign({ padding: 'a'.repeat(1024 * 1024) }, ARCHIVE));
+  assert.throws(() => decodeArchive(glyphs, { maxBytes: 64 * 1024 }), /inflates past 65536 bytes/);
+  assert.equal(decodeArchive(glyphs).padding.length, 1024 * 1024);
+});
@@ -0,0 +1,172 @@
+// validation.js
+// Request validation and the error contract shared by every HTTP route (and the match socket).
+//
+// A route schema is { params?, query?, body?, bodyFor?, bodyNote?, token? }: each of params/query/body
+// maps a field name to a field spec { type, required?, or?, keys?, enum?, format?, min?, max?, maxLength? }.
+// `token` names the header the route needs: 'session' (X-Session-Token, enforced by the route) or
+// 'player' (X-Player-Token, only when the body names a playerId).
+//   type      'string' | 'integer' | 'number' | 'boolean', or a list of them (default 'string')
+//   or        another field that may stand in for this required one
+//   keys      content section whose keys are the allowed values (unknown ones fail with unknown_key)
+//   enum      fixed list of allowed values
+//   format    'date': a string holding an ISO 8601 date or timestamp
+// Query strings arrive as text: numbers are read from them and empty values count as absent.
+// Body fields a schema does not name are rejected, so a misspelled field never goes silently unused.
+// `bodyFor(body)` adds fields that depend on the body itself (e.g. the fields of a previewed action).
+//
+// Every failed request answers { error, code, details?, state? }: `error` is readable text, `code`
+// one of ERROR_CODES, `details` lists every field problem as { field, code, error }.
+
+const ERROR_CODES = {
+  invalid_json: { status: 400, description: 'the request body is not valid JSON' },
+  missing_field: { status: 400, description: 'a required field is absent' },
+  invalid_field: { status: 400, description: 'a field has the wrong type, range or value' },
+  unknown_field: { status: 400, description: 'the body names a field the route does not take' },
+  unknown_key: { status: 400, description: 'a content key (law, crisis method, act...) that no loaded pack defines' },
+  token_required: { status: 401, description: 'the route changes a session and needs its X-Session-Token' },
+  token_mismatch: { status: 403, description: 'the session or player token does not match' },
+  forbidden: { status: 403, description: 'the request may not act on this resource' },
+  not_found: { status: 404, description: 'the session, player, match or other resource does not exist' },
+  no_route: { status: 404, description: 'no route has this method and path' },
+  session_state: { status: 409, description: 'the session\'s lifecycle state does not accept the request' },
+  action_refused: { status: 409, description: 'the game rules refuse the action right now' },
+  conflict: { status: 409, description: 'the request clashes with the current state' },
+  replay_mismatch: { status: 409, description: 'an uploaded replay refuses a move or does not end as claimed' },
+  internal: { status: 500, description: 'the server failed to handle the request' }
+};
+
+// Code of a failure that names none
+const STATUS_CODES = { 400: 'invalid_field', 401: 'token_required', 403: 'forbidden', 404: 'not_found', 409: 'conflict', 500: 'internal' };
+
+const TYPE_NAMES = { string: 'a string', integer: 'an integer', number: 'a number', boolean: 'true or false', object: 'an object', array: 'a list' };
+
+function typeOf(value) {
+  if (Number.isInteger(value)) return 'integer';
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function allowedValues(spec, content) {
+  if (spec.keys) return Object.keys(content[spec.keys] || {});
+  return spec.enum || null;
+}
+
+function describeRange(name, spec, integer) {
+  const kind = integer ? 'an integer' : 'a number';
+  if (spec.min !== undefined && spec.max !== undefined) return `${name} must be ${kind} from ${spec.min} to ${spec.max}`;
+  if (spec.min !== undefined) return `${name} must be ${kind} of at least ${spec.min}`;
+  return `${name} must be ${kind} of at most ${spec.max}`;
+}
+
+// Problem with one present value, or null
+function checkValue(name, spec, value, content) {
+  const types = [].concat(spec.type || 'string');
+  const actual = typeOf(value);
+  if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    return { field: name, code: 'invalid_field', error: `${name} must be ${types.map(t => TYPE_NAMES[t] || t).join(' or ')}` };
+  }
+  const allowed = allowedValues(spec, content);
+  if (allowed && !allowed.includes(value)) {
+    return { field: name, code: spec.keys ? 'unknown_key' : 'invalid_field', error: `${name} must be one of ${allowed.join(', ')}` };
+  }
+  if (typeof value === 'number' && ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max))) {
+    return { field: name, code: 'invalid_field', error: describeRange(name, spec, types.includes('integer') && !types.includes('number')) };
+  }
+  if (spec.format === 'date' && typeof value === 'string' && Number.isNaN(Date.parse(value))) {
+    return { field: name, code: 'invalid_field', error: `${name} must be an ISO 8601 date or timestamp` };
+  }
+  if (typeof value === 'string' && spec.maxLength !== undefined && value.length > spec.maxLength) {
+    return { field: name, code: 'invalid_field', error: `${name} must be at most ${spec.maxLength} characters` };
+  }
+  return null;
+}
+
+// Query text -> the value a spec expects; '' counts as absent
+function readQueryValue(spec, raw) {
+  if (raw === '' || raw === undefined) return undefined;
+  const types = [].concat(spec.type || 'string');
+  if ((types.includes('integer') || types.includes('number')) && typeof raw === 'string' && /^-?\d+(\.\d+)?$/.test(raw)) return Number(raw);
+  if (types.includes('boolean') && (raw === 'true' || raw === 'false')) return raw === 'true';
+  return raw;
+}
+
+// Problems with a set of values against field specs: { field, code, error } per problem
+function checkFields(fields, values, content, { query = false, strict = false } = {}) {
+  const problems = [];
+  values = values || {};
+  for (const [name, spec] of Object.entries(fields || {})) {
+    const value = query ? readQueryValue(spec, values[name]) : values[name];
+    if (value === undefined || value === null) {
+      const alternative = spec.or && values[spec.or] !== undefined && values[spec.or] !== null;
+      if (spec.required && !alternative) {
+        problems.push({ field: name, code: 'missing_field', error: `${spec.or ? `${name} or ${spec.or}` : name} required` });
+      }
+      continue;
+    }
+    const problem = checkValue(name, spec, value, content);
+    if (problem) problems.push(problem);
+  }
+  if (strict) {
+    for (const name of Object.keys(values)) {
+      if (!fields || !fields[name]) problems.push({ field: name, code: 'unknown_field', error: `${name} is not a field of this request` });
+    }
+  }
+  return problems;
+}
+
+// Failure for a list of problems ({ status, code, error, details }), or null when there are none
+function failure(problems) {
+  if (!problems.length) return null;
+  return { status: 400, code: problems[0].code, error: problems[0].error, details: problems };
+}
+
+// Check an Express request against its route schema
+function checkRequest(schema, req, content) {
+  const body = req.body === undefined ? {} : req.body;
+  if (typeOf(body) !== 'object') return failure([{ field: 'body', code: 'invalid_field', error: 'the request body must be a JSON object' }]);
+  const bodyFields = Object.assign({}, schema.body, schema.bodyFor ? schema.bodyFor(body) : null);
+  return failure([].concat(
+    checkFields(schema.params, req.params, content),
+    checkFields(schema.query, req.query, content, { query: true }),
+    checkFields(bodyFields, body, content, { strict: true })
+  ));
+}
+
+// JSON body of a failed step or request
+function errorBody(result) {
+  const body = { error: result.error, code: result.code || STATUS_CODES[result.status] || 'internal' };
+  if (result.details) body.details = result.details;
+  if (result.state) body.state = result.state;
+  return body;
+}
+
+// Field specs as served by GET /api: content keys are resolved to the allowed values
+function describeFields(fields, content) {
+  if (!fields) return undefined;
+  const described = {};
+  for (const [name, spec] of Object.entries(fields)) {
+    const entry = Object.assign({ type: spec.type || 'string' }, spec);
+    if (spec.keys) {
+      delete entry.keys;
+      entry.enum = allowedValues(spec, content);
+      entry.contentSection = spec.keys;
+    }
+    described[name] = entry;
+  }
+  return described;
+}
+
+function describeRoute(method, path, schema, content) {
+  return {
+    method,
+    path,
+    token: schema.token || null,
+    params: describeFields(schema.params, content),
+    query: describeFields(schema.query, content),
+    body: describeFields(schema.body, content),
+    bodyNote: schema.bodyNote
+  };
+}
+
+module.exports = { ERROR_CODES, STATUS_CODES, checkFields, failure, checkRequest, errorBody, describeRoute };
@@ -0,0 +1,69 @@
+// vaultline.js
+// Glyph codec for Vaultline archives.
+//
+// Format (version 1):
+//   MAGIC glyph, version glyph, then the base64 body mapped one-to-one onto GLYPHS.
+//   The body is zlib-deflated JSON followed by a 4 byte checksum of the deflated bytes.
+//   Base64 padding is dropped; the decoder restores it from the body length.
+// Decoding inflates at most `maxBytes` of JSON, so a small glyph string cannot expand without bound.
+const zlib = require('zlib');
+const crypto = require('crypto');
+
+const FORMAT_VERSION = 1;
+const MAGIC = '⍟';
+const BASE64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+// 64 runes (U+16A0..U+16DF), one per base64 character
+const GLYPHS = Array.from({ length: 64 }, (_, i) => String.fromCodePoint(0x16A0 + i)).join('');
+const CHECKSUM_BYTES = 4;
+const DEFAULT_MAX_BYTES = 4 * 1024 * 1024;
+
+const toGlyph = new Map([...BASE64].map((ch, i) => [ch, GLYPHS[i]]));
+const fromGlyph = new Map([...GLYPHS].map((g, i) => [g, BASE64[i]]));
+
+function checksum(buf) {
+  return crypto.createHash('sha256').update(buf).digest().subarray(0, CHECKSUM_BYTES);
+}
+
+// Encode any JSON-serialisable object as a glyph string
+function encodeArchive(obj) {
+  const deflated = zlib.deflateSync(Buffer.from(JSON.stringify(obj), 'utf8'));
+  const b64 = Buffer.concat([deflated, checksum(deflated)]).toString('base64').replace(/=+$/, '');
+  let glyphs = MAGIC + GLYPHS[FORMAT_VERSION];
+  for (const ch of b64) glyphs += toGlyph.get(ch);
+  return glyphs;
+}
+
+// Decode a glyph string produced by encodeArchive; throws on foreign, corrupt, oversized or unsupported input
+function decodeArchive(glyphs, { maxBytes = DEFAULT_MAX_BYTES } = {}) {
+  const chars = [...String(glyphs || '').replace(/\s+/g, '')];
+  if (chars.length < 3 || chars[0] !== MAGIC) throw new Error('not a Vaultline archive');
+
+  const version = GLYPHS.indexOf(chars[1]);
+  if (version !== FORMAT_VERSION) throw new Error(`unsupported archive version ${version}`);
+
+  let b64 = '';
+  for (const g of chars.slice(2)) {
+    const ch = fromGlyph.get(g);
+    if (ch === undefined) throw new Error('archive contains an unknown glyph');
+    b64 += ch;
+  }
+  b64 += '='.repeat((4 - (b64.length % 4)) % 4);
+
+  const raw = Buffer.from(b64, 'base64');
+  if (raw.length <= CHECKSUM_BYTES) throw new Error('archive is truncated');
+  const deflated = raw.subarray(0, raw.length - CHECKSUM_BYTES);
+  if (!checksum(deflated).equals(raw.subarray(raw.length - CHECKSUM_BYTES))) {
+    throw new Error('archive checksum mismatch');
+  }
+
+  let json;
+  try {
+    json = zlib.inflateSync(deflated, { maxOutputLength: maxBytes }).toString('utf8');
+  } catch (err) {
+    if (err instanceof RangeError) throw new Error(`archive body inflates past ${maxBytes} bytes`);
+    throw new Error('archive body is corrupt');
+  }
+  return JSON.parse(json);
+}
+
+module.exports = { FORMAT_VERSION, encodeArchive, decodeArchive };